@@ -0,0 +1,289 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+
+const API_SCOPES = ['payments:create', 'payments:read', 'accounts:read', 'metrics:read', 'admin'];
+const KEY_PREFIX = 'bk_';
+
+const hashApiKey = (apiKey) => crypto.createHash('sha256').update(String(apiKey)).digest('hex');
+
+const generateApiKey = () => `${KEY_PREFIX}${crypto.randomBytes(24).toString('base64url')}`;
+
+const toPublicKey = ({ hash: _hash, ...record }) => ({ ...record });
+
+/**
+ * Validate a scope list, returning an error message or null
+ */
+const validateScopes = (scopes) => {
+  if (!Array.isArray(scopes) || scopes.length === 0) {
+    return 'At least one scope is required';
+  }
+
+  const unknownScopes = scopes.filter((scope) => !API_SCOPES.includes(scope));
+  if (unknownScopes.length > 0) {
+    return `Unknown scope(s): ${unknownScopes.join(', ')}. Allowed: ${API_SCOPES.join(', ')}`;
+  }
+
+  return null;
+};
+
+/**
+ * File-backed API key store. Only SHA-256 hashes of keys are persisted.
+ * The file is re-read when it changes on disk, so keys can be added,
+ * rotated or revoked without restarting the server. An unreadable file
+ * leaves no usable keys and is reported through loadError.
+ */
+class ApiKeyStore {
+  constructor(filePath, { reloadIntervalMs = 1000 } = {}) {
+    this.filePath = path.resolve(filePath);
+    this.reloadIntervalMs = reloadIntervalMs;
+    this.keys = [];
+    this.loadedMtimeMs = null;
+    this.lastReloadCheckAt = 0;
+    this.loadError = null;
+    // Set once keys have been seen, so a deleted key file does not switch auth off
+    this.hadKeys = false;
+    this.reload();
+  }
+
+  reload() {
+    if (!fs.existsSync(this.filePath)) {
+      this.keys = [];
+      this.loadedMtimeMs = null;
+      this.loadError = null;
+      return;
+    }
+
+    this.loadedMtimeMs = fs.statSync(this.filePath).mtimeMs;
+    try {
+      const content = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      if (!content || !Array.isArray(content.keys)) {
+        throw new Error('expected an object with a "keys" array');
+      }
+      this.keys = content.keys;
+      this.loadError = null;
+      this.hadKeys = this.hadKeys || this.keys.length > 0;
+    } catch (error) {
+      this.keys = [];
+      this.loadError = new Error(`API key file ${this.filePath} could not be read: ${error.message}`);
+    }
+  }
+
+  /**
+   * Reload before a change; refuses to overwrite a file it could not read
+   */
+  reloadForWrite() {
+    this.reload();
+    if (this.loadError) {
+      throw this.loadError;
+    }
+  }
+
+  reloadIfChanged(now = Date.now()) {
+    if (now - this.lastReloadCheckAt < this.reloadIntervalMs) {
+      return;
+    }
+    this.lastReloadCheckAt = now;
+
+    const mtimeMs = fs.existsSync(this.filePath) ? fs.statSync(this.filePath).mtimeMs : null;
+    if (mtimeMs !== this.loadedMtimeMs) {
+      this.reload();
+    }
+  }
+
+  persist() {
+    const tempPath = `${this.filePath}.tmp`;
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    fs.writeFileSync(tempPath, `${JSON.stringify({ keys: this.keys }, null, 2)}\n`, { mode: 0o600 });
+    fs.renameSync(tempPath, this.filePath);
+    this.loadedMtimeMs = fs.statSync(this.filePath).mtimeMs;
+  }
+
+  /**
+   * Whether any key (active or revoked) has ever been created
+   */
+  hasKeys() {
+    this.reloadIfChanged();
+    return this.keys.length > 0;
+  }
+
+  isActive(record, now = Date.now()) {
+    if (record.revokedAt) {
+      return false;
+    }
+
+    return !record.expiresAt || new Date(record.expiresAt).getTime() > now;
+  }
+
+  /**
+   * Find the active key record for a plaintext key
+   */
+  authenticate(apiKey) {
+    if (typeof apiKey !== 'string' || !apiKey.startsWith(KEY_PREFIX)) {
+      return null;
+    }
+
+    this.reloadIfChanged();
+    const hash = Buffer.from(hashApiKey(apiKey));
+    const record = this.keys.find((item) => (
+      item.hash.length === hash.length && crypto.timingSafeEqual(Buffer.from(item.hash), hash)
+    ));
+
+    return record && this.isActive(record) ? toPublicKey(record) : null;
+  }
+
+  list() {
+    this.reloadIfChanged();
+    return this.keys.map((record) => ({ ...toPublicKey(record), active: this.isActive(record) }));
+  }
+
+  /**
+   * Create a key; the plaintext is only returned here
+   */
+  create({ name, scopes, expiresAt = null }) {
+    const scopeError = validateScopes(scopes);
+    if (scopeError) {
+      throw new Error(scopeError);
+    }
+
+    this.reloadForWrite();
+    const apiKey = generateApiKey();
+    const record = {
+      id: `key_${crypto.randomBytes(6).toString('hex')}`,
+      name: String(name || 'unnamed'),
+      scopes: [...new Set(scopes)],
+      hash: hashApiKey(apiKey),
+      createdAt: new Date().toISOString(),
+      expiresAt,
+      revokedAt: null,
+    };
+
+    this.keys.push(record);
+    this.hadKeys = true;
+    this.persist();
+    return { apiKey, key: toPublicKey(record) };
+  }
+
+  /**
+   * Revoke a key immediately
+   */
+  revoke(id) {
+    this.reloadForWrite();
+    const record = this.keys.find((item) => item.id === id);
+    if (!record) {
+      return null;
+    }
+
+    record.revokedAt = record.revokedAt || new Date().toISOString();
+    this.persist();
+    return toPublicKey(record);
+  }
+
+  /**
+   * Issue a replacement key with the same scopes. The old key stays valid
+   * for graceSeconds so clients can switch over.
+   */
+  rotate(id, { graceSeconds = 0 } = {}) {
+    this.reloadForWrite();
+    const record = this.keys.find((item) => item.id === id);
+    if (!record || !this.isActive(record)) {
+      return null;
+    }
+
+    const replacement = this.create({ name: record.name, scopes: record.scopes });
+    const current = this.keys.find((item) => item.id === id);
+    if (graceSeconds > 0) {
+      current.expiresAt = new Date(Date.now() + graceSeconds * 1000).toISOString();
+    } else {
+      current.revokedAt = new Date().toISOString();
+    }
+    current.replacedBy = replacement.key.id;
+    this.persist();
+
+    return { ...replacement, previous: toPublicKey(current) };
+  }
+}
+
+const readApiKey = (req) => {
+  const authorization = req.get('authorization') || '';
+  if (authorization.toLowerCase().startsWith('bearer ')) {
+    return authorization.slice(7).trim();
+  }
+
+  const headerKey = req.get('x-api-key');
+  return headerKey ? headerKey.trim() : null;
+};
+
+/**
+ * Build a requireScope(scope) middleware factory.
+ * mode: "required" (default), "disabled" or "auto" (enforced once any key
+ * exists, and from then on even if the key file disappears). The admin
+ * scope always needs a key, so the first key is created with the CLI.
+ * An unreadable key file denies every request.
+ */
+const createApiKeyAuth = ({ apiKeyStore, mode = 'required' }) => {
+  const resolvedMode = String(mode).toLowerCase();
+
+  const isEnforced = () => {
+    if (resolvedMode === 'disabled') {
+      return false;
+    }
+
+    if (resolvedMode === 'auto') {
+      return apiKeyStore.hasKeys() || apiKeyStore.hadKeys || Boolean(apiKeyStore.loadError);
+    }
+
+    return true;
+  };
+
+  const requireScope = (scope) => (req, res, next) => {
+    if (scope !== 'admin' && !isEnforced()) {
+      return next();
+    }
+
+    apiKeyStore.reloadIfChanged();
+    if (apiKeyStore.loadError) {
+      return res.status(503).json({
+        success: false,
+        error: 'API keys could not be loaded; check API_KEYS_PATH',
+      });
+    }
+
+    const apiKey = readApiKey(req);
+    if (!apiKey) {
+      return res.status(401).json({
+        success: false,
+        error: 'API key is required',
+      });
+    }
+
+    const key = apiKeyStore.authenticate(apiKey);
+    if (!key) {
+      return res.status(401).json({
+        success: false,
+        error: 'API key is invalid, expired or revoked',
+      });
+    }
+
+    if (!key.scopes.includes(scope) && !key.scopes.includes('admin')) {
+      return res.status(403).json({
+        success: false,
+        error: `API key is missing the ${scope} scope`,
+      });
+    }
+
+    req.apiKey = key;
+    return next();
+  };
+
+  return { requireScope, isEnforced };
+};
+
+export {
+  API_SCOPES,
+  hashApiKey,
+  validateScopes,
+  ApiKeyStore,
+  createApiKeyAuth,
+};
+export default ApiKeyStore;
@@ -0,0 +1,384 @@
+#!/usr/bin/env node
+import dotenv from 'dotenv';
+import path from 'path';
+import { parseArgs } from 'util';
+import QRCode from 'qrcode';
+import KHQRService from './khqrService.js';
+import BakongAPIService from './bakongAPI.js';
+import Logger from './logger.js';
+import MerchantProfileRegistry from './merchantProfiles.js';
+import { parseAmount } from './money.js';
+import {
+  PAYMENT_MISMATCH_STATUSES,
+  isSettledStatus,
+  resolvePaymentStatus,
+  getProviderSummary,
+  buildStatusMessage,
+  detectHashType,
+  checkTransactionByReference,
+  lookupPaymentStatus,
+} from './paymentStatus.js';
+
+// Load environment variables
+dotenv.config();
+
+const usage = `
+Usage:
+  bakong generate --amount <n> [--currency USD|KHR] [--bill <no>] [--description <text>]
+                  [--profile <id>] [--expires-in <seconds>] [--out <file.png|file.svg>] [--no-qr]
+  bakong decode <qrString>
+  bakong verify <qrString>
+  bakong check <md5|hash|shortHash> [--amount <n> --currency <USD|KHR>]
+  bakong check --qr <qrString>
+  bakong watch <md5> [--expires-at <iso>] | --qr <qrString>  [--interval <seconds>] [--timeout <seconds>]
+
+Every command accepts --json for machine-readable output.
+Exit codes: 0 success/completed, 1 error or failed payment, 2 expired or timed out (watch),
+3 invalid QR (verify), 4 amount or currency mismatch (check --qr, watch --qr).
+`;
+
+const CURRENCY_CODES = { 840: 'USD', 116: 'KHR' };
+const TERMINAL_STATUSES = new Set(['completed', 'failed', 'expired', ...PAYMENT_MISMATCH_STATUSES]);
+const TOKEN_ERRORS = new Set(['MISSING_TOKEN', 'TOKEN_EXPIRED', 'UNAUTHORIZED']);
+
+const khqrService = new KHQRService({
+  expirySeconds: process.env.QR_EXPIRY_SECONDS || undefined,
+});
+// Call logs would mix with command output, so they are off unless LOG_LEVEL is set
+const bakongAPI = new BakongAPIService(
+  process.env.BAKONG_API_TOKEN,
+  process.env.BAKONG_API_BASE_URL,
+  { logger: new Logger({ level: process.env.LOG_LEVEL || 'silent' }) }
+);
+
+class CliError extends Error {
+  constructor(message, exitCode = 1, data = null) {
+    super(message);
+    this.exitCode = exitCode;
+    this.data = data;
+  }
+}
+
+const printJson = (value) => console.log(JSON.stringify(value, null, 2));
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const parseAmountOption = (value, currency) => {
+  const parsed = parseAmount(value, currency);
+  if (parsed.error) {
+    throw new CliError(`--amount: ${parsed.error}`);
+  }
+  return parsed.amount;
+};
+
+const requireQrArgument = (values, positionals) => {
+  const qrString = values.qr || positionals[0];
+  if (!qrString) {
+    throw new CliError('A QR string is required');
+  }
+  return qrString.trim();
+};
+
+/**
+ * Rebuild the payment fields a QR string carries (amount, currency, expiry)
+ */
+const paymentFromQr = (qrString) => {
+  const decoded = khqrService.decodeKHQR(qrString);
+  if (decoded.status?.code !== 0) {
+    throw new CliError(`Cannot decode QR: ${decoded.status?.message || 'invalid KHQR'}`);
+  }
+
+  const { data } = decoded;
+  const expirationMs = Number(data.expirationTimestamp);
+  return {
+    md5: khqrService.generateMD5(qrString),
+    qrString,
+    billNumber: data.billNumber,
+    amount: data.transactionAmount ? Number(data.transactionAmount) : null,
+    currency: CURRENCY_CODES[Number(data.transactionCurrency)] || null,
+    expiresAt: Number.isFinite(expirationMs) && expirationMs > 0 ? new Date(expirationMs).toISOString() : null,
+  };
+};
+
+async function generate(values) {
+  const profile = MerchantProfileRegistry.fromEnv().get(values.profile);
+  if (!profile) {
+    throw new CliError(`Unknown merchant profile: ${values.profile}`);
+  }
+
+  const currency = String(values.currency || profile.currency).toUpperCase();
+  if (currency !== 'USD' && currency !== 'KHR') {
+    throw new CliError('--currency must be USD or KHR');
+  }
+  const amount = parseAmountOption(values.amount, currency);
+  const expiresInSeconds = values['expires-in'] ? Number(values['expires-in']) : null;
+  const qrOptions = {
+    accountId: profile.accountId,
+    merchantName: profile.merchantName,
+    merchantCity: profile.merchantCity,
+    amount,
+    currency,
+    billNumber: values.bill || `INV-${Date.now()}`,
+    mobileNumber: profile.mobileNumber,
+    storeLabel: profile.storeLabel,
+    purposeOfTransaction: values.description || null,
+    expiresInSeconds,
+  };
+
+  const result = profile.accountType === 'merchant'
+    ? khqrService.generateMerchantQR({
+      ...qrOptions,
+      merchantId: profile.merchantId,
+      acquiringBank: profile.acquiringBank,
+    })
+    : khqrService.generateIndividualQR(qrOptions);
+
+  if (!result.success) {
+    throw new CliError(result.error);
+  }
+
+  let outFile = null;
+  if (values.out) {
+    const extension = path.extname(values.out).toLowerCase();
+    if (extension !== '.png' && extension !== '.svg') {
+      throw new CliError('--out must end in .png or .svg');
+    }
+    outFile = path.resolve(values.out);
+    await QRCode.toFile(outFile, result.qrString, { type: extension.slice(1), width: 400, margin: 2 });
+  }
+
+  const data = {
+    profileId: profile.id,
+    billNumber: qrOptions.billNumber,
+    amount,
+    currency,
+    md5: result.md5,
+    qrString: result.qrString,
+    expiresAt: result.expiresAt,
+    outFile,
+  };
+
+  if (values.json) {
+    printJson({ success: true, data });
+    return;
+  }
+
+  if (!values['no-qr']) {
+    console.log(await QRCode.toString(result.qrString, { type: 'terminal', small: true }));
+  }
+  console.log(`Bill Number: ${data.billNumber}`);
+  console.log(`Amount:      ${amount} ${currency}`);
+  console.log(`MD5:         ${data.md5}`);
+  console.log(`Expires At:  ${data.expiresAt || '-'}`);
+  if (outFile) {
+    console.log(`Saved QR:    ${outFile}`);
+  }
+  console.log(`\n${result.qrString}\n`);
+}
+
+function decode(values, positionals) {
+  const qrString = requireQrArgument(values, positionals);
+  const decoded = khqrService.decodeKHQR(qrString);
+  const { isValid } = khqrService.verifyKHQR(qrString);
+  const report = khqrService.validateKHQR(qrString);
+
+  if (values.json) {
+    printJson({ success: decoded.status?.code === 0, data: { decoded: decoded.data, isValid, report } });
+  } else {
+    const printTag = (tag, indent = '') => {
+      const marker = tag.valid ? ' ' : '✗';
+      console.log(`${marker} ${indent}${tag.path.padEnd(6)} ${tag.label.padEnd(40 - indent.length)} ${tag.value ?? ''}`);
+      (tag.subTags || []).forEach((subTag) => printTag(subTag, `${indent}  `));
+    };
+    report.tags.forEach((tag) => printTag(tag));
+    printReportSummary(report);
+  }
+
+  if (decoded.status?.code !== 0) {
+    process.exitCode = 1;
+  }
+}
+
+function printReportSummary(report) {
+  if (report.crc) {
+    console.log(`\nCRC: expected ${report.crc.expected}, actual ${report.crc.actual} ${report.crc.valid ? '✅' : '❌'}`);
+  }
+  if (report.expiration) {
+    console.log(`Expires: ${report.expiration.expiresAt}${report.expiration.expired ? ' (expired)' : ''}`);
+  }
+  report.errors.forEach((error) => console.log(`❌ [${error.tag}] ${error.rule}: ${error.message}`));
+}
+
+function verify(values, positionals) {
+  const qrString = requireQrArgument(values, positionals);
+  const { isValid } = khqrService.verifyKHQR(qrString);
+  const { errors, crc, expiration } = khqrService.validateKHQR(qrString);
+
+  if (values.json) {
+    printJson({ success: true, data: { isValid, errors, crc, expiration } });
+  } else {
+    console.log(isValid ? '✅ Valid KHQR' : '❌ Invalid KHQR');
+    printReportSummary({ errors, crc, expiration });
+  }
+
+  if (!isValid) {
+    process.exitCode = 3;
+  }
+}
+
+async function check(values, positionals) {
+  let payment = null;
+  let reference = positionals[0];
+  let currency = values.currency ? String(values.currency).toUpperCase() : undefined;
+  let amount = values.amount ? parseAmountOption(values.amount, currency || 'USD') : undefined;
+
+  if (values.qr) {
+    payment = paymentFromQr(values.qr.trim());
+    reference = payment.md5;
+    amount = payment.amount;
+    currency = payment.currency;
+  }
+
+  const type = detectHashType(reference);
+  if (!type) {
+    throw new CliError('Expected an md5 (32 hex), hash (64 hex) or short hash (8 hex)');
+  }
+  if (type === 'short_hash' && (!amount || !currency)) {
+    throw new CliError('Short hash checks also need --amount and --currency');
+  }
+
+  const lookup = payment
+    ? await lookupPaymentStatus({ bakongAPI, khqrService, md5: payment.md5, payment })
+    : await (async () => {
+      const result = await checkTransactionByReference(bakongAPI, reference, { amount, currency });
+      return { result, status: resolvePaymentStatus(result), checkedBy: type, fallbackProvider: null };
+    })();
+
+  const data = {
+    reference,
+    checkedBy: lookup.checkedBy,
+    status: lookup.status,
+    message: buildStatusMessage(lookup.status, lookup.result, payment),
+    provider: getProviderSummary(lookup.result),
+    transaction: isSettledStatus(lookup.status) ? lookup.result.data || null : null,
+  };
+
+  if (values.json) {
+    printJson({ success: lookup.status !== 'error', data });
+  } else {
+    console.log(`Status:  ${data.status}`);
+    console.log(`Message: ${data.message}`);
+    if (data.transaction) {
+      console.log(`Paid:    ${data.transaction.amount ?? '-'} ${data.transaction.currency ?? ''} from ${data.transaction.fromAccountId ?? '-'}`);
+    }
+  }
+
+  if (lookup.status === 'error' || lookup.status === 'failed') {
+    process.exitCode = 1;
+  } else if (PAYMENT_MISMATCH_STATUSES.includes(lookup.status)) {
+    process.exitCode = 4;
+  }
+}
+
+async function watch(values, positionals) {
+  const payment = values.qr
+    ? paymentFromQr(values.qr.trim())
+    : { md5: positionals[0], expiresAt: values['expires-at'] || null };
+
+  if (detectHashType(payment.md5) !== 'md5') {
+    throw new CliError('watch needs an md5 or --qr');
+  }
+
+  const intervalMs = Math.max(1, Number(values.interval || 5)) * 1000;
+  const timeoutSeconds = Number(values.timeout || khqrService.expirySeconds);
+  const deadline = Date.now() + timeoutSeconds * 1000;
+  if (!payment.expiresAt) {
+    payment.expiresAt = new Date(deadline).toISOString();
+  }
+
+  let lastStatus = null;
+  for (;;) {
+    const lookup = await lookupPaymentStatus({ bakongAPI, khqrService, md5: payment.md5, payment });
+    const event = {
+      md5: payment.md5,
+      status: lookup.status,
+      checkedBy: lookup.checkedBy,
+      checkedAt: new Date().toISOString(),
+      message: buildStatusMessage(lookup.status, lookup.result, payment),
+    };
+
+    if (values.json) {
+      console.log(JSON.stringify(event));
+    } else if (event.status !== lastStatus || event.status === 'error') {
+      console.log(`[${event.checkedAt}] ${event.status}: ${event.message}`);
+    }
+    lastStatus = event.status;
+
+    if (TERMINAL_STATUSES.has(event.status)) {
+      process.exitCode = { completed: 0, failed: 1, expired: 2 }[event.status] ?? 4;
+      return;
+    }
+
+    if (event.status === 'error' && TOKEN_ERRORS.has(String(lookup.result?.errorCode))) {
+      process.exitCode = 1;
+      return;
+    }
+
+    if (Date.now() + intervalMs > deadline) {
+      if (!values.json) {
+        console.log(`Stopped watching after ${timeoutSeconds}s`);
+      }
+      process.exitCode = 2;
+      return;
+    }
+
+    await sleep(intervalMs);
+  }
+}
+
+const commands = { generate, decode, verify, check, watch };
+
+async function main() {
+  const { values, positionals } = parseArgs({
+    args: process.argv.slice(2),
+    allowPositionals: true,
+    options: {
+      amount: { type: 'string' },
+      currency: { type: 'string' },
+      bill: { type: 'string' },
+      description: { type: 'string' },
+      profile: { type: 'string' },
+      'expires-in': { type: 'string' },
+      'expires-at': { type: 'string' },
+      out: { type: 'string' },
+      'no-qr': { type: 'boolean' },
+      qr: { type: 'string' },
+      interval: { type: 'string' },
+      timeout: { type: 'string' },
+      json: { type: 'boolean' },
+      help: { type: 'boolean', short: 'h' },
+    },
+  });
+
+  const [command, ...args] = positionals;
+  if (values.help || !command) {
+    console.log(usage);
+    return;
+  }
+
+  const run = commands[command];
+  if (!run) {
+    throw new CliError(`Unknown command: ${command}\n${usage}`);
+  }
+  await run(values, args);
+}
+
+try {
+  await main();
+} catch (error) {
+  if (process.argv.includes('--json')) {
+    printJson({ success: false, error: error.message, ...(error.data ? { data: error.data } : {}) });
+  } else {
+    console.error(`❌ ${error.message}`);
+  }
+  process.exitCode = error instanceof CliError ? error.exitCode : 1;
+}
@@ -1,24 +1,78 @@
 import fetch from 'node-fetch';
 import https from 'https';
+import { EventEmitter } from 'events';
+import { DAY_MS, getTokenStatus } from './bakongToken.js';
+import { logger as defaultLogger } from './logger.js';
 
-class BakongAPIService {
-  constructor(apiToken, baseUrl = 'https://api-bakong.nbc.org.kh') {
+/**
+ * Bakong Open API client. Emits "call" with the details of every request
+ * (endpoint, durationMs, httpStatus, responseCode, errorCode, attempt, ipv4Fallback).
+ */
+class BakongAPIService extends EventEmitter {
+  constructor(apiToken, baseUrl = 'https://api-bakong.nbc.org.kh', { logger = defaultLogger } = {}) {
+    super();
     this.apiToken = apiToken;
+    this.logger = logger;
     this.baseUrl = baseUrl.replace(/\/+$/, '');
     this.timeoutMs = Number.parseInt(process.env.BAKONG_API_TIMEOUT_MS || '10000', 10);
     this.statusTimeoutMs = Number.parseInt(process.env.BAKONG_STATUS_TIMEOUT_MS || '18000', 10);
     this.deeplinkTimeoutMs = Number.parseInt(process.env.BAKONG_DEEPLINK_TIMEOUT_MS || '3500', 10);
     this.retryAttempts = Number.parseInt(process.env.BAKONG_API_RETRY_ATTEMPTS || '1', 10);
     this.retryDelayMs = Number.parseInt(process.env.BAKONG_API_RETRY_DELAY_MS || '450', 10);
+    this.md5ListLimit = Number.parseInt(process.env.BAKONG_MD5_LIST_LIMIT || '50', 10);
     this.enableIpv4Fallback = String(process.env.BAKONG_IPV4_FALLBACK || 'true').toLowerCase() !== 'false';
     this.httpsIpv4Agent = new https.Agent({ family: 4 });
+    this.tokenWarnBeforeMs = Number.parseFloat(process.env.BAKONG_TOKEN_WARN_DAYS || '7') * DAY_MS;
+  }
+
+  /**
+   * Replace the API token used by subsequent requests (no restart needed)
+   */
+  setToken(apiToken) {
+    this.apiToken = apiToken;
+    return this.getTokenInfo();
+  }
+
+  /**
+   * Decoded expiry of the current token
+   */
+  getTokenInfo(now = Date.now()) {
+    return getTokenStatus(this.apiToken, { warnBeforeMs: this.tokenWarnBeforeMs, now });
   }
 
   isUsingDevEnvironment() {
     return this.baseUrl.includes('-dev.');
   }
 
+  /**
+   * POST to the Bakong API and log the call: endpoint, duration, HTTP
+   * status, response/error codes, retry attempt and IPv4 fallback
+   */
   async post(endpoint, payload, requiresAuth = false, options = {}) {
+    const startedAt = Date.now();
+    const call = { httpStatus: null, ipv4Fallback: false };
+    const result = await this.request(endpoint, payload, requiresAuth, options, call);
+    const failed = Number(result?.responseCode) === -1;
+    const details = {
+      endpoint,
+      durationMs: Date.now() - startedAt,
+      httpStatus: call.httpStatus,
+      responseCode: result?.responseCode ?? null,
+      errorCode: result?.errorCode ?? null,
+      attempt: options.attempt || 1,
+      ipv4Fallback: call.ipv4Fallback,
+    };
+
+    this.logger[failed ? 'warn' : 'info']('Bakong API call', {
+      ...details,
+      ...(failed ? { responseMessage: result.responseMessage } : {}),
+    });
+    this.emit('call', details);
+
+    return result;
+  }
+
+  async request(endpoint, payload, requiresAuth, options, call) {
     if (requiresAuth && !this.apiToken) {
       return {
         responseCode: -1,
@@ -62,11 +116,16 @@ class BakongAPIService {
       ].includes(String(error.code));
 
       if (canTryIpv4Fallback && (error.name === 'AbortError' || retryableNetworkError)) {
-        return this.post(endpoint, payload, requiresAuth, {
+        this.logger.warn('Bakong API request failed, retrying over IPv4', {
+          endpoint,
+          reason: error.name === 'AbortError' ? 'TIMEOUT' : error.code,
+        });
+        call.ipv4Fallback = true;
+        return this.request(endpoint, payload, requiresAuth, {
           ...options,
           forceIpv4: true,
           ipv4FallbackTried: true,
-        });
+        }, call);
       }
 
       if (error.name === 'AbortError') {
@@ -86,6 +145,20 @@ class BakongAPIService {
       };
     }
     clearTimeout(timeoutHandle);
+    call.httpStatus = response.status;
+
+    // Checked before parsing: a rejected token often comes back with an HTML or empty body
+    if (requiresAuth && (response.status === 401 || response.status === 403)) {
+      const tokenInfo = this.getTokenInfo();
+      return {
+        responseCode: -1,
+        errorCode: tokenInfo.status === 'expired' ? 'TOKEN_EXPIRED' : 'UNAUTHORIZED',
+        responseMessage: tokenInfo.status === 'expired'
+          ? `Bakong API token expired at ${tokenInfo.expiresAt}`
+          : `Bakong API rejected the token (HTTP ${response.status})`,
+        data: await response.json().catch(() => null),
+      };
+    }
 
     let result;
     try {
@@ -133,7 +206,7 @@ class BakongAPIService {
 
     for (let attempt = 1; attempt <= retries; attempt += 1) {
       await this.sleep(retryDelayMs);
-      result = await this.post(endpoint, payload, requiresAuth, options);
+      result = await this.post(endpoint, payload, requiresAuth, { ...options, attempt: attempt + 1 });
       if (!this.isRetryable(result)) {
         return result;
       }
@@ -194,6 +267,73 @@ class BakongAPIService {
     );
   }
 
+  /**
+   * Map one md5 list entry to the shape of a single md5 lookup result
+   */
+  toTransactionResult(item) {
+    const status = String(item?.status || '').toUpperCase();
+
+    if (status === 'SUCCESS') {
+      return {
+        responseCode: 0,
+        responseMessage: item.message || 'Success',
+        errorCode: null,
+        data: item.data || null,
+      };
+    }
+
+    if (status === 'FAILED') {
+      return {
+        responseCode: 1,
+        responseMessage: item.message || 'Transaction failed',
+        errorCode: 3,
+        data: item.data || null,
+      };
+    }
+
+    return {
+      responseCode: 1,
+      responseMessage: item?.message || 'Transaction could not be found',
+      errorCode: 1,
+      data: null,
+    };
+  }
+
+  /**
+   * Check transaction status for many MD5 hashes.
+   * Requests are chunked to the provider list limit; returns a result per md5.
+   */
+  async checkTransactionsByMD5List(md5List) {
+    const uniqueMd5s = [...new Set((md5List || []).map(String).filter(Boolean))];
+    const chunkSize = Math.max(1, this.md5ListLimit);
+    const results = {};
+
+    for (let index = 0; index < uniqueMd5s.length; index += chunkSize) {
+      const chunk = uniqueMd5s.slice(index, index + chunkSize);
+      const response = await this.postWithRetry(
+        '/v1/check_transaction_by_md5_list',
+        chunk,
+        true,
+        { timeoutMs: this.statusTimeoutMs }
+      );
+
+      if (Number(response.responseCode) !== 0 || !Array.isArray(response.data)) {
+        // The whole chunk failed; every md5 in it carries the provider error.
+        for (const md5 of chunk) {
+          results[md5] = { ...response, data: null };
+        }
+        continue;
+      }
+
+      const itemsByMd5 = new Map(response.data.map((item) => [item.md5, item]));
+      for (const md5 of chunk) {
+        results[md5] = this.toTransactionResult(itemsByMd5.get(md5));
+      }
+    }
+
+    return results;
+  }
+
   /**
    * Check transaction status by full hash
    */
@@ -0,0 +1,100 @@
+import { logger as defaultLogger } from './logger.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Decode the payload of a JWT without verifying its signature
+ */
+const decodeJwtPayload = (token) => {
+  if (typeof token !== 'string') {
+    return null;
+  }
+
+  const parts = token.split('.');
+  if (parts.length !== 3) {
+    return null;
+  }
+
+  try {
+    const payload = JSON.parse(Buffer.from(parts[1], 'base64url').toString('utf8'));
+    return payload && typeof payload === 'object' ? payload : null;
+  } catch (_error) {
+    return null;
+  }
+};
+
+/**
+ * Summarize a Bakong API token: missing, unknown (no exp claim), ok,
+ * expiring (inside the warning window) or expired.
+ */
+const getTokenStatus = (token, { warnBeforeMs = 7 * DAY_MS, now = Date.now() } = {}) => {
+  if (!token) {
+    return {
+      configured: false,
+      status: 'missing',
+      expiresAt: null,
+      expiresInSeconds: null,
+    };
+  }
+
+  const payload = decodeJwtPayload(token);
+  const expSeconds = Number(payload?.exp);
+  if (!Number.isFinite(expSeconds)) {
+    return {
+      configured: true,
+      status: 'unknown',
+      expiresAt: null,
+      expiresInSeconds: null,
+    };
+  }
+
+  const expiresAtMs = expSeconds * 1000;
+  const remainingMs = expiresAtMs - now;
+  let status = 'ok';
+  if (remainingMs <= 0) {
+    status = 'expired';
+  } else if (remainingMs <= warnBeforeMs) {
+    status = 'expiring';
+  }
+
+  return {
+    configured: true,
+    status,
+    expiresAt: new Date(expiresAtMs).toISOString(),
+    expiresInSeconds: Math.floor(remainingMs / 1000),
+  };
+};
+
+/**
+ * Periodically log a warning while the token is expiring or expired.
+ * Returns a stop function.
+ */
+const startTokenExpiryMonitor = (bakongAPI, { intervalMs = 60 * 60 * 1000, logger = defaultLogger } = {}) => {
+  let lastStatus = null;
+
+  const check = () => {
+    const info = bakongAPI.getTokenInfo();
+    const fields = {
+      expiresAt: info.expiresAt ?? null,
+      daysLeft: Number.isFinite(info.expiresInSeconds) ? Number((info.expiresInSeconds / 86400).toFixed(1)) : null,
+      status: info.status,
+    };
+    if (info.status === 'expired') {
+      logger.warn('Bakong API token expired; renew it via POST /api/admin/token/renew', fields);
+    } else if (info.status === 'expiring') {
+      logger.warn('Bakong API token is expiring', fields);
+    } else if (lastStatus === 'expiring' || lastStatus === 'expired') {
+      logger.info('Bakong API token renewed', fields);
+    }
+    lastStatus = info.status;
+    return info;
+  };
+
+  check();
+  const timer = setInterval(check, intervalMs);
+  timer.unref?.();
+
+  return () => clearInterval(timer);
+};
+
+export { DAY_MS, decodeJwtPayload, getTokenStatus, startTokenExpiryMonitor };
@@ -0,0 +1,91 @@
+import dotenv from 'dotenv';
+import { parseArgs } from 'util';
+import { API_SCOPES, ApiKeyStore } from './apiKeys.js';
+
+// Load environment variables
+dotenv.config();
+
+const usage = `
+Usage:
+  npm run apikey -- [create] --name <name> --scopes <scope,scope>
+  npm run apikey -- list
+  npm run apikey -- revoke <keyId>
+
+Scopes: ${API_SCOPES.join(', ')}
+Keys are stored hashed in API_KEYS_PATH (default data/api-keys.json).
+A running server picks up changes without a restart.
+`;
+
+function main() {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      name: { type: 'string' },
+      scopes: { type: 'string' },
+      'expires-at': { type: 'string' },
+      help: { type: 'boolean', short: 'h' },
+    },
+  });
+
+  if (values.help) {
+    console.log(usage);
+    return;
+  }
+
+  const store = new ApiKeyStore(process.env.API_KEYS_PATH || 'data/api-keys.json');
+  const [command = 'create', keyId] = positionals;
+
+  if (command === 'list') {
+    console.table(store.list().map(({ id, name, scopes, active, createdAt, expiresAt }) => ({
+      id,
+      name,
+      scopes: scopes.join(','),
+      active,
+      createdAt,
+      expiresAt: expiresAt || '-',
+    })));
+    return;
+  }
+
+  if (command === 'revoke') {
+    const revoked = keyId ? store.revoke(keyId) : null;
+    if (!revoked) {
+      console.error(`❌ API key not found: ${keyId || '(missing id)'}`);
+      process.exitCode = 1;
+      return;
+    }
+
+    console.log(`✅ Revoked ${revoked.id} (${revoked.name})`);
+    return;
+  }
+
+  if (command !== 'create') {
+    console.error(`❌ Unknown command: ${command}`);
+    console.log(usage);
+    process.exitCode = 1;
+    return;
+  }
+
+  const scopes = String(values.scopes || '')
+    .split(',')
+    .map((scope) => scope.trim())
+    .filter(Boolean);
+
+  const { apiKey, key } = store.create({
+    name: values.name,
+    scopes,
+    expiresAt: values['expires-at'] || null,
+  });
+
+  console.log(`\n✅ Created ${key.id} (${key.name}) with scopes: ${key.scopes.join(', ')}\n`);
+  console.log('📋 API key (shown only once):\n');
+  console.log(apiKey);
+  console.log('\nSend it as "Authorization: Bearer <key>" or "X-API-Key: <key>".\n');
+}
+
+try {
+  main();
+} catch (error) {
+  console.error('❌ Error:', error.message);
+  process.exitCode = 1;
+}
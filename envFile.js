@@ -0,0 +1,61 @@
+import fs from 'fs';
+import path from 'path';
+
+const ENV_KEY_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+const formatEnvValue = (value) => {
+  const text = String(value);
+  if (/^[A-Za-z0-9_./:@+=-]*$/.test(text)) {
+    return text;
+  }
+
+  return `"${text.replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`;
+};
+
+/**
+ * Set KEY=value in a dotenv file, keeping every other line as is.
+ * The first active assignment is replaced (later duplicates are dropped);
+ * otherwise the key is appended. Writes go through a temp file + rename
+ * and keep the existing file mode (0600 for new files).
+ */
+const upsertEnvValue = (filePath, key, value) => {
+  if (!ENV_KEY_PATTERN.test(key)) {
+    throw new Error(`Invalid environment variable name: ${key}`);
+  }
+
+  const resolvedPath = path.resolve(filePath);
+  const exists = fs.existsSync(resolvedPath);
+  const content = exists ? fs.readFileSync(resolvedPath, 'utf8') : '';
+  const mode = exists ? fs.statSync(resolvedPath).mode & 0o777 : 0o600;
+
+  const assignment = new RegExp(`^\\s*(?:export\\s+)?${key}\\s*=`);
+  const line = `${key}=${formatEnvValue(value)}`;
+  const lines = content.length > 0 ? content.replace(/\r?\n$/, '').split(/\r?\n/) : [];
+
+  let replaced = false;
+  const nextLines = lines.flatMap((current) => {
+    if (!assignment.test(current)) {
+      return [current];
+    }
+
+    if (replaced) {
+      return [];
+    }
+
+    replaced = true;
+    return [line];
+  });
+
+  if (!replaced) {
+    nextLines.push(line);
+  }
+
+  const tempPath = `${resolvedPath}.${process.pid}.tmp`;
+  fs.writeFileSync(tempPath, `${nextLines.join('\n')}\n`, { mode });
+  fs.chmodSync(tempPath, mode);
+  fs.renameSync(tempPath, resolvedPath);
+
+  return { filePath: resolvedPath, created: !exists, replaced };
+};
+
+export { formatEnvValue, upsertEnvValue };
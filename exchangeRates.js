@@ -0,0 +1,145 @@
+import fs from 'fs';
+import path from 'path';
+import { toMinorUnits, fromMinorUnits } from './money.js';
+
+const DEFAULT_USD_KHR_RATE = 4100;
+const KHR_ROUNDING_MODES = new Set(['nearest', 'up', 'down']);
+
+/**
+ * Round a riel amount to the smallest note in circulation (100 by default)
+ */
+const roundRiel = (amount, { step = 100, mode = 'nearest' } = {}) => {
+  const units = Number(amount) / step;
+  const rounded = {
+    up: Math.ceil(units),
+    down: Math.floor(units),
+    nearest: Math.round(units),
+  }[mode] ?? Math.round(units);
+
+  // Never round a positive price down to zero
+  return Math.max(rounded, amount > 0 ? 1 : 0) * step;
+};
+
+/**
+ * USD/KHR exchange rate used to price in one currency and collect in the other.
+ * The rate comes from USD_KHR_RATE until an admin sets one; admin rates are
+ * persisted to a JSON file so they survive restarts.
+ */
+class ExchangeRateService {
+  constructor({
+    filePath = process.env.EXCHANGE_RATE_PATH || 'data/exchange-rate.json',
+    defaultRate = process.env.USD_KHR_RATE || DEFAULT_USD_KHR_RATE,
+    rielRoundingStep = process.env.KHR_ROUNDING_STEP || 100,
+    rielRoundingMode = process.env.KHR_ROUNDING_MODE || 'nearest',
+  } = {}) {
+    this.filePath = filePath ? path.resolve(filePath) : null;
+
+    const rateError = this.validateRate(defaultRate);
+    if (rateError) {
+      throw new Error(`Invalid USD_KHR_RATE: ${rateError}`);
+    }
+
+    const step = Number(rielRoundingStep);
+    if (!Number.isInteger(step) || step < 1) {
+      throw new Error('Invalid KHR_ROUNDING_STEP: must be a whole number of riel');
+    }
+
+    const mode = String(rielRoundingMode).toLowerCase();
+    if (!KHR_ROUNDING_MODES.has(mode)) {
+      throw new Error('Invalid KHR_ROUNDING_MODE: use nearest, up or down');
+    }
+
+    this.rielRounding = { step, mode };
+    this.current = {
+      rate: Number(defaultRate),
+      source: 'env',
+      updatedAt: null,
+      updatedBy: null,
+    };
+    this.load();
+  }
+
+  load() {
+    if (!this.filePath || !fs.existsSync(this.filePath)) {
+      return;
+    }
+
+    const stored = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+    if (!this.validateRate(stored.rate)) {
+      this.current = { ...stored, source: 'admin' };
+    }
+  }
+
+  validateRate(rate) {
+    const parsed = Number(rate);
+    if (!Number.isFinite(parsed) || parsed <= 0) {
+      return 'Rate must be a positive number of riel per US dollar';
+    }
+
+    return null;
+  }
+
+  /**
+   * Current riel per US dollar rate with where it came from
+   */
+  getRate() {
+    return { pair: 'USD/KHR', ...this.current, rielRounding: { ...this.rielRounding } };
+  }
+
+  /**
+   * Set and persist a new rate
+   */
+  setRate(rate, { updatedBy = null } = {}) {
+    const rateError = this.validateRate(rate);
+    if (rateError) {
+      throw new Error(rateError);
+    }
+
+    this.current = {
+      rate: Number(rate),
+      source: 'admin',
+      updatedAt: new Date().toISOString(),
+      updatedBy,
+    };
+
+    if (this.filePath) {
+      const tempPath = `${this.filePath}.tmp`;
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      fs.writeFileSync(tempPath, `${JSON.stringify(this.current, null, 2)}\n`);
+      fs.renameSync(tempPath, this.filePath);
+    }
+
+    return this.getRate();
+  }
+
+  /**
+   * Convert a price between USD and KHR. Riel results follow the riel
+   * rounding rule; dollar results are rounded to the cent.
+   */
+  convert(price, fromCurrency, toCurrency) {
+    const amount = Number(price);
+    if (fromCurrency === toCurrency) {
+      return { amount, rate: null, rawAmount: amount };
+    }
+
+    const { rate } = this.current;
+    if (fromCurrency === 'USD' && toCurrency === 'KHR') {
+      const rawAmount = (toMinorUnits(amount, 'USD') * rate) / 100;
+      return { amount: roundRiel(rawAmount, this.rielRounding), rate, rawAmount };
+    }
+
+    if (fromCurrency === 'KHR' && toCurrency === 'USD') {
+      const rawCents = (toMinorUnits(amount, 'KHR') * 100) / rate;
+      return {
+        amount: fromMinorUnits(Math.max(Math.round(rawCents), 1), 'USD'),
+        rate,
+        rawAmount: rawCents / 100,
+      };
+    }
+
+    throw new Error(`Unsupported conversion ${fromCurrency} → ${toCurrency}`);
+  }
+}
+
+export { DEFAULT_USD_KHR_RATE, roundRiel, ExchangeRateService };
+export default ExchangeRateService;
@@ -0,0 +1,61 @@
+import crypto from 'crypto';
+
+const IDEMPOTENCY_HEADER = 'Idempotency-Key';
+const MAX_IDEMPOTENCY_KEY_LENGTH = 255;
+const DUPLICATE_BILL_POLICIES = new Set(['allow', 'reject', 'reuse', 'supersede']);
+
+/**
+ * JSON with object keys sorted, so equal payloads hash the same
+ */
+const canonicalJson = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+
+  if (value && typeof value === 'object') {
+    const entries = Object.keys(value)
+      .filter((key) => value[key] !== undefined)
+      .sort()
+      .map((key) => `${JSON.stringify(key)}:${canonicalJson(value[key])}`);
+    return `{${entries.join(',')}}`;
+  }
+
+  return JSON.stringify(value ?? null);
+};
+
+const hashRequestBody = (body) => crypto
+  .createHash('sha256')
+  .update(canonicalJson(body || {}))
+  .digest('hex');
+
+/**
+ * Validate an Idempotency-Key header value, returning an error message or null
+ */
+const validateIdempotencyKey = (key) => {
+  if (key.length > MAX_IDEMPOTENCY_KEY_LENGTH) {
+    return `${IDEMPOTENCY_HEADER} must be at most ${MAX_IDEMPOTENCY_KEY_LENGTH} characters`;
+  }
+
+  if (!/^[\x21-\x7e]+$/.test(key)) {
+    return `${IDEMPOTENCY_HEADER} must only contain printable ASCII characters`;
+  }
+
+  return null;
+};
+
+/**
+ * Resolve the duplicate bill number policy (allow, reject, reuse or supersede)
+ */
+const resolveDuplicateBillPolicy = (value, fallback = 'allow') => {
+  const policy = String(value || fallback).toLowerCase();
+  return DUPLICATE_BILL_POLICIES.has(policy) ? policy : null;
+};
+
+export {
+  IDEMPOTENCY_HEADER,
+  DUPLICATE_BILL_POLICIES,
+  canonicalJson,
+  hashRequestBody,
+  validateIdempotencyKey,
+  resolveDuplicateBillPolicy,
+};
@@ -0,0 +1,125 @@
+import { withJsonLinesFile } from './jsonLinesStore.js';
+
+const cloneInvoice = (invoice) => (invoice ? structuredClone(invoice) : null);
+
+const invoiceNumberKey = (profileId, invoiceNumber) => `${profileId}:${invoiceNumber}`;
+
+/**
+ * In-memory invoice repository (data is lost on restart).
+ * Invoices are keyed by id and indexed by invoice number (per merchant
+ * profile) and by the md5 of the payment that collects them.
+ */
+class MemoryInvoiceStore {
+  constructor() {
+    this.invoices = new Map();
+    this.invoiceNumberIndex = new Map();
+    this.paymentIndex = new Map();
+  }
+
+  applyRecord(invoice) {
+    const previous = this.invoices.get(invoice.id);
+    if (previous?.paymentMd5 && previous.paymentMd5 !== invoice.paymentMd5) {
+      this.paymentIndex.delete(previous.paymentMd5);
+    }
+
+    this.invoices.set(invoice.id, invoice);
+    this.invoiceNumberIndex.set(invoiceNumberKey(invoice.profileId, invoice.invoiceNumber), invoice.id);
+    if (invoice.paymentMd5) {
+      this.paymentIndex.set(invoice.paymentMd5, invoice.id);
+    }
+  }
+
+  async persist(_invoice) {
+    // Memory store has nothing to flush.
+  }
+
+  /**
+   * Get invoice by id
+   */
+  async get(id) {
+    return cloneInvoice(this.invoices.get(id));
+  }
+
+  /**
+   * Get invoice by its number within a merchant profile
+   */
+  async getByInvoiceNumber(profileId, invoiceNumber) {
+    const id = this.invoiceNumberIndex.get(invoiceNumberKey(profileId, invoiceNumber));
+    return id ? cloneInvoice(this.invoices.get(id)) : null;
+  }
+
+  /**
+   * Get the invoice collected by a payment
+   */
+  async getByPaymentMd5(md5) {
+    const id = this.paymentIndex.get(md5);
+    return id ? cloneInvoice(this.invoices.get(id)) : null;
+  }
+
+  /**
+   * Insert or replace an invoice record (keyed by id)
+   */
+  async save(invoice) {
+    if (!invoice || !invoice.id) {
+      throw new Error('Invoice id is required');
+    }
+
+    // Written before it is applied, so a failed write leaves memory matching disk
+    const record = cloneInvoice(invoice);
+    await this.persist(record);
+    this.applyRecord(record);
+    return cloneInvoice(record);
+  }
+
+  /**
+   * Merge changes into an existing invoice
+   */
+  async update(id, changes) {
+    const current = this.invoices.get(id);
+    if (!current) {
+      return null;
+    }
+
+    return this.save({ ...current, ...changes, id, updatedAt: new Date().toISOString() });
+  }
+
+  /**
+   * List all invoices in insertion order
+   */
+  async list() {
+    return Array.from(this.invoices.values(), cloneInvoice);
+  }
+}
+
+/**
+ * Append-only JSON lines invoice repository (see jsonLinesStore.js).
+ * The last line for an id wins on load.
+ */
+class JsonFileInvoiceStore extends withJsonLinesFile(MemoryInvoiceStore, {
+  keyField: 'id',
+  recordsField: 'invoices',
+}) {}
+
+/**
+ * Create invoice store from driver name ("memory" or "file"), following PAYMENT_STORE
+ */
+const createInvoiceStore = ({
+  driver = process.env.PAYMENT_STORE || 'file',
+  filePath = process.env.INVOICE_STORE_PATH || 'data/invoices.jsonl',
+  compactAfterStaleLines = process.env.INVOICE_STORE_COMPACT_STALE_LINES,
+} = {}) => {
+  const resolvedDriver = String(driver).toLowerCase();
+
+  if (resolvedDriver === 'memory') {
+    return new MemoryInvoiceStore();
+  }
+
+  if (resolvedDriver === 'file') {
+    return new JsonFileInvoiceStore(filePath, { compactAfterStaleLines });
+  }
+
+  throw new Error(`Unsupported PAYMENT_STORE driver: ${driver}`);
+};
+
+export { MemoryInvoiceStore, JsonFileInvoiceStore, createInvoiceStore };
+export default createInvoiceStore;
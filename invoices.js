@@ -0,0 +1,293 @@
+import { parseAmount, validateAmountLimits, fromMinorUnits } from './money.js';
+
+const MAX_LINE_ITEMS = 100;
+const MAX_DESCRIPTION_LENGTH = 200;
+const PURPOSE_MAX_LENGTH = 25; // KHQR tag 62.08
+const INVOICE_NUMBER_MAX_LENGTH = 25; // Used as the KHQR bill number, tag 62.01
+const QUANTITY_PATTERN = /^\d+(?:\.\d{1,3})?$/;
+const PERCENT_PATTERN = /^\d+(?:\.\d{1,2})?$/;
+const DISCOUNT_TYPES = new Set(['percent', 'fixed']);
+
+/**
+ * Invoice status for each payment status. Lookup errors and superseded
+ * QRs leave the invoice as it was.
+ */
+const INVOICE_STATUS_BY_PAYMENT = {
+  pending: 'open',
+  completed: 'paid',
+  failed: 'failed',
+  expired: 'expired',
+  underpaid: 'underpaid',
+  overpaid: 'overpaid',
+  currency_mismatch: 'payment_mismatch',
+};
+
+// Invoices whose payment can no longer be paid get a new QR on reissue
+const REISSUABLE_INVOICE_STATUSES = new Set(['expired', 'failed']);
+
+const normalizeText = (value) => {
+  if (typeof value !== 'string') {
+    return null;
+  }
+
+  const trimmed = value.trim();
+  return trimmed.length > 0 ? trimmed : null;
+};
+
+// Quantities up to 3 decimals, kept as thousandths
+const parseQuantity = (value) => {
+  const text = String(value ?? 1).trim();
+  if (!QUANTITY_PATTERN.test(text) || Number(text) <= 0) {
+    return null;
+  }
+  return Math.round(Number(text) * 1000);
+};
+
+// Percentages up to 2 decimals, kept as basis points
+const parsePercent = (value) => {
+  const text = String(value ?? '').trim();
+  if (!PERCENT_PATTERN.test(text) || Number(text) > 100) {
+    return null;
+  }
+  return Math.round(Number(text) * 100);
+};
+
+const parseLineItems = (lineItems, currency) => {
+  if (!Array.isArray(lineItems) || lineItems.length === 0) {
+    return { error: 'lineItems must be a non-empty array' };
+  }
+
+  if (lineItems.length > MAX_LINE_ITEMS) {
+    return { error: `An invoice can have at most ${MAX_LINE_ITEMS} line items` };
+  }
+
+  const items = [];
+  for (const [index, item] of lineItems.entries()) {
+    const description = normalizeText(item?.description);
+    if (!description || description.length > MAX_DESCRIPTION_LENGTH) {
+      return { error: `lineItems[${index}].description is required (max ${MAX_DESCRIPTION_LENGTH} characters)` };
+    }
+
+    const quantity = parseQuantity(item.quantity);
+    if (quantity === null) {
+      return { error: `lineItems[${index}].quantity must be a positive number with at most 3 decimals` };
+    }
+
+    const unitPrice = parseAmount(item.unitPrice, currency, { checkLimits: false });
+    if (unitPrice.error) {
+      return { error: `lineItems[${index}].unitPrice: ${unitPrice.error}` };
+    }
+
+    items.push({
+      description,
+      quantity: quantity / 1000,
+      unitPrice: unitPrice.amount,
+      amountMinor: Math.round((quantity * unitPrice.minor) / 1000),
+    });
+  }
+
+  return { items };
+};
+
+const parseDiscount = (discount, currency) => {
+  if (discount === undefined || discount === null) {
+    return { discount: null };
+  }
+
+  const type = String(discount.type || 'fixed').toLowerCase();
+  if (!DISCOUNT_TYPES.has(type)) {
+    return { error: 'discount.type must be percent or fixed' };
+  }
+
+  if (type === 'percent') {
+    const basisPoints = parsePercent(discount.value);
+    if (basisPoints === null) {
+      return { error: 'discount.value must be a percentage between 0 and 100' };
+    }
+    return { discount: { type, value: basisPoints / 100, basisPoints } };
+  }
+
+  const value = parseAmount(discount.value, currency, { checkLimits: false });
+  if (value.error) {
+    return { error: `discount.value: ${value.error}` };
+  }
+  return { discount: { type, value: value.amount, minor: value.minor } };
+};
+
+const parseTax = (tax) => {
+  if (tax === undefined || tax === null) {
+    return { tax: null };
+  }
+
+  const basisPoints = parsePercent(tax.rate);
+  if (basisPoints === null) {
+    return { error: 'tax.rate must be a percentage between 0 and 100' };
+  }
+
+  return {
+    tax: {
+      name: normalizeText(tax.name) || 'VAT',
+      rate: basisPoints / 100,
+      inclusive: tax.inclusive === true,
+      basisPoints,
+    },
+  };
+};
+
+/**
+ * Compute invoice totals in minor units: line amounts, then the discount
+ * (capped at the subtotal), then tax on the discounted amount. Inclusive
+ * tax is already part of the prices and only reported.
+ */
+const computeInvoiceTotals = ({ items, discount = null, tax = null }) => {
+  const subtotal = items.reduce((total, item) => total + item.amountMinor, 0);
+
+  let discountAmount = 0;
+  if (discount?.type === 'percent') {
+    discountAmount = Math.round((subtotal * discount.basisPoints) / 10000);
+  } else if (discount?.type === 'fixed') {
+    discountAmount = Math.min(discount.minor, subtotal);
+  }
+
+  const taxable = subtotal - discountAmount;
+  let taxAmount = 0;
+  if (tax && tax.inclusive) {
+    taxAmount = taxable - Math.round((taxable * 10000) / (10000 + tax.basisPoints));
+  } else if (tax) {
+    taxAmount = Math.round((taxable * tax.basisPoints) / 10000);
+  }
+
+  return {
+    subtotal,
+    discount: discountAmount,
+    tax: taxAmount,
+    total: tax && !tax.inclusive ? taxable + taxAmount : taxable,
+  };
+};
+
+/**
+ * Validate an invoice request and compute its totals.
+ * Returns the invoice fields (amounts as numbers) or { error }.
+ */
+const buildInvoice = ({ invoiceNumber, currency, customer, lineItems, discount, tax, notes }) => {
+  if (String(invoiceNumber ?? '').trim().length > INVOICE_NUMBER_MAX_LENGTH) {
+    return { error: `invoiceNumber must be at most ${INVOICE_NUMBER_MAX_LENGTH} characters` };
+  }
+
+  const parsedItems = parseLineItems(lineItems, currency);
+  if (parsedItems.error) {
+    return parsedItems;
+  }
+
+  const parsedDiscount = parseDiscount(discount, currency);
+  if (parsedDiscount.error) {
+    return parsedDiscount;
+  }
+
+  const parsedTax = parseTax(tax);
+  if (parsedTax.error) {
+    return parsedTax;
+  }
+
+  const totals = computeInvoiceTotals({
+    items: parsedItems.items,
+    discount: parsedDiscount.discount,
+    tax: parsedTax.tax,
+  });
+  const totalError = validateAmountLimits(totals.total, currency);
+  if (totalError) {
+    return { error: `Invoice total: ${totalError}` };
+  }
+
+  const toAmount = (minor) => fromMinorUnits(minor, currency);
+  return {
+    invoice: {
+      currency,
+      customer: {
+        name: normalizeText(customer?.name),
+        email: normalizeText(customer?.email),
+        phone: normalizeText(customer?.phone),
+      },
+      lineItems: parsedItems.items.map(({ amountMinor, ...item }) => ({ ...item, amount: toAmount(amountMinor) })),
+      discount: parsedDiscount.discount
+        ? { type: parsedDiscount.discount.type, value: parsedDiscount.discount.value }
+        : null,
+      tax: parsedTax.tax
+        ? { name: parsedTax.tax.name, rate: parsedTax.tax.rate, inclusive: parsedTax.tax.inclusive }
+        : null,
+      subtotal: toAmount(totals.subtotal),
+      discountAmount: toAmount(totals.discount),
+      taxAmount: toAmount(totals.tax),
+      total: toAmount(totals.total),
+      notes: normalizeText(notes),
+    },
+  };
+};
+
+/**
+ * Short summary for the KHQR purpose of transaction field (max 25 characters)
+ */
+const summarizeInvoice = (invoice) => {
+  const [first, ...rest] = invoice.lineItems;
+  const suffix = rest.length > 0 ? ` +${rest.length} more` : '';
+  const room = PURPOSE_MAX_LENGTH - suffix.length;
+  return `${first.description.slice(0, room).trimEnd()}${suffix}`;
+};
+
+/**
+ * Invoice status that follows a payment status, or null to keep the current one
+ */
+const getInvoiceStatus = (paymentStatus) => INVOICE_STATUS_BY_PAYMENT[paymentStatus] || null;
+
+const canReissueInvoice = (invoice) => REISSUABLE_INVOICE_STATUSES.has(invoice?.status);
+
+/**
+ * Keep invoice status in step with the payment that collects it.
+ * Payments are matched by their invoiceId. A payment the invoice does not
+ * link to (its link was never saved) takes over only when the invoice has
+ * no payment that can still be paid.
+ * Returns a function that stops listening.
+ */
+const syncInvoiceStatus = ({ invoiceStore, paymentStore, logger = console }) => {
+  const onStatusChanged = async (payment) => {
+    let invoice = null;
+    try {
+      invoice = payment.invoiceId
+        ? await invoiceStore.get(payment.invoiceId)
+        : await invoiceStore.getByPaymentMd5(payment.md5);
+      const status = getInvoiceStatus(payment.status);
+      if (!invoice || !status) {
+        return;
+      }
+
+      const isLinked = invoice.paymentMd5 === payment.md5;
+      if (!isLinked && invoice.paymentMd5 && !canReissueInvoice(invoice)) {
+        return;
+      }
+      if (isLinked && invoice.status === status) {
+        return;
+      }
+
+      await invoiceStore.update(invoice.id, {
+        status,
+        paymentMd5: payment.md5,
+        paidAt: status === 'paid' ? payment.completedAt || new Date().toISOString() : invoice.paidAt ?? null,
+      });
+    } catch (error) {
+      logger.error('Failed to update invoice status', { invoiceId: invoice?.id, md5: payment.md5, error });
+    }
+  };
+
+  paymentStore.on('statusChanged', onStatusChanged);
+  return () => paymentStore.off('statusChanged', onStatusChanged);
+};
+
+export {
+  INVOICE_STATUS_BY_PAYMENT,
+  computeInvoiceTotals,
+  buildInvoice,
+  summarizeInvoice,
+  getInvoiceStatus,
+  canReissueInvoice,
+  syncInvoiceStatus,
+};
@@ -0,0 +1,120 @@
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * Add append-only JSON lines persistence to an in-memory store class.
+ * The store must implement applyRecord(record) and keep its records in the
+ * Map named by recordsField, keyed by keyField. Every write appends the full
+ * record and the last line for a key wins on load. The log is rewritten
+ * with one line per record on startup and whenever it holds
+ * compactAfterStaleLines (default 1000) superseded lines.
+ */
+const withJsonLinesFile = (MemoryStore, { keyField, recordsField }) => class extends MemoryStore {
+  constructor(filePath, { compactAfterStaleLines } = {}) {
+    super();
+    this.filePath = path.resolve(filePath);
+    this.compactAfterStaleLines = Number.parseInt(String(compactAfterStaleLines ?? ''), 10) || 1000;
+    this.writeQueue = Promise.resolve();
+    this.lineCount = 0;
+    // Records already in the log that save() has not applied to memory yet
+    this.unapplied = new Map();
+    this.load();
+    if (this.getStaleLineCount() > 0) {
+      this.writeCompacted();
+    }
+  }
+
+  applyRecord(record) {
+    super.applyRecord(record);
+    this.unapplied.delete(record[keyField]);
+  }
+
+  /**
+   * Latest version of every record in the log
+   */
+  getWrittenRecords() {
+    const records = new Map(this[recordsField]);
+    this.unapplied.forEach((record, key) => records.set(key, record));
+    return records;
+  }
+
+  load() {
+    if (!fs.existsSync(this.filePath)) {
+      return;
+    }
+
+    const lines = fs.readFileSync(this.filePath, 'utf8').split('\n');
+    for (const line of lines) {
+      if (!line.trim()) {
+        continue;
+      }
+
+      this.lineCount += 1;
+      try {
+        const record = JSON.parse(line);
+        if (record && record[keyField]) {
+          this.applyRecord(record);
+        }
+      } catch (_error) {
+        // A torn final line from an interrupted write is skipped.
+      }
+    }
+  }
+
+  getStaleLineCount() {
+    let keyCount = this[recordsField].size;
+    this.unapplied.forEach((_record, key) => {
+      if (!this[recordsField].has(key)) {
+        keyCount += 1;
+      }
+    });
+    return this.lineCount - keyCount;
+  }
+
+  /**
+   * Replace the log with one line per record (temp file + rename)
+   */
+  writeCompacted() {
+    const records = this.getWrittenRecords();
+    const content = Array.from(records.values(), (record) => JSON.stringify(record)).join('\n');
+    const tempPath = `${this.filePath}.tmp`;
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    fs.writeFileSync(tempPath, content ? `${content}\n` : '', 'utf8');
+    fs.renameSync(tempPath, this.filePath);
+    this.lineCount = records.size;
+  }
+
+  async persist(record) {
+    const line = `${JSON.stringify(record)}\n`;
+    const write = this.writeQueue.then(async () => {
+      await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+      await fs.promises.appendFile(this.filePath, line, 'utf8');
+      this.unapplied.set(record[keyField], record);
+      this.lineCount += 1;
+
+      if (this.getStaleLineCount() >= this.compactAfterStaleLines) {
+        try {
+          this.writeCompacted();
+        } catch (_error) {
+          // The append already succeeded; compaction is retried on the next write.
+        }
+      }
+    });
+
+    // Keep the queue alive even if one write fails.
+    this.writeQueue = write.catch(() => {});
+    return write;
+  }
+
+  /**
+   * Rewrite the log with only the latest version of each record
+   */
+  async compact() {
+    const compactWrite = this.writeQueue.then(() => this.writeCompacted());
+    this.writeQueue = compactWrite.catch(() => {});
+    return compactWrite;
+  }
+};
+
+export { withJsonLinesFile };
+export default withJsonLinesFile;
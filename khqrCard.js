@@ -0,0 +1,171 @@
+import QRCode from 'qrcode';
+import { Resvg } from '@resvg/resvg-js';
+
+const CARD_RATIO = 29 / 20;
+const KHQR_RED = '#E1232E';
+const DEFAULT_CARD_OPTIONS = {
+  size: 400,
+  margin: 1,
+  errorCorrectionLevel: 'M',
+};
+const MIN_CARD_SIZE = 160;
+const MAX_CARD_SIZE = 2000;
+const MAX_QR_MARGIN = 8;
+const ERROR_CORRECTION_LEVELS = new Set(['L', 'M', 'Q', 'H']);
+const FONT_FAMILY = 'Nunito Sans, Helvetica, Arial, DejaVu Sans, sans-serif';
+// The riel sign needs a Khmer font; set KHQR_CARD_FONT_PATH for PNG rendering
+const SYMBOL_FONT_FAMILY = 'Noto Sans Khmer, Khmer OS, Khmer UI, DejaVu Sans, sans-serif';
+const CURRENCY_SYMBOLS = { USD: '$', KHR: '៛' };
+
+const escapeXml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+const formatCardAmount = (amount, currency) => {
+  const digits = currency === 'KHR' ? 0 : 2;
+  return new Intl.NumberFormat('en-US', {
+    minimumFractionDigits: digits,
+    maximumFractionDigits: digits,
+  }).format(amount);
+};
+
+const formatCardExpiry = (expiresAt) => new Date(expiresAt).toLocaleString('en-GB', {
+  timeZone: 'Asia/Phnom_Penh',
+  day: '2-digit',
+  month: 'short',
+  year: 'numeric',
+  hour: '2-digit',
+  minute: '2-digit',
+});
+
+/**
+ * Parse size, margin and ecc query options, returning { options } or { error }
+ */
+const parseCardOptions = (query = {}) => {
+  const options = { ...DEFAULT_CARD_OPTIONS };
+
+  if (query.size !== undefined) {
+    const size = Number(query.size);
+    if (!Number.isInteger(size) || size < MIN_CARD_SIZE || size > MAX_CARD_SIZE) {
+      return { error: `size must be a whole number between ${MIN_CARD_SIZE} and ${MAX_CARD_SIZE}` };
+    }
+    options.size = size;
+  }
+
+  if (query.margin !== undefined) {
+    const margin = Number(query.margin);
+    if (!Number.isInteger(margin) || margin < 0 || margin > MAX_QR_MARGIN) {
+      return { error: `margin must be a whole number between 0 and ${MAX_QR_MARGIN}` };
+    }
+    options.margin = margin;
+  }
+
+  const ecc = query.ecc ?? query.errorCorrectionLevel;
+  if (ecc !== undefined) {
+    const level = String(ecc).toUpperCase();
+    if (!ERROR_CORRECTION_LEVELS.has(level)) {
+      return { error: 'ecc must be one of L, M, Q or H' };
+    }
+    options.errorCorrectionLevel = level;
+  }
+
+  return { options };
+};
+
+/**
+ * Build one SVG path covering every dark module of the QR
+ */
+const buildModulesPath = (modules, margin) => {
+  const commands = [];
+  for (let row = 0; row < modules.size; row += 1) {
+    for (let col = 0; col < modules.size; col += 1) {
+      if (modules.get(row, col)) {
+        commands.push(`M${col + margin} ${row + margin}h1v1h-1z`);
+      }
+    }
+  }
+  return commands.join('');
+};
+
+/**
+ * Render a KHQR-style payment card as SVG: red header, merchant name,
+ * amount, the QR with a currency mark in the centre and an expiry note.
+ * Static QRs (no amount or expiry) render without those lines.
+ */
+const renderKhqrCardSvg = ({
+  qrString,
+  merchantName,
+  amount = null,
+  currency = 'USD',
+  expiresAt = null,
+  size = DEFAULT_CARD_OPTIONS.size,
+  margin = DEFAULT_CARD_OPTIONS.margin,
+  errorCorrectionLevel = DEFAULT_CARD_OPTIONS.errorCorrectionLevel,
+}) => {
+  const { modules } = QRCode.create(qrString, { errorCorrectionLevel });
+  const width = size;
+  const height = Math.round(size * CARD_RATIO);
+  const unit = width / 20;
+  const radius = unit * 0.8;
+  const headerHeight = unit * 3.5;
+  const hasAmount = Number(amount) > 0;
+
+  const qrSize = unit * 16;
+  const qrX = unit * 2;
+  const qrY = unit * 10;
+  const moduleCount = modules.size + margin * 2;
+  const moduleScale = qrSize / moduleCount;
+  const logoRadius = qrSize * 0.075;
+  const logoX = qrX + qrSize / 2;
+  const logoY = qrY + qrSize / 2;
+  const symbol = CURRENCY_SYMBOLS[currency] || currency;
+
+  const amountText = hasAmount
+    ? `<text x="${unit * 2}" y="${unit * 7.6}" font-size="${unit * 1.6}" font-weight="700" fill="#000">${escapeXml(formatCardAmount(Number(amount), currency))}<tspan dx="${unit * 0.3}" font-size="${unit * 0.8}" font-weight="400" fill="#555">${escapeXml(currency)}</tspan></text>`
+    : `<text x="${unit * 2}" y="${unit * 7.6}" font-size="${unit * 1}" fill="#555">Scan to pay any amount</text>`;
+
+  const expiryText = expiresAt
+    ? `<text x="${width / 2}" y="${unit * 27.6}" font-size="${unit * 0.6}" fill="#777" text-anchor="middle">Valid until ${escapeXml(formatCardExpiry(expiresAt))} (ICT)</text>`
+    : '';
+
+  return [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" font-family="${FONT_FAMILY}">`,
+    `<rect width="${width}" height="${height}" rx="${radius}" fill="#fff" stroke="#e5e5e5"/>`,
+    `<path d="M0 ${radius}a${radius} ${radius} 0 0 1 ${radius} -${radius}h${width - radius * 2}a${radius} ${radius} 0 0 1 ${radius} ${radius}v${headerHeight - radius}h-${width}z" fill="${KHQR_RED}"/>`,
+    `<text x="${width / 2}" y="${headerHeight / 2 + unit * 0.5}" font-size="${unit * 1.4}" font-weight="800" fill="#fff" text-anchor="middle" letter-spacing="${unit * 0.1}">KHQR</text>`,
+    `<text x="${unit * 2}" y="${unit * 5.5}" font-size="${unit * 0.9}" fill="#000">${escapeXml(merchantName || '')}</text>`,
+    amountText,
+    `<line x1="0" y1="${unit * 9}" x2="${width}" y2="${unit * 9}" stroke="#bbb" stroke-width="${unit * 0.08}" stroke-dasharray="${unit * 0.4} ${unit * 0.3}"/>`,
+    `<rect x="${qrX}" y="${qrY}" width="${qrSize}" height="${qrSize}" fill="#fff"/>`,
+    `<path transform="translate(${qrX} ${qrY}) scale(${moduleScale})" d="${buildModulesPath(modules, margin)}" fill="#000" shape-rendering="crispEdges"/>`,
+    `<circle cx="${logoX}" cy="${logoY}" r="${logoRadius}" fill="#000" stroke="#fff" stroke-width="${logoRadius * 0.3}"/>`,
+    `<text x="${logoX}" y="${logoY + logoRadius * 0.4}" font-size="${logoRadius * 1.2}" font-weight="700" font-family="${SYMBOL_FONT_FAMILY}" fill="#fff" text-anchor="middle">${escapeXml(symbol)}</text>`,
+    expiryText,
+    '</svg>',
+  ].join('');
+};
+
+/**
+ * Render the same card as a PNG buffer
+ */
+const renderKhqrCardPng = (cardOptions) => {
+  const svg = renderKhqrCardSvg(cardOptions);
+  const resvg = new Resvg(svg, {
+    fitTo: { mode: 'width', value: cardOptions.size || DEFAULT_CARD_OPTIONS.size },
+    font: {
+      loadSystemFonts: true,
+      fontFiles: process.env.KHQR_CARD_FONT_PATH ? [process.env.KHQR_CARD_FONT_PATH] : [],
+    },
+  });
+  return resvg.render().asPng();
+};
+
+export {
+  DEFAULT_CARD_OPTIONS,
+  parseCardOptions,
+  renderKhqrCardSvg,
+  renderKhqrCardPng,
+};
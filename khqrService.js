@@ -1,9 +1,41 @@
 import { BakongKHQR, khqrData, IndividualInfo, MerchantInfo } from 'bakong-khqr';
 import crypto from 'crypto';
+import { buildKhqrReport } from './khqrValidation.js';
+
+const DEFAULT_EXPIRY_SECONDS = 10 * 60;
+const MIN_EXPIRY_SECONDS = 60;
+const MAX_EXPIRY_SECONDS = 24 * 60 * 60;
 
 class KHQRService {
-  constructor() {
+  constructor({ expirySeconds = DEFAULT_EXPIRY_SECONDS } = {}) {
     this.bakongKHQR = new BakongKHQR();
+
+    const expiryError = this.validateExpirySeconds(expirySeconds);
+    if (expiryError) {
+      throw new Error(`Invalid default QR expiry: ${expiryError}`);
+    }
+    this.expirySeconds = Number(expirySeconds);
+  }
+
+  /**
+   * Validate a QR lifetime in seconds (whole number within bounds)
+   */
+  validateExpirySeconds(expirySeconds) {
+    const parsed = Number(expirySeconds);
+    if (!Number.isInteger(parsed)) {
+      return 'Expiry must be a whole number of seconds';
+    }
+
+    if (parsed < MIN_EXPIRY_SECONDS || parsed > MAX_EXPIRY_SECONDS) {
+      return `Expiry must be between ${MIN_EXPIRY_SECONDS} and ${MAX_EXPIRY_SECONDS} seconds`;
+    }
+
+    return null;
+  }
+
+  resolveExpirationTimestamp(expiresInSeconds) {
+    const seconds = expiresInSeconds ?? this.expirySeconds;
+    return Date.now() + Number(seconds) * 1000;
   }
 
   resolveCurrency(currency) {
@@ -22,6 +54,18 @@ class KHQRService {
     return null;
   }
 
+  validateMerchantFields(merchantId, acquiringBank) {
+    if (!merchantId || !String(merchantId).trim()) {
+      return 'Merchant ID is required for merchant accounts';
+    }
+
+    if (!acquiringBank || !String(acquiringBank).trim()) {
+      return 'Acquiring bank is required for merchant accounts';
+    }
+
+    return null;
+  }
+
   /**
    * Generate KHQR for individual/personal account
    */
@@ -36,8 +80,10 @@ class KHQRService {
     storeLabel = null,
     terminalLabel = null,
     purposeOfTransaction = null,
+    expiresInSeconds = null,
   }) {
-    const validationError = this.validateRequiredFields(accountId, merchantName);
+    const validationError = this.validateRequiredFields(accountId, merchantName)
+      || (expiresInSeconds !== null ? this.validateExpirySeconds(expiresInSeconds) : null);
     if (validationError) {
       return {
         success: false,
@@ -51,8 +97,8 @@ class KHQRService {
     if (amount > 0) {
       optionalData.amount = amount;
       optionalData.currency = resolvedCurrency;
-      // For dynamic QR (with amount), set expiration to 10 minutes from now
-      optionalData.expirationTimestamp = Date.now() + 10 * 60 * 1000;
+      // Dynamic QR (with amount) expires after the requested or default lifetime
+      optionalData.expirationTimestamp = this.resolveExpirationTimestamp(expiresInSeconds);
     }
 
     if (billNumber) optionalData.billNumber = billNumber;
@@ -78,6 +124,9 @@ class KHQRService {
         success: true,
         qrString: result.data.qr,
         md5: this.generateMD5(result.data.qr),
+        expiresAt: optionalData.expirationTimestamp
+          ? new Date(optionalData.expirationTimestamp).toISOString()
+          : null,
       };
     } else {
       return {
@@ -102,8 +151,12 @@ class KHQRService {
     mobileNumber = null,
     storeLabel = null,
     terminalLabel = null,
+    purposeOfTransaction = null,
+    expiresInSeconds = null,
   }) {
-    const validationError = this.validateRequiredFields(accountId, merchantName);
+    const validationError = this.validateRequiredFields(accountId, merchantName)
+      || this.validateMerchantFields(merchantId, acquiringBank)
+      || (expiresInSeconds !== null ? this.validateExpirySeconds(expiresInSeconds) : null);
     if (validationError) {
       return {
         success: false,
@@ -117,13 +170,14 @@ class KHQRService {
     if (amount > 0) {
       optionalData.amount = amount;
       optionalData.currency = resolvedCurrency;
-      optionalData.expirationTimestamp = Date.now() + 10 * 60 * 1000;
+      optionalData.expirationTimestamp = this.resolveExpirationTimestamp(expiresInSeconds);
     }
 
     if (billNumber) optionalData.billNumber = billNumber;
     if (mobileNumber) optionalData.mobileNumber = mobileNumber;
     if (storeLabel) optionalData.storeLabel = storeLabel;
     if (terminalLabel) optionalData.terminalLabel = terminalLabel;
+    if (purposeOfTransaction) optionalData.purposeOfTransaction = purposeOfTransaction;
 
     const merchantInfo = new MerchantInfo(
       accountId,
@@ -144,6 +198,9 @@ class KHQRService {
         success: true,
         qrString: result.data.qr,
         md5: this.generateMD5(result.data.qr),
+        expiresAt: optionalData.expirationTimestamp
+          ? new Date(optionalData.expirationTimestamp).toISOString()
+          : null,
       };
     } else {
       return {
@@ -160,6 +217,13 @@ class KHQRService {
     return BakongKHQR.verify(qrString);
   }
 
+  /**
+   * Field-level validation report (tags, failing rules, CRC and expiry)
+   */
+  validateKHQR(qrString, options = {}) {
+    return buildKhqrReport(qrString, options);
+  }
+
   /**
    * Decode KHQR string to get information
    */
@@ -183,4 +247,5 @@ class KHQRService {
   }
 }
 
+export { DEFAULT_EXPIRY_SECONDS, MIN_EXPIRY_SECONDS, MAX_EXPIRY_SECONDS };
 export default KHQRService;
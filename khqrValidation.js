@@ -0,0 +1,283 @@
+const CRC_TAG = '63';
+const CURRENCY_CODES = { 840: 'USD', 116: 'KHR' };
+const ACCOUNT_ID_PATTERN = /^[^\s@]+@[^\s@]+$/;
+
+/**
+ * EMV / KHQR tag definitions. maxLength and pattern are checked per tag;
+ * templates list their sub-tags the same way.
+ */
+const TAGS = {
+  '00': { label: 'Payload Format Indicator', required: true, pattern: /^01$/ },
+  '01': { label: 'Point of Initiation Method', required: true, pattern: /^1[12]$/ },
+  15: { label: 'UnionPay Merchant Account', maxLength: 99 },
+  29: {
+    label: 'Individual Account Information',
+    template: {
+      '00': { label: 'Bakong Account ID', required: true, maxLength: 32, pattern: ACCOUNT_ID_PATTERN },
+      '01': { label: 'Account Information', maxLength: 32 },
+      '02': { label: 'Acquiring Bank', maxLength: 32 },
+    },
+  },
+  30: {
+    label: 'Merchant Account Information',
+    template: {
+      '00': { label: 'Bakong Account ID', required: true, maxLength: 32, pattern: ACCOUNT_ID_PATTERN },
+      '01': { label: 'Merchant ID', required: true, maxLength: 32 },
+      '02': { label: 'Acquiring Bank', required: true, maxLength: 32 },
+    },
+  },
+  52: { label: 'Merchant Category Code', required: true, pattern: /^\d{4}$/ },
+  53: { label: 'Transaction Currency', required: true, pattern: /^(840|116)$/ },
+  54: { label: 'Transaction Amount', maxLength: 13, pattern: /^\d+(\.\d{1,2})?$/ },
+  58: { label: 'Country Code', required: true, pattern: /^KH$/ },
+  59: { label: 'Merchant Name', required: true, maxLength: 25 },
+  60: { label: 'Merchant City', required: true, maxLength: 15 },
+  62: {
+    label: 'Additional Data',
+    template: {
+      '01': { label: 'Bill Number', maxLength: 25 },
+      '02': { label: 'Mobile Number', maxLength: 25 },
+      '03': { label: 'Store Label', maxLength: 25 },
+      '07': { label: 'Terminal Label', maxLength: 25 },
+      '08': { label: 'Purpose of Transaction', maxLength: 25 },
+    },
+  },
+  63: { label: 'CRC', required: true, pattern: /^[0-9A-F]{4}$/ },
+  64: {
+    label: 'Merchant Information Language Template',
+    template: {
+      '00': { label: 'Language Preference', maxLength: 2 },
+      '01': { label: 'Merchant Name (Alternate Language)', maxLength: 25 },
+      '02': { label: 'Merchant City (Alternate Language)', maxLength: 15 },
+    },
+  },
+  99: {
+    label: 'Timestamp',
+    template: {
+      '00': { label: 'Creation Timestamp', pattern: /^\d{13}$/ },
+      '01': { label: 'Expiration Timestamp', pattern: /^\d{13}$/ },
+    },
+  },
+};
+
+/**
+ * CRC16/CCITT-FALSE as used by EMV QR (uppercase hex, 4 characters)
+ */
+const crc16 = (payload) => {
+  let crc = 0xffff;
+  for (const byte of Buffer.from(payload, 'utf8')) {
+    crc ^= byte << 8;
+    for (let bit = 0; bit < 8; bit += 1) {
+      crc = crc & 0x8000 ? ((crc << 1) ^ 0x1021) & 0xffff : (crc << 1) & 0xffff;
+    }
+  }
+  return crc.toString(16).toUpperCase().padStart(4, '0');
+};
+
+/**
+ * Split an EMV payload into { id, length, value, offset } entries.
+ * Stops with an error entry when a length runs past the end.
+ */
+const parseTlv = (payload, baseOffset = 0) => {
+  const entries = [];
+  let offset = 0;
+
+  while (offset < payload.length) {
+    const id = payload.slice(offset, offset + 2);
+    const lengthText = payload.slice(offset + 2, offset + 4);
+    const length = /^\d{2}$/.test(lengthText) ? Number(lengthText) : NaN;
+
+    if (!Number.isInteger(length)) {
+      entries.push({
+        id,
+        offset: baseOffset + offset,
+        error: { rule: 'invalid_length', message: `Tag ${id} has a non-numeric length "${lengthText}"` },
+      });
+      break;
+    }
+
+    const value = payload.slice(offset + 4, offset + 4 + length);
+    if (value.length < length) {
+      entries.push({
+        id,
+        length,
+        value,
+        offset: baseOffset + offset,
+        error: {
+          rule: 'length_mismatch',
+          message: `Tag ${id} declares length ${length} but only ${value.length} characters remain`,
+        },
+      });
+      break;
+    }
+
+    entries.push({ id, length, value, offset: baseOffset + offset });
+    offset += 4 + length;
+  }
+
+  return entries;
+};
+
+const checkField = (definition, entry, path) => {
+  const errors = [];
+  if (definition.maxLength && entry.length > definition.maxLength) {
+    errors.push({
+      tag: path,
+      rule: 'max_length',
+      message: `${definition.label} is ${entry.length} characters (max ${definition.maxLength})`,
+    });
+  }
+
+  if (definition.pattern && !definition.pattern.test(entry.value)) {
+    errors.push({
+      tag: path,
+      rule: 'format',
+      message: `${definition.label} has an invalid value "${entry.value}"`,
+    });
+  }
+
+  return errors;
+};
+
+const checkRequired = (definitions, entries, pathPrefix = '') => Object.entries(definitions)
+  .filter(([id, definition]) => definition.required && !entries.some((entry) => entry.id === id))
+  .map(([id, definition]) => ({
+    tag: `${pathPrefix}${id}`,
+    rule: 'required',
+    message: `${definition.label} (tag ${pathPrefix}${id}) is missing`,
+  }));
+
+const buildTagReport = (entry, definitions, pathPrefix, errors) => {
+  const path = `${pathPrefix}${entry.id}`;
+  const definition = definitions[entry.id];
+  const tag = {
+    id: entry.id,
+    path,
+    label: definition?.label || 'Unknown / Reserved',
+    length: entry.length ?? null,
+    value: entry.value ?? null,
+    valid: true,
+  };
+
+  const tagErrors = [];
+  if (entry.error) {
+    tagErrors.push({ tag: path, ...entry.error });
+  } else if (definition) {
+    tagErrors.push(...checkField(definition, entry, path));
+
+    if (definition.template) {
+      const subEntries = parseTlv(entry.value, entry.offset + 4);
+      tag.subTags = subEntries.map((subEntry) => (
+        buildTagReport(subEntry, definition.template, `${path}.`, tagErrors)
+      ));
+      tagErrors.push(...checkRequired(definition.template, subEntries, `${path}.`));
+    }
+  }
+
+  if (tagErrors.length > 0) {
+    tag.valid = false;
+    tag.errors = tagErrors;
+    errors.push(...tagErrors);
+  }
+
+  return tag;
+};
+
+/**
+ * Field-by-field KHQR report: every tag with its label, length and value,
+ * the failing rules, expected vs actual CRC and embedded expiry.
+ */
+const buildKhqrReport = (qrString, { now = Date.now() } = {}) => {
+  const payload = String(qrString || '').trim();
+  const errors = [];
+  const entries = parseTlv(payload);
+  const tags = entries.map((entry) => buildTagReport(entry, TAGS, '', errors));
+  errors.push(...checkRequired(TAGS, entries));
+
+  const idCounts = entries.reduce((counts, entry) => counts.set(entry.id, (counts.get(entry.id) || 0) + 1), new Map());
+  idCounts.forEach((count, id) => {
+    if (count > 1) {
+      errors.push({ tag: id, rule: 'duplicate', message: `Tag ${id} appears ${count} times` });
+    }
+  });
+
+  const hasIndividual = entries.some((entry) => entry.id === '29');
+  const hasMerchant = entries.some((entry) => entry.id === '30');
+  if (!hasIndividual && !hasMerchant) {
+    errors.push({ tag: '29', rule: 'required', message: 'Account information (tag 29 or 30) is missing' });
+  }
+
+  const crcEntry = entries.find((entry) => entry.id === CRC_TAG);
+  let crc = null;
+  if (crcEntry) {
+    const expected = crc16(payload.slice(0, crcEntry.offset + 4));
+    const actual = crcEntry.value || null;
+    crc = { expected, actual, valid: expected === String(actual).toUpperCase() };
+
+    if (!crc.valid) {
+      errors.push({
+        tag: CRC_TAG,
+        rule: 'crc_mismatch',
+        message: `CRC is ${actual} but the payload hashes to ${expected}`,
+      });
+    }
+
+    if (crcEntry.offset + 4 + (crcEntry.length || 0) !== payload.length) {
+      errors.push({ tag: CRC_TAG, rule: 'crc_position', message: 'CRC (tag 63) must be the last field' });
+    }
+  }
+
+  const initiation = entries.find((entry) => entry.id === '01')?.value;
+  const amountValue = entries.find((entry) => entry.id === '54')?.value;
+  const currencyValue = entries.find((entry) => entry.id === '53')?.value;
+  if (initiation === '12' && !(Number(amountValue) > 0)) {
+    errors.push({ tag: '54', rule: 'required', message: 'Dynamic QR (tag 01 = 12) needs a transaction amount' });
+  }
+  if (currencyValue === '116' && amountValue && amountValue.includes('.')) {
+    errors.push({ tag: '54', rule: 'format', message: 'KHR amounts cannot have decimals' });
+  }
+
+  const timestampTag = tags.find((tag) => tag.id === '99');
+  const expirationValue = timestampTag?.subTags?.find((tag) => tag.id === '01')?.value;
+  let expiration = null;
+  if (expirationValue && /^\d{13}$/.test(expirationValue)) {
+    const expiresAtMs = Number(expirationValue);
+    expiration = {
+      timestamp: expirationValue,
+      expiresAt: new Date(expiresAtMs).toISOString(),
+      expired: expiresAtMs <= now,
+    };
+
+    if (expiration.expired) {
+      errors.push({ tag: '99.01', rule: 'expired', message: `QR expired at ${expiration.expiresAt}` });
+    }
+  }
+
+  // Attach report-level errors (CRC, expiry, cross-field rules) to their tags
+  const tagsByPath = new Map();
+  const indexTags = (items) => items.forEach((tag) => {
+    tagsByPath.set(tag.path, tag);
+    indexTags(tag.subTags || []);
+  });
+  indexTags(tags);
+  errors.forEach((error) => {
+    const tag = tagsByPath.get(error.tag);
+    if (tag && !(tag.errors || []).includes(error)) {
+      tag.valid = false;
+      tag.errors = [...(tag.errors || []), error];
+    }
+  });
+
+  return {
+    valid: errors.length === 0,
+    type: initiation === '11' ? 'static' : initiation === '12' ? 'dynamic' : null,
+    accountType: hasMerchant ? 'merchant' : hasIndividual ? 'individual' : null,
+    currency: CURRENCY_CODES[Number(currencyValue)] || null,
+    crc,
+    expiration,
+    errors,
+    tags,
+  };
+};
+
+export { crc16, parseTlv, buildKhqrReport };
@@ -0,0 +1,205 @@
+import crypto from 'crypto';
+import { AsyncLocalStorage } from 'async_hooks';
+
+const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+const REQUEST_ID_HEADER = 'X-Request-Id';
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._:-]{1,128}$/;
+const REDACTED = '[REDACTED]';
+
+// Secrets are dropped entirely; payer account ids keep enough to tell them apart
+const SECRET_KEYS = new Set([
+  'authorization',
+  'token',
+  'apitoken',
+  'accesstoken',
+  'bearertoken',
+  'apikey',
+  'x-api-key',
+  'secret',
+  'returnsecret',
+  'webhooksecret',
+  'password',
+]);
+const ACCOUNT_KEYS = new Set(['fromaccountid', 'fromaccount', 'payeraccountid', 'accountid']);
+
+const contextStorage = new AsyncLocalStorage();
+
+/**
+ * Run fn with a correlation id that every log line (and every async task
+ * started from fn, such as background Bakong calls) picks up
+ */
+const runWithCorrelationId = (correlationId, fn) => contextStorage.run({ correlationId }, fn);
+
+const getCorrelationId = () => contextStorage.getStore()?.correlationId || null;
+
+const newCorrelationId = () => crypto.randomUUID();
+
+/**
+ * Mask a Bakong account id, keeping its first character and bank suffix
+ * (john_smith@aclb -> j***@aclb)
+ */
+const maskAccountId = (value) => {
+  const text = String(value);
+  const [name, bank] = text.split('@');
+  return `${name.slice(0, 1)}***${bank !== undefined ? `@${bank}` : ''}`;
+};
+
+const redactString = (value) => value
+  .replace(/Bearer\s+[A-Za-z0-9._~+/=-]+/gi, `Bearer ${REDACTED}`)
+  .replace(/eyJ[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+/g, REDACTED);
+
+const serializeError = (error) => ({
+  name: error.name,
+  message: redactString(String(error.message)),
+  ...(error.code !== undefined ? { code: error.code } : {}),
+  ...(error.stack ? { stack: redactString(error.stack) } : {}),
+});
+
+/**
+ * Copy of value safe to log: secrets removed, payer account ids masked,
+ * bearer tokens and JWTs stripped from strings, errors made serializable
+ */
+const redact = (value, depth = 0) => {
+  if (typeof value === 'string') {
+    return redactString(value);
+  }
+
+  if (value instanceof Error) {
+    return serializeError(value);
+  }
+
+  if (value === null || typeof value !== 'object' || depth > 8) {
+    return value;
+  }
+
+  if (Array.isArray(value)) {
+    return value.map((item) => redact(item, depth + 1));
+  }
+
+  return Object.fromEntries(Object.entries(value).map(([key, item]) => {
+    const normalizedKey = key.toLowerCase();
+    if (SECRET_KEYS.has(normalizedKey)) {
+      return [key, item ? REDACTED : item];
+    }
+    if (ACCOUNT_KEYS.has(normalizedKey) && typeof item === 'string' && item) {
+      return [key, maskAccountId(item)];
+    }
+    return [key, redact(item, depth + 1)];
+  }));
+};
+
+const parseLevel = (level) => {
+  const normalized = String(level || 'info').toLowerCase();
+  return LOG_LEVELS[normalized] !== undefined ? normalized : 'info';
+};
+
+/**
+ * Structured JSON logger. Each call writes one line with time, level,
+ * msg, the current correlation id and redacted fields. The second argument
+ * may be an object of fields or an Error, so it can stand in for console.
+ * Without a level option, LOG_LEVEL is read on every call so values loaded
+ * from .env after import still apply.
+ */
+class Logger {
+  constructor({ level, bindings = {}, write = null } = {}) {
+    this.levelOption = level;
+    this.bindings = bindings;
+    this.write = write || ((line, levelName) => {
+      (LOG_LEVELS[levelName] >= LOG_LEVELS.warn ? process.stderr : process.stdout).write(`${line}\n`);
+    });
+  }
+
+  get level() {
+    return parseLevel(this.levelOption ?? process.env.LOG_LEVEL);
+  }
+
+  /**
+   * Logger that adds bindings to every line
+   */
+  child(bindings) {
+    return new Logger({ level: this.levelOption, bindings: { ...this.bindings, ...bindings }, write: this.write });
+  }
+
+  isLevelEnabled(levelName) {
+    return LOG_LEVELS[levelName] >= LOG_LEVELS[this.level];
+  }
+
+  emit(levelName, message, fields) {
+    if (!this.isLevelEnabled(levelName)) {
+      return;
+    }
+
+    const extra = fields instanceof Error ? { error: fields } : fields;
+    const correlationId = getCorrelationId();
+    const entry = {
+      time: new Date().toISOString(),
+      level: levelName,
+      msg: redactString(String(message)),
+      ...(correlationId ? { correlationId } : {}),
+      ...redact({ ...this.bindings, ...extra }),
+    };
+    this.write(JSON.stringify(entry), levelName);
+  }
+
+  debug(message, fields) {
+    this.emit('debug', message, fields);
+  }
+
+  info(message, fields) {
+    this.emit('info', message, fields);
+  }
+
+  log(message, fields) {
+    this.emit('info', message, fields);
+  }
+
+  warn(message, fields) {
+    this.emit('warn', message, fields);
+  }
+
+  error(message, fields) {
+    this.emit('error', message, fields);
+  }
+}
+
+/**
+ * Express middleware that gives each request a correlation id (taken from
+ * a well-formed X-Request-Id header or generated), echoes it in the
+ * response and logs the request once it finishes
+ */
+const createRequestLogger = (log) => (req, res, next) => {
+  const incoming = req.get(REQUEST_ID_HEADER);
+  const correlationId = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : newCorrelationId();
+  const startedAt = Date.now();
+
+  req.id = correlationId;
+  res.setHeader(REQUEST_ID_HEADER, correlationId);
+
+  runWithCorrelationId(correlationId, () => {
+    res.on('finish', () => {
+      log.info('Request completed', {
+        method: req.method,
+        // Route pattern rather than the raw path keeps pay link tokens out of logs
+        route: req.route ? `${req.baseUrl}${req.route.path}` : req.path,
+        status: res.statusCode,
+        durationMs: Date.now() - startedAt,
+      });
+    });
+    next();
+  });
+};
+
+const logger = new Logger();
+
+export {
+  LOG_LEVELS,
+  REQUEST_ID_HEADER,
+  runWithCorrelationId,
+  getCorrelationId,
+  newCorrelationId,
+  maskAccountId,
+  redact,
+  createRequestLogger,
+  logger,
+};
+export default Logger;
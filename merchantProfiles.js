@@ -0,0 +1,149 @@
+import fs from 'fs';
+import path from 'path';
+
+const DEFAULT_PROFILE_ID = 'default';
+const SUPPORTED_CURRENCIES = new Set(['USD', 'KHR']);
+const ACCOUNT_TYPES = new Set(['individual', 'merchant']);
+
+const normalizeText = (value) => {
+  if (value === undefined || value === null) {
+    return null;
+  }
+
+  const trimmedValue = String(value).trim();
+  return trimmedValue.length > 0 ? trimmedValue : null;
+};
+
+/**
+ * Normalize and validate one merchant profile definition
+ */
+const normalizeProfile = (profile, index = 0) => {
+  const label = profile?.id ? `Merchant profile "${profile.id}"` : `Merchant profile #${index + 1}`;
+  const id = normalizeText(profile?.id);
+  if (!id) {
+    throw new Error(`${label} is missing an id`);
+  }
+
+  const accountType = String(normalizeText(profile.accountType) || 'individual').toLowerCase();
+  if (!ACCOUNT_TYPES.has(accountType)) {
+    throw new Error(`${label} has an invalid accountType (use individual or merchant)`);
+  }
+
+  const currency = String(normalizeText(profile.currency) || 'USD').toUpperCase();
+  if (!SUPPORTED_CURRENCIES.has(currency)) {
+    throw new Error(`${label} has an invalid currency (use USD or KHR)`);
+  }
+
+  const merchantName = normalizeText(profile.merchantName);
+  const returnUrl = normalizeText(profile.returnUrl);
+  if (returnUrl && !/^https?:\/\//i.test(returnUrl)) {
+    throw new Error(`${label} has an invalid returnUrl (use an http or https URL)`);
+  }
+
+  const sourceInfo = profile.sourceInfo && typeof profile.sourceInfo === 'object'
+    ? profile.sourceInfo
+    : {};
+
+  return {
+    id,
+    accountId: normalizeText(profile.accountId),
+    merchantName,
+    merchantCity: normalizeText(profile.merchantCity) || 'Phnom Penh',
+    mobileNumber: normalizeText(profile.mobileNumber),
+    accountType,
+    merchantId: normalizeText(profile.merchantId),
+    acquiringBank: normalizeText(profile.acquiringBank),
+    storeLabel: normalizeText(profile.storeLabel) || merchantName,
+    currency,
+    returnUrl,
+    returnSecret: normalizeText(profile.returnSecret),
+    sourceInfo: {
+      appIconUrl: normalizeText(sourceInfo.appIconUrl) || 'https://bakong.nbc.org.kh/images/logo.svg',
+      appName: normalizeText(sourceInfo.appName) || merchantName,
+      appDeepLinkCallback: normalizeText(sourceInfo.appDeepLinkCallback),
+    },
+  };
+};
+
+/**
+ * Build the single profile described by the legacy environment variables
+ */
+const buildProfileFromEnv = (env = process.env) => normalizeProfile({
+  id: env.DEFAULT_MERCHANT_PROFILE || DEFAULT_PROFILE_ID,
+  accountId: env.BAKONG_ACCOUNT_ID,
+  merchantName: env.MERCHANT_NAME,
+  merchantCity: env.MERCHANT_CITY,
+  mobileNumber: env.MERCHANT_PHONE,
+  accountType: env.BAKONG_ACCOUNT_TYPE,
+  merchantId: env.MERCHANT_ID,
+  acquiringBank: env.ACQUIRING_BANK,
+  returnUrl: env.PAYMENT_RETURN_URL,
+  returnSecret: env.PAYMENT_RETURN_SECRET,
+});
+
+/**
+ * Registry of merchant profiles, loaded from a JSON config file
+ * (MERCHANT_PROFILES_PATH) or derived from the environment.
+ */
+class MerchantProfileRegistry {
+  constructor(profiles = [], defaultProfileId = null) {
+    this.profiles = new Map();
+
+    profiles.forEach((profile, index) => {
+      const normalized = normalizeProfile(profile, index);
+      if (this.profiles.has(normalized.id)) {
+        throw new Error(`Merchant profile "${normalized.id}" is defined more than once`);
+      }
+      this.profiles.set(normalized.id, normalized);
+    });
+
+    if (this.profiles.size === 0) {
+      throw new Error('At least one merchant profile is required');
+    }
+
+    this.defaultProfileId = defaultProfileId && this.profiles.has(defaultProfileId)
+      ? defaultProfileId
+      : this.profiles.keys().next().value;
+  }
+
+  /**
+   * Load profiles from a JSON file: an array or { defaultProfile, profiles }
+   */
+  static fromFile(filePath) {
+    const content = JSON.parse(fs.readFileSync(path.resolve(filePath), 'utf8'));
+    const profiles = Array.isArray(content) ? content : content.profiles;
+    if (!Array.isArray(profiles)) {
+      throw new Error(`Merchant profiles file ${filePath} must contain a profiles array`);
+    }
+
+    return new MerchantProfileRegistry(profiles, content.defaultProfile || null);
+  }
+
+  static fromEnv(env = process.env) {
+    if (env.MERCHANT_PROFILES_PATH) {
+      return MerchantProfileRegistry.fromFile(env.MERCHANT_PROFILES_PATH);
+    }
+
+    const profile = buildProfileFromEnv(env);
+    return new MerchantProfileRegistry([profile], profile.id);
+  }
+
+  /**
+   * Get profile by id, or the default profile when no id is given
+   */
+  get(profileId = null) {
+    const resolvedId = normalizeText(profileId) || this.defaultProfileId;
+    return this.profiles.get(resolvedId) || null;
+  }
+
+  has(profileId) {
+    return this.profiles.has(profileId);
+  }
+
+  list() {
+    return Array.from(this.profiles.values());
+  }
+}
+
+export { DEFAULT_PROFILE_ID, normalizeProfile, buildProfileFromEnv };
+export default MerchantProfileRegistry;
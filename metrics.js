@@ -0,0 +1,245 @@
+const METRICS_CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+const BAKONG_LATENCY_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 20];
+const COMPLETION_BUCKETS = [5, 10, 30, 60, 120, 300, 600, 1800, 3600];
+
+const escapeLabelValue = (value) => String(value)
+  .replace(/\\/g, '\\\\')
+  .replace(/\n/g, '\\n')
+  .replace(/"/g, '\\"');
+
+const formatLabels = (labels) => {
+  const entries = Object.entries(labels);
+  return entries.length > 0
+    ? `{${entries.map(([name, value]) => `${name}="${escapeLabelValue(value)}"`).join(',')}}`
+    : '';
+};
+
+const formatNumber = (value) => (Number.isFinite(value) ? String(value) : value > 0 ? '+Inf' : '-Inf');
+
+const labelKey = (labelNames, labels) => JSON.stringify(labelNames.map((name) => String(labels[name] ?? '')));
+
+const pickLabels = (labelNames, labels) => Object.fromEntries(
+  labelNames.map((name) => [name, labels[name] ?? ''])
+);
+
+class Counter {
+  constructor(name, help, labelNames = []) {
+    Object.assign(this, { name, help, labelNames, type: 'counter' });
+    this.values = new Map();
+  }
+
+  inc(labels = {}, value = 1) {
+    const key = labelKey(this.labelNames, labels);
+    const entry = this.values.get(key) || { labels: pickLabels(this.labelNames, labels), value: 0 };
+    entry.value += value;
+    this.values.set(key, entry);
+  }
+
+  get(labels = {}) {
+    return this.values.get(labelKey(this.labelNames, labels))?.value || 0;
+  }
+
+  async collect() {
+    return Array.from(this.values.values())
+      .map(({ labels, value }) => `${this.name}${formatLabels(labels)} ${formatNumber(value)}`);
+  }
+}
+
+class Histogram {
+  constructor(name, help, labelNames = [], buckets = BAKONG_LATENCY_BUCKETS) {
+    Object.assign(this, { name, help, labelNames, type: 'histogram' });
+    this.buckets = [...buckets].sort((a, b) => a - b);
+    this.values = new Map();
+  }
+
+  observe(labels = {}, value) {
+    const key = labelKey(this.labelNames, labels);
+    const entry = this.values.get(key) || {
+      labels: pickLabels(this.labelNames, labels),
+      counts: this.buckets.map(() => 0),
+      sum: 0,
+      count: 0,
+    };
+    this.buckets.forEach((bound, index) => {
+      if (value <= bound) {
+        entry.counts[index] += 1;
+      }
+    });
+    entry.sum += value;
+    entry.count += 1;
+    this.values.set(key, entry);
+  }
+
+  get(labels = {}) {
+    const entry = this.values.get(labelKey(this.labelNames, labels));
+    return entry ? { sum: entry.sum, count: entry.count } : { sum: 0, count: 0 };
+  }
+
+  async collect() {
+    return Array.from(this.values.values()).flatMap(({ labels, counts, sum, count }) => [
+      ...this.buckets.map((bound, index) => (
+        `${this.name}_bucket${formatLabels({ ...labels, le: formatNumber(bound) })} ${counts[index]}`
+      )),
+      `${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`,
+      `${this.name}_sum${formatLabels(labels)} ${formatNumber(sum)}`,
+      `${this.name}_count${formatLabels(labels)} ${count}`,
+    ]);
+  }
+}
+
+/**
+ * Gauge read at scrape time: collectValues returns [{ labels, value }]
+ */
+class Gauge {
+  constructor(name, help, labelNames = [], collectValues = async () => []) {
+    Object.assign(this, { name, help, labelNames, type: 'gauge', collectValues });
+  }
+
+  async collect() {
+    const values = await this.collectValues();
+    return values.map(({ labels = {}, value }) => (
+      `${this.name}${formatLabels(pickLabels(this.labelNames, labels))} ${formatNumber(value)}`
+    ));
+  }
+}
+
+/**
+ * Minimal Prometheus registry rendering the text exposition format
+ */
+class MetricsRegistry {
+  constructor() {
+    this.metrics = new Map();
+  }
+
+  register(metric) {
+    if (this.metrics.has(metric.name)) {
+      throw new Error(`Metric ${metric.name} is already registered`);
+    }
+    this.metrics.set(metric.name, metric);
+    return metric;
+  }
+
+  counter(name, help, labelNames) {
+    return this.register(new Counter(name, help, labelNames));
+  }
+
+  histogram(name, help, labelNames, buckets) {
+    return this.register(new Histogram(name, help, labelNames, buckets));
+  }
+
+  gauge(name, help, labelNames, collectValues) {
+    return this.register(new Gauge(name, help, labelNames, collectValues));
+  }
+
+  async render() {
+    const blocks = await Promise.all(Array.from(this.metrics.values()).map(async (metric) => [
+      `# HELP ${metric.name} ${metric.help.replace(/\\/g, '\\\\').replace(/\n/g, '\\n')}`,
+      `# TYPE ${metric.name} ${metric.type}`,
+      ...(await metric.collect()),
+    ].join('\n')));
+    return `${blocks.join('\n')}\n`;
+  }
+}
+
+/**
+ * Register the service metrics and subscribe to Bakong API calls and
+ * payment store events. Returns the registry and its metrics.
+ */
+const createServiceMetrics = ({ bakongAPI, paymentStore, registry = new MetricsRegistry() }) => {
+  const bakongRequestDuration = registry.histogram(
+    'bakong_api_request_duration_seconds',
+    'Bakong API request latency, including any IPv4 fallback',
+    ['endpoint'],
+    BAKONG_LATENCY_BUCKETS
+  );
+  const bakongRequests = registry.counter(
+    'bakong_api_requests_total',
+    'Bakong API requests by endpoint and errorCode ("none" for provider responses without one)',
+    ['endpoint', 'error_code']
+  );
+  const bakongRetries = registry.counter(
+    'bakong_api_retries_total',
+    'Bakong API requests that were retries of a failed status check',
+    ['endpoint']
+  );
+  const bakongIpv4Fallbacks = registry.counter(
+    'bakong_api_ipv4_fallbacks_total',
+    'Bakong API requests that fell back to IPv4 after a network error or timeout',
+    ['endpoint']
+  );
+  const paymentsCreated = registry.counter(
+    'bakong_payments_created_total',
+    'Payments created',
+    ['currency']
+  );
+  const paymentsCompleted = registry.counter(
+    'bakong_payments_completed_total',
+    'Payments that reached completed',
+    ['currency']
+  );
+  const completionSeconds = registry.histogram(
+    'bakong_payment_completion_seconds',
+    'Time from payment creation to completion',
+    ['currency'],
+    COMPLETION_BUCKETS
+  );
+  registry.gauge(
+    'bakong_payments_pending',
+    'Payments currently pending',
+    ['currency'],
+    async () => {
+      const counts = new Map();
+      (await paymentStore.listByStatus('pending')).forEach((payment) => {
+        counts.set(payment.currency, (counts.get(payment.currency) || 0) + 1);
+      });
+      return Array.from(counts, ([currency, value]) => ({ labels: { currency }, value }));
+    }
+  );
+
+  bakongAPI.on('call', ({ endpoint, durationMs, errorCode, attempt, ipv4Fallback }) => {
+    bakongRequestDuration.observe({ endpoint }, durationMs / 1000);
+    bakongRequests.inc({ endpoint, error_code: errorCode ?? 'none' });
+    if (attempt > 1) {
+      bakongRetries.inc({ endpoint });
+    }
+    if (ipv4Fallback) {
+      bakongIpv4Fallbacks.inc({ endpoint });
+    }
+  });
+
+  paymentStore.on('created', (payment) => {
+    paymentsCreated.inc({ currency: payment.currency });
+  });
+
+  paymentStore.on('statusChanged', (payment) => {
+    if (payment.status !== 'completed') {
+      return;
+    }
+
+    paymentsCompleted.inc({ currency: payment.currency });
+    const elapsedMs = new Date(payment.completedAt).getTime() - new Date(payment.createdAt).getTime();
+    if (Number.isFinite(elapsedMs) && elapsedMs >= 0) {
+      completionSeconds.observe({ currency: payment.currency }, elapsedMs / 1000);
+    }
+  });
+
+  return {
+    registry,
+    bakongRequestDuration,
+    bakongRequests,
+    bakongRetries,
+    bakongIpv4Fallbacks,
+    paymentsCreated,
+    paymentsCompleted,
+    completionSeconds,
+  };
+};
+
+export {
+  METRICS_CONTENT_TYPE,
+  Counter,
+  Histogram,
+  Gauge,
+  createServiceMetrics,
+};
+export default MetricsRegistry;
@@ -0,0 +1,114 @@
+/**
+ * Decimal money helpers. Amounts are parsed from their decimal text and
+ * kept as integer minor units (cents, whole riel) so no float drift creeps
+ * into stored amounts or totals.
+ */
+const CURRENCY_PRECISION = {
+  USD: 2,
+  KHR: 0,
+};
+
+const AMOUNT_LIMITS = {
+  USD: { min: 1, max: 10_000_000 }, // 0.01 – 100,000.00 USD in cents
+  KHR: { min: 100, max: 400_000_000 }, // 100 – 400,000,000 riel
+};
+
+const DECIMAL_PATTERN = /^(\d+)(?:\.(\d+))?$/;
+
+const getPrecision = (currency) => {
+  const precision = CURRENCY_PRECISION[currency];
+  if (precision === undefined) {
+    throw new Error(`Unsupported currency: ${currency}`);
+  }
+  return precision;
+};
+
+/**
+ * Integer minor units to a plain number (1050 USD → 10.5)
+ */
+const fromMinorUnits = (minor, currency) => Number(formatAmount(minor, currency));
+
+/**
+ * Integer minor units to a fixed decimal string (1050 USD → "10.50")
+ */
+const formatAmount = (minor, currency) => {
+  const precision = getPrecision(currency);
+  const negative = minor < 0;
+  const digits = String(Math.abs(minor)).padStart(precision + 1, '0');
+  const whole = precision > 0 ? digits.slice(0, -precision) : digits;
+  const fraction = precision > 0 ? `.${digits.slice(-precision)}` : '';
+  return `${negative ? '-' : ''}${whole}${fraction}`;
+};
+
+/**
+ * Parse an amount given as a decimal string or number. Returns
+ * { minor, amount, text } or { error } when the value is not a positive
+ * decimal, has more decimals than the currency allows, or is out of range.
+ */
+const parseAmount = (value, currency, { checkLimits = true } = {}) => {
+  const precision = getPrecision(currency);
+  const text = typeof value === 'number' ? String(value) : String(value ?? '').trim();
+  const match = DECIMAL_PATTERN.exec(text);
+  if (!match) {
+    return { error: 'Amount is required and must be a positive decimal number' };
+  }
+
+  const [, whole, fraction = ''] = match;
+  const significantFraction = fraction.replace(/0+$/, '');
+  if (significantFraction.length > precision) {
+    return {
+      error: precision === 0
+        ? `${currency} amounts must be whole numbers`
+        : `${currency} amounts can have at most ${precision} decimal places`,
+    };
+  }
+
+  const minor = Number(`${whole}${significantFraction.padEnd(precision, '0')}`);
+  if (!Number.isSafeInteger(minor) || minor <= 0) {
+    return { error: 'Amount is required and must be greater than 0' };
+  }
+
+  if (checkLimits) {
+    const limitError = validateAmountLimits(minor, currency);
+    if (limitError) {
+      return { error: limitError };
+    }
+  }
+
+  return { minor, amount: fromMinorUnits(minor, currency), text: formatAmount(minor, currency) };
+};
+
+/**
+ * Check per-currency minimum and maximum, returning an error message or null
+ */
+const validateAmountLimits = (minor, currency) => {
+  const { min, max } = AMOUNT_LIMITS[currency];
+  if (minor < min || minor > max) {
+    return `${currency} amount must be between ${formatAmount(min, currency)} and ${formatAmount(max, currency)}`;
+  }
+  return null;
+};
+
+/**
+ * A stored (number) amount to minor units, rounding away representation noise
+ */
+const toMinorUnits = (amount, currency) => Math.round(Number(amount) * 10 ** getPrecision(currency));
+
+/**
+ * Sum amounts of one currency without float drift
+ */
+const sumAmounts = (amounts, currency) => fromMinorUnits(
+  amounts.reduce((total, amount) => total + toMinorUnits(amount ?? 0, currency), 0),
+  currency
+);
+
+export {
+  CURRENCY_PRECISION,
+  AMOUNT_LIMITS,
+  parseAmount,
+  validateAmountLimits,
+  toMinorUnits,
+  fromMinorUnits,
+  formatAmount,
+  sumAmounts,
+};
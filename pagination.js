@@ -0,0 +1,172 @@
+const DEFAULT_PAGE_LIMIT = 50;
+const MAX_PAGE_LIMIT = 200;
+const DEFAULT_SORT = '-createdAt';
+const SORT_FIELDS = ['createdAt', 'completedAt', 'amount', 'billNumber', 'status'];
+
+/**
+ * Cursor for the item after which the next page starts. It carries the sort
+ * it was made for and the last item's sort value and md5 (the tiebreaker).
+ */
+const encodeCursor = (sort, item) => Buffer.from(JSON.stringify({
+  sort,
+  value: item[sort.replace(/^-/, '')] ?? null,
+  md5: item.md5,
+})).toString('base64url');
+
+const decodeCursor = (cursor) => {
+  try {
+    const decoded = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    return decoded && typeof decoded.sort === 'string' && typeof decoded.md5 === 'string' ? decoded : null;
+  } catch (_error) {
+    return null;
+  }
+};
+
+/**
+ * Parse limit, sort and cursor query options, returning { options } or { error }.
+ * sort is a field name, prefixed with "-" for descending.
+ */
+const parsePageOptions = (query = {}) => {
+  const limit = query.limit === undefined || query.limit === '' ? DEFAULT_PAGE_LIMIT : Number(query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_LIMIT) {
+    return { error: `limit must be a whole number between 1 and ${MAX_PAGE_LIMIT}` };
+  }
+
+  const sort = String(query.sort || DEFAULT_SORT);
+  if (!SORT_FIELDS.includes(sort.replace(/^-/, ''))) {
+    return { error: `sort must be one of ${SORT_FIELDS.join(', ')} (prefix with - for descending)` };
+  }
+
+  let cursor = null;
+  if (query.cursor) {
+    cursor = decodeCursor(query.cursor);
+    if (!cursor) {
+      return { error: 'cursor is invalid' };
+    }
+    if (cursor.sort !== sort) {
+      return { error: 'cursor was created for a different sort' };
+    }
+  }
+
+  return { options: { limit, sort, cursor } };
+};
+
+// Missing values sort last in both directions; md5 breaks ties
+const buildComparator = (sort) => {
+  const descending = sort.startsWith('-');
+  const field = sort.replace(/^-/, '');
+
+  return (a, b) => {
+    const left = a[field] ?? null;
+    const right = b[field] ?? null;
+    if (left !== right) {
+      if (left === null) return 1;
+      if (right === null) return -1;
+      if (left < right) return descending ? 1 : -1;
+      if (left > right) return descending ? -1 : 1;
+    }
+
+    return a.md5 < b.md5 ? -1 : a.md5 > b.md5 ? 1 : 0;
+  };
+};
+
+// Stand-in record for the position a cursor points after
+const cursorRecord = (sort, cursor) => ({ [sort.replace(/^-/, '')]: cursor.value, md5: cursor.md5 });
+
+/**
+ * md5s kept in the order of one sort and updated as records change, so a
+ * page is a binary search plus a scan that stops once the page is full.
+ * getRecord(md5) returns the stored record; remove a record before the
+ * stored copy changes and add it back afterwards.
+ */
+class SortedIndex {
+  constructor(sort, getRecord, records = []) {
+    this.sort = sort;
+    this.compare = buildComparator(sort);
+    this.getRecord = getRecord;
+    this.md5s = [...records].sort(this.compare).map((record) => record.md5);
+  }
+
+  // First position whose record sorts after the given one
+  positionAfter(record) {
+    let low = 0;
+    let high = this.md5s.length;
+    while (low < high) {
+      const middle = (low + high) >> 1;
+      if (this.compare(this.getRecord(this.md5s[middle]), record) <= 0) {
+        low = middle + 1;
+      } else {
+        high = middle;
+      }
+    }
+    return low;
+  }
+
+  add(record) {
+    this.md5s.splice(this.positionAfter(record), 0, record.md5);
+  }
+
+  remove(record) {
+    const position = this.positionAfter(record) - 1;
+    const index = this.md5s[position] === record.md5 ? position : this.md5s.indexOf(record.md5);
+    if (index !== -1) {
+      this.md5s.splice(index, 1);
+    }
+  }
+
+  /**
+   * Records in order, starting after the cursor (if any)
+   */
+  * scan(cursor = null) {
+    const start = cursor ? this.positionAfter(cursorRecord(this.sort, cursor)) : 0;
+    for (let index = start; index < this.md5s.length; index += 1) {
+      yield this.getRecord(this.md5s[index]);
+    }
+  }
+}
+
+/**
+ * Collect one page from records that are already in sort order, skipping
+ * those the filter rejects: { data, nextCursor, hasMore }
+ */
+const readPage = (records, { limit = DEFAULT_PAGE_LIMIT, sort = DEFAULT_SORT } = {}, filter = null) => {
+  const data = [];
+  let hasMore = false;
+  for (const record of records) {
+    if (filter && !filter(record)) {
+      continue;
+    }
+    if (data.length === limit) {
+      hasMore = true;
+      break;
+    }
+    data.push(record);
+  }
+
+  return {
+    data,
+    nextCursor: hasMore ? encodeCursor(sort, data[data.length - 1]) : null,
+    hasMore,
+  };
+};
+
+/**
+ * Sort an array and return one page: { data, nextCursor, hasMore, total }
+ */
+const paginate = (items, { limit = DEFAULT_PAGE_LIMIT, sort = DEFAULT_SORT, cursor = null } = {}) => {
+  const byMd5 = new Map(items.map((item) => [item.md5, item]));
+  const index = new SortedIndex(sort, (md5) => byMd5.get(md5), items);
+  return { ...readPage(index.scan(cursor), { limit, sort }), total: items.length };
+};
+
+export {
+  DEFAULT_PAGE_LIMIT,
+  MAX_PAGE_LIMIT,
+  SORT_FIELDS,
+  encodeCursor,
+  decodeCursor,
+  parsePageOptions,
+  SortedIndex,
+  readPage,
+  paginate,
+};
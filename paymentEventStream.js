@@ -0,0 +1,150 @@
+import { getPaymentExpiresAt } from './paymentStatus.js';
+
+const TERMINAL_STATUSES = new Set([
+  'completed',
+  'underpaid',
+  'overpaid',
+  'currency_mismatch',
+  'failed',
+  'expired',
+  'superseded',
+]);
+
+// Hosted payment pages identify payments by link token, never by md5
+const omitMd5 = ({ md5: _md5, ...data }) => data;
+
+/**
+ * Server-Sent Events hub for payment updates.
+ * Pushes "deeplink_ready", "status_changed" and "expired" events to
+ * clients subscribed to a payment md5.
+ */
+class PaymentEventStream {
+  constructor({
+    paymentStore,
+    heartbeatMs = 25000,
+  }) {
+    this.paymentStore = paymentStore;
+    this.heartbeatMs = heartbeatMs;
+    this.subscribers = new Map();
+
+    paymentStore.on('updated', (payment, previous) => {
+      if (payment.deeplinkUrl && payment.deeplinkUrl !== previous.deeplinkUrl) {
+        this.publish(payment.md5, 'deeplink_ready', {
+          md5: payment.md5,
+          deeplinkUrl: payment.deeplinkUrl,
+        });
+      }
+    });
+
+    paymentStore.on('statusChanged', (payment, previousStatus) => {
+      this.publish(payment.md5, 'status_changed', {
+        md5: payment.md5,
+        status: payment.status,
+        previousStatus,
+        completedAt: payment.completedAt ?? null,
+        mismatch: payment.mismatch ?? null,
+      });
+
+      if (payment.status === 'expired') {
+        this.publish(payment.md5, 'expired', { md5: payment.md5 });
+      }
+
+      if (TERMINAL_STATUSES.has(payment.status)) {
+        this.closeAll(payment.md5);
+      }
+    });
+  }
+
+  getExpiresAt(payment) {
+    return getPaymentExpiresAt(payment) ?? Date.now();
+  }
+
+  writeEvent(res, eventName, data) {
+    res.write(`event: ${eventName}\ndata: ${JSON.stringify(data)}\n\n`);
+  }
+
+  publish(md5, eventName, data) {
+    const clients = this.subscribers.get(md5);
+    if (!clients) {
+      return;
+    }
+
+    for (const client of clients) {
+      client.send(eventName, data);
+    }
+  }
+
+  closeAll(md5) {
+    const clients = this.subscribers.get(md5);
+    if (!clients) {
+      return;
+    }
+
+    for (const client of Array.from(clients)) {
+      client.close();
+    }
+  }
+
+  /**
+   * Attach an Express response as an SSE client for a stored payment.
+   * With includeMd5 false the md5 is left out of every event.
+   */
+  subscribe(req, res, payment, { includeMd5 = true } = {}) {
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no',
+    });
+    res.flushHeaders?.();
+
+    const { md5 } = payment;
+    const send = (eventName, data) => this.writeEvent(res, eventName, includeMd5 ? data : omitMd5(data));
+    send('snapshot', {
+      md5,
+      status: payment.status,
+      deeplinkUrl: payment.deeplinkUrl ?? null,
+      expiresAt: new Date(this.getExpiresAt(payment)).toISOString(),
+    });
+
+    if (payment.deeplinkUrl) {
+      send('deeplink_ready', { md5, deeplinkUrl: payment.deeplinkUrl });
+    }
+
+    if (TERMINAL_STATUSES.has(payment.status)) {
+      res.end();
+      return;
+    }
+
+    const clients = this.subscribers.get(md5) || new Set();
+    this.subscribers.set(md5, clients);
+
+    const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), this.heartbeatMs);
+    const expiryTimer = setTimeout(async () => {
+      const current = await this.paymentStore.get(md5);
+      if (current && current.status === 'pending') {
+        send('expired', { md5 });
+        client.close();
+      }
+    }, Math.max(0, this.getExpiresAt(payment) - Date.now()));
+
+    const client = {
+      res,
+      send,
+      close: () => {
+        clearInterval(heartbeat);
+        clearTimeout(expiryTimer);
+        clients.delete(client);
+        if (clients.size === 0) {
+          this.subscribers.delete(md5);
+        }
+        res.end();
+      },
+    };
+
+    clients.add(client);
+    req.on('close', client.close);
+  }
+}
+
+export default PaymentEventStream;
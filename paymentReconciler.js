@@ -0,0 +1,191 @@
+import {
+  lookupPaymentStatus,
+  applyPaymentStatus,
+  isPaymentExpired,
+  isResolvedStatus,
+} from './paymentStatus.js';
+import { logger as defaultLogger, runWithCorrelationId, newCorrelationId } from './logger.js';
+
+const parseIntOption = (value, fallback) => {
+  const parsed = Number.parseInt(String(value ?? ''), 10);
+  return Number.isFinite(parsed) && parsed > 0 ? parsed : fallback;
+};
+
+/**
+ * Background worker that resolves pending payments without client polling.
+ * Each sweep checks pending payments that are due; the delay between checks
+ * doubles as a payment ages. Once its QR has expired a payment gets one
+ * final check and is marked expired unless that check completes it.
+ * A provider error never expires a payment; it stays pending and is
+ * checked again later. Every sweep gets its own correlation id for its
+ * Bakong calls and logs.
+ */
+class PaymentReconciler {
+  constructor({
+    paymentStore,
+    bakongAPI,
+    khqrService,
+    intervalMs = process.env.RECONCILE_INTERVAL_MS,
+    baseDelayMs = process.env.RECONCILE_BASE_DELAY_MS,
+    maxDelayMs = process.env.RECONCILE_MAX_DELAY_MS,
+    ageStepMs = process.env.RECONCILE_AGE_STEP_MS,
+    enabled = process.env.RECONCILE_ENABLED,
+    logger = defaultLogger,
+  }) {
+    this.paymentStore = paymentStore;
+    this.bakongAPI = bakongAPI;
+    this.khqrService = khqrService;
+    this.logger = logger;
+    this.intervalMs = parseIntOption(intervalMs, 5000);
+    this.baseDelayMs = parseIntOption(baseDelayMs, 5000);
+    this.maxDelayMs = parseIntOption(maxDelayMs, 60000);
+    this.ageStepMs = parseIntOption(ageStepMs, 60000);
+    this.enabled = String(enabled ?? 'true').toLowerCase() !== 'false';
+    this.nextCheckAt = new Map();
+    this.timer = null;
+    this.sweeping = false;
+  }
+
+  /**
+   * Reconciliation needs an enabled flag and a Bakong token
+   */
+  shouldRun() {
+    return this.enabled && Boolean(this.bakongAPI.apiToken);
+  }
+
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    this.timer = setInterval(() => {
+      void runWithCorrelationId(newCorrelationId(), () => this.sweep()
+        .then(({ checked, resolved }) => {
+          if (checked > 0) {
+            this.logger.info('Payment reconciliation sweep finished', { checked, resolved });
+          }
+        })
+        .catch((error) => {
+          this.logger.error('Payment reconciliation sweep failed', { error });
+        }));
+    }, this.intervalMs);
+
+    // Do not keep the process alive just for reconciliation.
+    this.timer.unref?.();
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  getPaymentAgeMs(payment, now) {
+    const createdAt = new Date(payment.createdAt || 0).getTime();
+    return Math.max(0, now - (Number.isFinite(createdAt) ? createdAt : 0));
+  }
+
+  /**
+   * Delay before the next check, doubling for every age step
+   */
+  getCheckDelayMs(ageMs) {
+    const steps = Math.floor(ageMs / this.ageStepMs);
+    return Math.min(this.maxDelayMs, this.baseDelayMs * (2 ** Math.min(steps, 16)));
+  }
+
+  isDue(payment, now) {
+    const nextCheckAt = this.nextCheckAt.get(payment.md5);
+    return nextCheckAt === undefined || now >= nextCheckAt;
+  }
+
+  /**
+   * Check every due pending payment once
+   */
+  async sweep(now = Date.now()) {
+    if (this.sweeping) {
+      return { checked: 0, resolved: 0 };
+    }
+
+    this.sweeping = true;
+    let checked = 0;
+    let resolved = 0;
+
+    try {
+      const payments = await this.paymentStore.listByStatus('pending');
+      const pendingMd5s = new Set();
+
+      for (const payment of payments) {
+        pendingMd5s.add(payment.md5);
+        if (!this.isDue(payment, now)) {
+          continue;
+        }
+
+        checked += 1;
+        const resolution = isPaymentExpired(payment, now)
+          ? await this.expire(payment)
+          : await this.reconcile(payment);
+        if (isResolvedStatus(resolution.status) || resolution.status === 'expired') {
+          resolved += 1;
+          pendingMd5s.delete(payment.md5);
+          continue;
+        }
+
+        const delayMs = this.getCheckDelayMs(this.getPaymentAgeMs(payment, now));
+        this.nextCheckAt.set(payment.md5, now + delayMs);
+      }
+
+      // Forget schedules for payments that resolved or expired elsewhere.
+      for (const md5 of this.nextCheckAt.keys()) {
+        if (!pendingMd5s.has(md5)) {
+          this.nextCheckAt.delete(md5);
+        }
+      }
+    } finally {
+      this.sweeping = false;
+    }
+
+    return { checked, resolved };
+  }
+
+  /**
+   * Look up and apply the provider status for a single payment
+   */
+  async reconcile(payment) {
+    const resolution = await lookupPaymentStatus({
+      bakongAPI: this.bakongAPI,
+      khqrService: this.khqrService,
+      md5: payment.md5,
+      payment,
+    });
+
+    await applyPaymentStatus(this.paymentStore, payment.md5, resolution);
+    return resolution;
+  }
+
+  /**
+   * Final check for an expired QR. The payment is closed as expired only
+   * when Bakong reports it as not found or pending; a provider error
+   * (expired token, timeout, ...) is recorded and the payment stays pending.
+   */
+  async expire(payment) {
+    const resolution = await lookupPaymentStatus({
+      bakongAPI: this.bakongAPI,
+      khqrService: this.khqrService,
+      md5: payment.md5,
+      payment,
+    });
+
+    if (resolution.status === 'error') {
+      await applyPaymentStatus(this.paymentStore, payment.md5, resolution);
+      return resolution;
+    }
+
+    const status = isResolvedStatus(resolution.status) ? resolution.status : 'expired';
+    await applyPaymentStatus(this.paymentStore, payment.md5, { ...resolution, status });
+    this.nextCheckAt.delete(payment.md5);
+    return { ...resolution, status };
+  }
+}
+
+export default PaymentReconciler;
@@ -0,0 +1,175 @@
+import crypto from 'crypto';
+
+const SIGNATURE_PARAM = 'signature';
+const REFRESH_SECONDS = 5;
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+/**
+ * Canonical form of the return parameters: sorted by name, URL encoded,
+ * without the signature itself
+ */
+const canonicalizeReturnParams = (params) => new URLSearchParams(
+  Object.entries(params)
+    .filter(([name, value]) => name !== SIGNATURE_PARAM && value !== undefined && value !== null)
+    .map(([name, value]) => [name, String(value)])
+    .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0))
+).toString();
+
+/**
+ * Sign return parameters: hex HMAC-SHA256 over the canonical query string
+ */
+const signReturnParams = (secret, params) => crypto
+  .createHmac('sha256', secret)
+  .update(canonicalizeReturnParams(params))
+  .digest('hex');
+
+/**
+ * Verify the query a merchant receives on its return URL
+ */
+const verifyReturnParams = (secret, query, toleranceSeconds = 300) => {
+  const signature = query?.[SIGNATURE_PARAM];
+  if (!secret || typeof signature !== 'string' || !query.timestamp) {
+    return false;
+  }
+
+  const ageSeconds = Math.abs(Math.floor(Date.now() / 1000) - Number(query.timestamp));
+  if (!Number.isFinite(ageSeconds) || ageSeconds > toleranceSeconds) {
+    return false;
+  }
+
+  const expected = Buffer.from(signReturnParams(secret, query));
+  const received = Buffer.from(signature);
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+};
+
+/**
+ * Deeplink callback URL carrying the payment's link token as ?ref=, whether
+ * it is the built-in /payment/callback page or a profile's own callback
+ */
+const buildCallbackUrl = (callbackUrl, ref) => {
+  try {
+    const url = new URL(callbackUrl);
+    url.searchParams.set('ref', ref);
+    return url.toString();
+  } catch (_error) {
+    return `${callbackUrl}${callbackUrl.includes('?') ? '&' : '?'}ref=${encodeURIComponent(ref)}`;
+  }
+};
+
+/**
+ * Merchant return URL with the payment outcome as signed query parameters
+ * (billNumber, status, amount, currency, transactionHash, timestamp)
+ */
+const buildReturnUrl = (returnUrl, secret, payment, { now = Date.now() } = {}) => {
+  const params = {
+    billNumber: payment.billNumber,
+    status: payment.status,
+    amount: payment.amount,
+    currency: payment.currency,
+    transactionHash: payment.transactionHash || undefined,
+    timestamp: Math.floor(now / 1000),
+  };
+
+  const url = new URL(returnUrl);
+  Object.entries(params).forEach(([name, value]) => {
+    if (value !== undefined) {
+      url.searchParams.set(name, String(value));
+    }
+  });
+  // Sign every parameter the merchant will receive, including any already in returnUrl
+  url.searchParams.set(SIGNATURE_PARAM, signReturnParams(secret, Object.fromEntries(url.searchParams)));
+  return url.toString();
+};
+
+const OUTCOMES = {
+  completed: { title: 'Payment Successful!', message: 'Thank you for your payment.', icon: '✓', color: '#28a745' },
+  pending: { title: 'Waiting for Confirmation', message: 'We have not received the payment yet.', icon: '…', color: '#0b6d98' },
+  underpaid: { title: 'Payment Amount Differs', message: 'We received a different amount. The merchant will contact you.', icon: '!', color: '#b56704' },
+  overpaid: { title: 'Payment Amount Differs', message: 'We received a different amount. The merchant will contact you.', icon: '!', color: '#b56704' },
+  currency_mismatch: { title: 'Payment Currency Differs', message: 'We received a different currency. The merchant will contact you.', icon: '!', color: '#b56704' },
+  failed: { title: 'Payment Failed', message: 'The payment did not go through.', icon: '✕', color: '#b4232f' },
+  expired: { title: 'Payment Expired', message: 'This payment request expired before it was paid.', icon: '✕', color: '#b4232f' },
+  superseded: { title: 'Payment Replaced', message: 'This QR was replaced by a newer one. Please use the latest request.', icon: '!', color: '#b56704' },
+  not_found: { title: 'Payment Not Found', message: 'We could not find this payment.', icon: '?', color: '#5d6f86' },
+};
+
+/**
+ * Render the page shown when the Bakong app returns to the callback.
+ * Pending payments refresh themselves until they resolve.
+ */
+const renderCallbackPage = (status, payment = null) => {
+  const outcome = OUTCOMES[status] || OUTCOMES.pending;
+  const isPending = !OUTCOMES[status] || status === 'pending';
+  const amount = payment
+    ? `<p class="detail">${escapeHtml(payment.amount)} ${escapeHtml(payment.currency)} · ${escapeHtml(payment.billNumber)}</p>`
+    : '';
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  ${isPending ? `<meta http-equiv="refresh" content="${REFRESH_SECONDS}">` : ''}
+  <title>${escapeHtml(outcome.title)}</title>
+  <style>
+    body {
+      font-family: Arial, sans-serif;
+      display: flex;
+      justify-content: center;
+      align-items: center;
+      min-height: 100vh;
+      margin: 0;
+      padding: 16px;
+      box-sizing: border-box;
+      background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+    }
+    .container {
+      background: white;
+      padding: 40px;
+      border-radius: 10px;
+      box-shadow: 0 10px 40px rgba(0,0,0,0.2);
+      text-align: center;
+      max-width: 420px;
+    }
+    h1 { color: ${outcome.color}; margin-bottom: 10px; }
+    p { color: #666; font-size: 18px; }
+    .detail { font-size: 15px; color: #333; }
+    .icon {
+      width: 80px;
+      height: 80px;
+      line-height: 80px;
+      border-radius: 50%;
+      background: ${outcome.color};
+      color: white;
+      font-size: 44px;
+      margin: 20px auto;
+    }
+  </style>
+</head>
+<body>
+  <div class="container">
+    <div class="icon">${outcome.icon}</div>
+    <h1>${escapeHtml(outcome.title)}</h1>
+    <p>${escapeHtml(outcome.message)}</p>
+    ${amount}
+    <p>${isPending ? 'This page refreshes automatically.' : 'You can close this window now.'}</p>
+  </div>
+</body>
+</html>`;
+};
+
+export {
+  SIGNATURE_PARAM,
+  canonicalizeReturnParams,
+  signReturnParams,
+  verifyReturnParams,
+  buildCallbackUrl,
+  buildReturnUrl,
+  renderCallbackPage,
+};
@@ -0,0 +1,327 @@
+import { DEFAULT_EXPIRY_SECONDS } from './khqrService.js';
+import { CURRENCY_PRECISION, toMinorUnits } from './money.js';
+
+// Money arrived but did not match the requested amount or currency
+const PAYMENT_MISMATCH_STATUSES = ['underpaid', 'overpaid', 'currency_mismatch'];
+
+// Statuses for which Bakong has settled the transaction; they never change again
+const SETTLED_STATUSES = ['completed', ...PAYMENT_MISMATCH_STATUSES];
+
+const isSettledStatus = (status) => SETTLED_STATUSES.includes(status);
+
+// Every status a stored payment can have
+const PAYMENT_STATUSES = [
+  'pending',
+  ...SETTLED_STATUSES,
+  'failed',
+  'expired',
+  'superseded',
+  'error',
+];
+
+/**
+ * Statuses that need no further provider checks
+ */
+const isResolvedStatus = (status) => isSettledStatus(status) || status === 'failed';
+
+/**
+ * QR deadline for a stored payment in ms. Records created before expiry was
+ * stored fall back to the default lifetime from createdAt.
+ */
+const getPaymentExpiresAt = (payment) => {
+  const expiresAt = new Date(payment?.expiresAt ?? NaN).getTime();
+  if (Number.isFinite(expiresAt)) {
+    return expiresAt;
+  }
+
+  const createdAt = new Date(payment?.createdAt ?? NaN).getTime();
+  return Number.isFinite(createdAt) ? createdAt + DEFAULT_EXPIRY_SECONDS * 1000 : null;
+};
+
+const isPaymentExpired = (payment, now = Date.now()) => {
+  const expiresAt = getPaymentExpiresAt(payment);
+  return expiresAt !== null && now >= expiresAt;
+};
+
+const isLikelyPendingMessage = (message) => {
+  if (typeof message !== 'string' || !message.trim()) {
+    return false;
+  }
+
+  return /(not found|not yet|pending|processing|wait)/i.test(message);
+};
+
+/**
+ * Compare a settled Bakong transaction with the stored payment.
+ * Returns completed, underpaid, overpaid or currency_mismatch with the
+ * expected and received values. Payments without a stored amount
+ * (or transactions without one) are treated as completed.
+ */
+const comparePaidAmount = (payment, transaction) => {
+  const expected = {
+    amount: payment?.amount ?? null,
+    currency: payment?.currency ?? null,
+  };
+  const received = {
+    amount: transaction?.amount ?? null,
+    currency: transaction?.currency ? String(transaction.currency).toUpperCase() : null,
+  };
+
+  if (!(Number(expected.amount) > 0) || received.amount === null || received.amount === undefined) {
+    return { status: 'completed', expected, received };
+  }
+
+  if (expected.currency && received.currency && expected.currency !== received.currency) {
+    return { status: 'currency_mismatch', expected, received };
+  }
+
+  const currency = CURRENCY_PRECISION[expected.currency] !== undefined ? expected.currency : 'USD';
+  const difference = toMinorUnits(received.amount, currency) - toMinorUnits(expected.amount, currency);
+  if (difference < 0) {
+    return { status: 'underpaid', expected, received };
+  }
+
+  if (difference > 0) {
+    return { status: 'overpaid', expected, received };
+  }
+
+  return { status: 'completed', expected, received };
+};
+
+/**
+ * Map a Bakong transaction lookup result to a payment status.
+ * A payment that is still pending past its QR deadline is reported as expired,
+ * and a settled transaction is checked against the stored amount and currency.
+ */
+const resolvePaymentStatus = (result, payment = null, now = Date.now()) => {
+  if (!result || typeof result !== 'object') {
+    return 'error';
+  }
+
+  const responseCode = Number(result.responseCode);
+  const errorCode = result.errorCode;
+  const errorCodeNumber = Number(errorCode);
+  const responseMessage = typeof result.responseMessage === 'string'
+    ? result.responseMessage
+    : '';
+
+  if (responseCode === 0) {
+    return payment ? comparePaidAmount(payment, result.data).status : 'completed';
+  }
+
+  if (errorCodeNumber === 3) {
+    return 'failed';
+  }
+
+  if (errorCodeNumber === 1 || isLikelyPendingMessage(responseMessage)) {
+    return payment && isPaymentExpired(payment, now) ? 'expired' : 'pending';
+  }
+
+  if ([
+    'MISSING_TOKEN',
+    'TOKEN_EXPIRED',
+    'UNAUTHORIZED',
+    'TIMEOUT',
+    'NETWORK_ERROR',
+    'INVALID_RESPONSE',
+  ].includes(String(errorCode))) {
+    return 'error';
+  }
+
+  if (responseCode === -1) {
+    return 'error';
+  }
+
+  // Unknown non-success provider responses are treated as actionable errors.
+  return 'error';
+};
+
+const getProviderSummary = (result) => ({
+  responseCode: result?.responseCode ?? null,
+  errorCode: result?.errorCode ?? null,
+  responseMessage: result?.responseMessage ?? null,
+});
+
+const formatPaid = ({ amount, currency }) => `${amount ?? '?'} ${currency ?? ''}`.trim();
+
+const buildStatusMessage = (status, result, payment = null) => {
+  if (status === 'completed') {
+    return 'Payment completed';
+  }
+
+  if (PAYMENT_MISMATCH_STATUSES.includes(status)) {
+    const { expected, received } = comparePaidAmount(payment, result?.data);
+    const label = {
+      underpaid: 'Payment is less than the requested amount',
+      overpaid: 'Payment is more than the requested amount',
+      currency_mismatch: 'Payment was made in a different currency',
+    }[status];
+    return `${label}: received ${formatPaid(received)}, expected ${formatPaid(expected)}`;
+  }
+
+  if (status === 'failed') {
+    return result?.responseMessage || 'Payment failed';
+  }
+
+  if (status === 'pending') {
+    return result?.responseMessage || 'Payment is still pending';
+  }
+
+  if (status === 'expired') {
+    return 'KHQR expired before the payment was completed';
+  }
+
+  return result?.responseMessage || 'Unable to confirm payment status due to provider error';
+};
+
+/**
+ * Identify a transaction reference: md5 (32 hex), full sha256 hash (64 hex)
+ * or short hash (first 8 hex of the sha256)
+ */
+const detectHashType = (value) => {
+  const text = String(value || '').trim().toLowerCase();
+  if (/^[a-f0-9]{32}$/.test(text)) return 'md5';
+  if (/^[a-f0-9]{64}$/.test(text)) return 'hash';
+  if (/^[a-f0-9]{8}$/.test(text)) return 'short_hash';
+  return null;
+};
+
+/**
+ * Check a transaction by any supported reference.
+ * Short hashes also need the amount and currency.
+ */
+const checkTransactionByReference = async (bakongAPI, reference, { amount, currency } = {}) => {
+  const type = detectHashType(reference);
+  const hash = String(reference).trim().toLowerCase();
+
+  if (type === 'md5') {
+    return bakongAPI.checkTransactionByMD5(hash);
+  }
+
+  if (type === 'hash') {
+    return bakongAPI.checkTransactionByHash(hash);
+  }
+
+  if (type === 'short_hash') {
+    return bakongAPI.checkTransactionByShortHash(hash, amount, currency);
+  }
+
+  return {
+    responseCode: -1,
+    errorCode: 'INVALID_REFERENCE',
+    responseMessage: 'Expected an md5 (32 hex), hash (64 hex) or short hash (8 hex)',
+  };
+};
+
+/**
+ * Look up a payment with Bakong by md5, falling back to the short hash
+ * when the md5 lookup still reports pending (or expired).
+ */
+const lookupPaymentStatus = async ({ bakongAPI, khqrService, md5, payment = null }) => {
+  let result = await bakongAPI.checkTransactionByMD5(md5);
+  let status = resolvePaymentStatus(result, payment);
+  let checkedBy = 'md5';
+  let fallbackProvider = null;
+
+  if (
+    (status === 'pending' || status === 'expired')
+    && payment
+    && payment.qrString
+    && bakongAPI.apiToken
+  ) {
+    const shortHash = khqrService.generateShortHash(payment.qrString);
+    const shortHashResult = await bakongAPI.checkTransactionByShortHash(
+      shortHash,
+      payment.amount,
+      payment.currency
+    );
+    const shortHashStatus = resolvePaymentStatus(shortHashResult, payment);
+
+    fallbackProvider = {
+      checkedBy: 'short_hash',
+      ...getProviderSummary(shortHashResult),
+    };
+
+    if (isResolvedStatus(shortHashStatus)) {
+      result = shortHashResult;
+      status = shortHashStatus;
+      checkedBy = 'short_hash';
+    }
+  }
+
+  return {
+    result,
+    status,
+    checkedBy,
+    fallbackProvider,
+  };
+};
+
+/**
+ * Persist a resolved status onto the stored payment.
+ * A settled payment (completed or a mismatch) is never moved to another status.
+ */
+const applyPaymentStatus = async (paymentStore, md5, { status, result, checkedBy }) => {
+  const current = await paymentStore.get(md5);
+  if (!current) {
+    return null;
+  }
+
+  if (isSettledStatus(current.status)) {
+    return current;
+  }
+
+  if (isSettledStatus(status)) {
+    const { expected, received } = comparePaidAmount(current, result?.data);
+    return paymentStore.update(md5, {
+      status,
+      completedAt: new Date().toISOString(),
+      transactionHash: result?.data?.hash || null,
+      fromAccount: result?.data?.fromAccountId || null,
+      paidAmount: received.amount,
+      paidCurrency: received.currency,
+      mismatch: status === 'completed' ? null : { expected, received },
+    });
+  }
+
+  if (status === 'failed') {
+    return paymentStore.update(md5, { status: 'failed' });
+  }
+
+  if (status === 'expired' && current.status !== 'expired') {
+    return paymentStore.update(md5, {
+      status: 'expired',
+      expiredAt: new Date().toISOString(),
+    });
+  }
+
+  if (status === 'error') {
+    return paymentStore.update(md5, {
+      lastProviderError: {
+        checkedAt: new Date().toISOString(),
+        checkedBy,
+        ...getProviderSummary(result),
+      },
+    });
+  }
+
+  return current;
+};
+
+export {
+  PAYMENT_STATUSES,
+  PAYMENT_MISMATCH_STATUSES,
+  isSettledStatus,
+  isResolvedStatus,
+  comparePaidAmount,
+  getPaymentExpiresAt,
+  isPaymentExpired,
+  isLikelyPendingMessage,
+  resolvePaymentStatus,
+  getProviderSummary,
+  buildStatusMessage,
+  detectHashType,
+  checkTransactionByReference,
+  lookupPaymentStatus,
+  applyPaymentStatus,
+};
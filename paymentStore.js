@@ -0,0 +1,256 @@
+import { EventEmitter } from 'events';
+import { withJsonLinesFile } from './jsonLinesStore.js';
+import { SortedIndex, readPage } from './pagination.js';
+
+const clonePayment = (payment) => (payment ? { ...payment } : null);
+
+/**
+ * In-memory payment repository (data is lost on restart).
+ * Emits "created" for new payments, "updated" for every later save and
+ * "statusChanged" when a saved payment's status differs from the stored one.
+ * Payments are indexed by status and, once a sort is first used, kept in
+ * that sort order so listings do not sort the whole store per page.
+ */
+class MemoryPaymentStore extends EventEmitter {
+  constructor() {
+    super();
+    this.payments = new Map();
+    this.billNumberIndex = new Map();
+    this.idempotencyIndex = new Map();
+    this.payLinkIndex = new Map();
+    this.statusIndex = new Map();
+    this.sortedIndexes = new Map();
+  }
+
+  indexStatus(payment, previous) {
+    if (previous && previous.status !== payment.status) {
+      this.statusIndex.get(previous.status)?.delete(payment.md5);
+    }
+
+    const md5s = this.statusIndex.get(payment.status) || new Set();
+    md5s.add(payment.md5);
+    this.statusIndex.set(payment.status, md5s);
+  }
+
+  indexPayment(payment, previous = null) {
+    this.indexStatus(payment, previous);
+
+    if (payment.idempotencyKey) {
+      this.idempotencyIndex.set(payment.idempotencyKey, payment.md5);
+    }
+
+    if (payment.payLinkToken) {
+      this.payLinkIndex.set(payment.payLinkToken, payment.md5);
+    }
+
+    if (previous?.billNumber && previous.billNumber !== payment.billNumber) {
+      this.unindexBillNumber(previous.billNumber, payment.md5);
+    }
+
+    if (!payment.billNumber) {
+      return;
+    }
+
+    const md5List = this.billNumberIndex.get(payment.billNumber) || [];
+    if (!md5List.includes(payment.md5)) {
+      md5List.push(payment.md5);
+    }
+    this.billNumberIndex.set(payment.billNumber, md5List);
+  }
+
+  unindexBillNumber(billNumber, md5) {
+    const md5List = (this.billNumberIndex.get(billNumber) || []).filter((item) => item !== md5);
+    if (md5List.length > 0) {
+      this.billNumberIndex.set(billNumber, md5List);
+    } else {
+      this.billNumberIndex.delete(billNumber);
+    }
+  }
+
+  applyRecord(payment) {
+    const previous = this.payments.get(payment.md5) || null;
+    if (previous) {
+      this.sortedIndexes.forEach((index) => index.remove(previous));
+    }
+    this.payments.set(payment.md5, payment);
+    this.indexPayment(payment, previous);
+    this.sortedIndexes.forEach((index) => index.add(payment));
+  }
+
+  getSortedIndex(sort) {
+    let index = this.sortedIndexes.get(sort);
+    if (!index) {
+      index = new SortedIndex(sort, (md5) => this.payments.get(md5), this.payments.values());
+      this.sortedIndexes.set(sort, index);
+    }
+    return index;
+  }
+
+  async persist(_payment) {
+    // Memory store has nothing to flush.
+  }
+
+  /**
+   * Get payment by md5 hash
+   */
+  async get(md5) {
+    return clonePayment(this.payments.get(md5));
+  }
+
+  /**
+   * Get the most recent payment for a bill number
+   */
+  async getByBillNumber(billNumber) {
+    const md5List = this.billNumberIndex.get(billNumber);
+    if (!md5List || md5List.length === 0) {
+      return null;
+    }
+
+    return clonePayment(this.payments.get(md5List[md5List.length - 1]));
+  }
+
+  /**
+   * Get the payment created with an idempotency key
+   */
+  async getByIdempotencyKey(idempotencyKey) {
+    const md5 = this.idempotencyIndex.get(idempotencyKey);
+    return md5 ? clonePayment(this.payments.get(md5)) : null;
+  }
+
+  /**
+   * Get the payment behind a hosted payment link token
+   */
+  async getByPayLinkToken(token) {
+    const md5 = this.payLinkIndex.get(token);
+    return md5 ? clonePayment(this.payments.get(md5)) : null;
+  }
+
+  /**
+   * List every payment for a bill number, oldest first
+   */
+  async listByBillNumber(billNumber) {
+    const md5List = this.billNumberIndex.get(billNumber) || [];
+    return md5List.map((md5) => clonePayment(this.payments.get(md5)));
+  }
+
+  /**
+   * Insert or replace a payment record (keyed by md5)
+   */
+  async save(payment) {
+    if (!payment || !payment.md5) {
+      throw new Error('Payment md5 is required');
+    }
+
+    // Written before it is applied, so a failed write leaves memory matching disk
+    const record = { ...payment };
+    await this.persist(record);
+    const previous = this.payments.get(payment.md5) || null;
+    this.applyRecord(record);
+
+    if (!previous) {
+      this.emit('created', clonePayment(record));
+    } else {
+      this.emit('updated', clonePayment(record), clonePayment(previous));
+      if (previous.status !== record.status) {
+        this.emit('statusChanged', clonePayment(record), previous.status);
+      }
+    }
+
+    return clonePayment(record);
+  }
+
+  /**
+   * Merge changes into an existing payment
+   */
+  async update(md5, changes) {
+    const current = this.payments.get(md5);
+    if (!current) {
+      return null;
+    }
+
+    return this.save({ ...current, ...changes, md5 });
+  }
+
+  /**
+   * List payments in insertion order, optionally only those matching filter
+   */
+  async list(filter = null) {
+    const payments = Array.from(this.payments.values());
+    return (filter ? payments.filter(filter) : payments).map(clonePayment);
+  }
+
+  /**
+   * List payments with a status without scanning the store
+   */
+  async listByStatus(status) {
+    return Array.from(this.statusIndex.get(status) || [], (md5) => clonePayment(this.payments.get(md5)));
+  }
+
+  /**
+   * One page of payments matching filter in the given sort (see pagination.js):
+   * { data, nextCursor, hasMore }. Scans from the cursor and stops once the page is full.
+   */
+  async page({ sort, cursor = null, limit, filter = null }) {
+    const page = readPage(this.getSortedIndex(sort).scan(cursor), { limit, sort }, filter);
+    return { ...page, data: page.data.map(clonePayment) };
+  }
+
+  /**
+   * Payments whose field lies between min and max (inclusive, either may be
+   * null), ordered by that field and matching filter. With a bound given,
+   * only that slice of the field's sort order is scanned.
+   */
+  async listRange(field, { min = null, max = null } = {}, filter = null) {
+    const index = this.getSortedIndex(field);
+    const start = min === null ? 0 : index.positionAfter({ [field]: min, md5: '' });
+    const bounded = min !== null || max !== null;
+    const payments = [];
+
+    for (let position = start; position < index.md5s.length; position += 1) {
+      const payment = this.payments.get(index.md5s[position]);
+      const value = payment[field] ?? null;
+      if (bounded && (value === null || (max !== null && value > max))) {
+        break;
+      }
+      if (!filter || filter(payment)) {
+        payments.push(clonePayment(payment));
+      }
+    }
+
+    return payments;
+  }
+}
+
+/**
+ * Append-only JSON lines payment repository (see jsonLinesStore.js).
+ * The last line for an md5 wins on load; the log is compacted on startup
+ * and after PAYMENT_STORE_COMPACT_STALE_LINES outdated lines.
+ */
+class JsonFilePaymentStore extends withJsonLinesFile(MemoryPaymentStore, {
+  keyField: 'md5',
+  recordsField: 'payments',
+}) {}
+
+/**
+ * Create payment store from driver name ("memory" or "file")
+ */
+const createPaymentStore = ({
+  driver = process.env.PAYMENT_STORE || 'file',
+  filePath = process.env.PAYMENT_STORE_PATH || 'data/payments.jsonl',
+  compactAfterStaleLines = process.env.PAYMENT_STORE_COMPACT_STALE_LINES,
+} = {}) => {
+  const resolvedDriver = String(driver).toLowerCase();
+
+  if (resolvedDriver === 'memory') {
+    return new MemoryPaymentStore();
+  }
+
+  if (resolvedDriver === 'file') {
+    return new JsonFilePaymentStore(filePath, { compactAfterStaleLines });
+  }
+
+  throw new Error(`Unsupported PAYMENT_STORE driver: ${driver}`);
+};
+
+export { MemoryPaymentStore, JsonFilePaymentStore, createPaymentStore };
+export default createPaymentStore;
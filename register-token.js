@@ -1,77 +1,181 @@
-import fetch from 'node-fetch';
+import dotenv from 'dotenv';
 import readline from 'readline';
+import { parseArgs } from 'util';
+import BakongAPIService from './bakongAPI.js';
+import Logger from './logger.js';
+import { getTokenStatus } from './bakongToken.js';
+import { upsertEnvValue } from './envFile.js';
 
-const rl = readline.createInterface({
-  input: process.stdin,
-  output: process.stdout
-});
-
-const question = (query) => new Promise((resolve) => rl.question(query, resolve));
-
-const BASE_URL = 'https://api-bakong.nbc.org.kh';
-
-async function registerToken() {
-  console.log('\n🔐 Bakong API Token Registration Helper\n');
-  console.log('This script will help you get your Bakong API token.\n');
-
-  try {
-    // Step 1: Get user information
-    console.log('📝 Step 1: Enter your information\n');
-    const email = await question('Email address: ');
-    const organization = await question('Organization/Business name: ');
-    const project = await question('Project name: ');
-
-    console.log('\n🚀 Requesting token...\n');
-
-    // Step 2: Request token
-    const requestResponse = await fetch(`${BASE_URL}/v1/request_token`, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ email, organization, project })
-    });
-
-    const requestResult = await requestResponse.json();
-
-    if (requestResult.responseCode === 0) {
-      console.log('✅', requestResult.responseMessage);
-      console.log('\n📧 Please check your email for the verification code.\n');
-
-      // Step 3: Verify code
-      const code = await question('Enter verification code: ');
-
-      console.log('\n🔍 Verifying code...\n');
-
-      const verifyResponse = await fetch(`${BASE_URL}/v1/verify`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ code })
-      });
-
-      const verifyResult = await verifyResponse.json();
-
-      if (verifyResult.responseCode === 0 && verifyResult.data?.token) {
-        console.log('🎉 Success! Your token has been generated.\n');
-        console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n');
-        console.log('📋 Your Bakong API Token:\n');
-        console.log(verifyResult.data.token);
-        console.log('\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n');
-        console.log('⚠️  Keep this token secure! Add it to your .env file:\n');
-        console.log(`BAKONG_API_TOKEN=${verifyResult.data.token}\n`);
-        console.log('💡 Tip: Copy .env.example to .env and paste the token there.\n');
-      } else {
-        console.log('❌ Verification failed:', verifyResult.responseMessage);
-        console.log('Error code:', verifyResult.errorCode);
-      }
-    } else {
-      console.log('❌ Request failed:', requestResult.responseMessage);
-      console.log('Error code:', requestResult.errorCode);
+// Load environment variables
+dotenv.config();
+
+const usage = `
+Usage:
+  npm run register -- [register] --email <email> --organization <name> --project <name> [--code <code>]
+  npm run register -- verify --code <code>
+  npm run register -- renew [--email <email>]
+
+Options:
+  --write-env [--env-file <path>]  Save BAKONG_API_TOKEN to .env (or the given file)
+  --base-url <url>                 Bakong API base URL (default BAKONG_API_BASE_URL)
+  --no-prompt                      Fail instead of prompting for missing values
+
+Environment fallbacks: BAKONG_TOKEN_EMAIL, BAKONG_TOKEN_ORGANIZATION,
+BAKONG_TOKEN_PROJECT, BAKONG_TOKEN_CODE.
+Prompts are only shown when stdin is a terminal.
+`;
+
+let rl = null;
+
+const ask = (query) => {
+  rl = rl || readline.createInterface({ input: process.stdin, output: process.stdout });
+  return new Promise((resolve) => rl.question(query, (answer) => resolve(answer.trim())));
+};
+
+/**
+ * Resolve a value from a flag, then the environment, then a prompt
+ */
+async function resolveInput(flagValue, envName, prompt, { canPrompt }) {
+  const value = flagValue || process.env[envName];
+  if (value) {
+    return value;
+  }
+
+  if (canPrompt) {
+    const answer = await ask(prompt);
+    if (answer) {
+      return answer;
     }
-  } catch (error) {
-    console.error('\n❌ Error:', error.message);
-  } finally {
-    rl.close();
   }
+
+  throw new Error(`Missing ${prompt.replace(/:\s*$/, '').toLowerCase()} (flag or ${envName})`);
+}
+
+const assertOk = (result, action) => {
+  if (result.responseCode !== 0) {
+    const code = result.errorCode !== undefined ? ` (error code ${result.errorCode})` : '';
+    throw new Error(`${action} failed: ${result.responseMessage || 'Unknown error'}${code}`);
+  }
+  return result;
+};
+
+function outputToken(token, values) {
+  const info = getTokenStatus(token);
+  console.log('🎉 Success! Your token has been generated.\n');
+  if (info.expiresAt) {
+    console.log(`⏳ Expires at: ${info.expiresAt}\n`);
+  }
+
+  if (values['write-env']) {
+    const envFile = values['env-file'] || '.env';
+    const { filePath, created } = upsertEnvValue(envFile, 'BAKONG_API_TOKEN', token);
+    console.log(`💾 ${created ? 'Created' : 'Updated'} BAKONG_API_TOKEN in ${filePath}`);
+    console.log('   A running server keeps its old token until restarted or updated via PUT /api/admin/token.\n');
+    return;
+  }
+
+  console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n');
+  console.log('📋 Your Bakong API Token:\n');
+  console.log(token);
+  console.log('\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n');
+  console.log('⚠️  Keep this token secure! Add it to your .env file (or rerun with --write-env):\n');
+  console.log(`BAKONG_API_TOKEN=${token}\n`);
+}
+
+async function verifyCode(bakongAPI, values, options) {
+  const code = await resolveInput(values.code, 'BAKONG_TOKEN_CODE', 'Verification code: ', options);
+  console.log('\n🔍 Verifying code...\n');
+
+  const result = assertOk(await bakongAPI.verifyToken(code), 'Verification');
+  if (!result.data?.token) {
+    throw new Error('Verification succeeded but no token was returned');
+  }
+
+  outputToken(result.data.token, values);
 }
 
-// Run the registration
-registerToken();
+async function main() {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      email: { type: 'string' },
+      organization: { type: 'string' },
+      project: { type: 'string' },
+      code: { type: 'string' },
+      'base-url': { type: 'string' },
+      'write-env': { type: 'boolean' },
+      'env-file': { type: 'string' },
+      'no-prompt': { type: 'boolean' },
+      help: { type: 'boolean', short: 'h' },
+    },
+  });
+
+  if (values.help) {
+    console.log(usage);
+    return;
+  }
+
+  const [command = 'register'] = positionals;
+  const options = { canPrompt: !values['no-prompt'] && Boolean(process.stdin.isTTY) };
+  const bakongAPI = new BakongAPIService(
+    null,
+    values['base-url'] || process.env.BAKONG_API_BASE_URL || undefined,
+    { logger: new Logger({ level: process.env.LOG_LEVEL || 'silent' }) }
+  );
+
+  console.log(`\n🔐 Bakong API Token (${bakongAPI.baseUrl})\n`);
+
+  if (command === 'verify') {
+    await verifyCode(bakongAPI, values, options);
+    return;
+  }
+
+  if (command === 'renew') {
+    const email = await resolveInput(values.email, 'BAKONG_TOKEN_EMAIL', 'Email address: ', options);
+    console.log('🔄 Renewing token...\n');
+
+    const result = assertOk(await bakongAPI.renewToken(email), 'Renewal');
+    if (result.data?.token) {
+      outputToken(result.data.token, values);
+      return;
+    }
+
+    console.log('✅', result.responseMessage || 'Renewal requested');
+    console.log('\n📧 If you received a verification code, run: npm run register -- verify --code <code>\n');
+    return;
+  }
+
+  if (command !== 'register') {
+    throw new Error(`Unknown command: ${command}\n${usage}`);
+  }
+
+  const email = await resolveInput(values.email, 'BAKONG_TOKEN_EMAIL', 'Email address: ', options);
+  const organization = await resolveInput(
+    values.organization,
+    'BAKONG_TOKEN_ORGANIZATION',
+    'Organization: ',
+    options
+  );
+  const project = await resolveInput(values.project, 'BAKONG_TOKEN_PROJECT', 'Project: ', options);
+
+  console.log('🚀 Requesting token...\n');
+  const result = assertOk(await bakongAPI.requestToken(email, organization, project), 'Request');
+  console.log('✅', result.responseMessage || 'Token requested');
+  console.log('\n📧 Please check your email for the verification code.\n');
+
+  if (!values.code && !process.env.BAKONG_TOKEN_CODE && !options.canPrompt) {
+    console.log('Then run: npm run register -- verify --code <code>\n');
+    return;
+  }
+
+  await verifyCode(bakongAPI, values, options);
+}
+
+try {
+  await main();
+} catch (error) {
+  console.error('\n❌ Error:', error.message);
+  process.exitCode = 1;
+} finally {
+  rl?.close();
+}
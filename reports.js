@@ -0,0 +1,305 @@
+import { CURRENCY_PRECISION, toMinorUnits, formatAmount } from './money.js';
+import { PAYMENT_STATUSES, isSettledStatus } from './paymentStatus.js';
+
+const REPORT_TIME_ZONE = 'Asia/Phnom_Penh';
+const ICT_OFFSET_MS = 7 * 60 * 60 * 1000; // Cambodia is UTC+7 all year
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const DATE_FIELDS = { created: 'createdAt', completed: 'completedAt' };
+const REPORT_VIEWS = ['payments', 'daily'];
+const EXPORT_FORMATS = ['csv', 'json'];
+
+/**
+ * Calendar day in Cambodia time (YYYY-MM-DD), or null for a missing date
+ */
+const toIctDate = (value) => {
+  const ms = new Date(value ?? NaN).getTime();
+  return Number.isFinite(ms) ? new Date(ms + ICT_OFFSET_MS).toISOString().slice(0, 10) : null;
+};
+
+/**
+ * Date and time in Cambodia time (YYYY-MM-DD HH:mm:ss), or null
+ */
+const toIctDateTime = (value) => {
+  const ms = new Date(value ?? NaN).getTime();
+  return Number.isFinite(ms)
+    ? new Date(ms + ICT_OFFSET_MS).toISOString().slice(0, 19).replace('T', ' ')
+    : null;
+};
+
+const isCalendarDate = (value) => (
+  DATE_PATTERN.test(value) && new Date(`${value}T00:00:00Z`).toISOString().startsWith(value)
+);
+
+const parseList = (value) => (value === undefined || value === null || value === ''
+  ? []
+  : String(value).split(',').map((item) => item.trim()).filter(Boolean));
+
+/**
+ * Parse report query filters, returning { filters } or { error }.
+ * from/to are inclusive ICT calendar days; status and currency take
+ * comma separated lists; dateField is created (default) or completed.
+ * Payment listings use the same filters.
+ */
+const parseReportFilters = (query = {}) => {
+  const from = query.from ? String(query.from) : null;
+  const to = query.to ? String(query.to) : null;
+  if ((from && !isCalendarDate(from)) || (to && !isCalendarDate(to))) {
+    return { error: 'from and to must be dates in YYYY-MM-DD format (Cambodia time)' };
+  }
+
+  if (from && to && from > to) {
+    return { error: 'from must be on or before to' };
+  }
+
+  const statuses = parseList(query.status).map((status) => status.toLowerCase());
+  const unknownStatus = statuses.find((status) => !PAYMENT_STATUSES.includes(status));
+  if (unknownStatus) {
+    return { error: `Unknown status "${unknownStatus}". Use ${PAYMENT_STATUSES.join(', ')}` };
+  }
+
+  const currencies = parseList(query.currency).map((currency) => currency.toUpperCase());
+  const unknownCurrency = currencies.find((currency) => CURRENCY_PRECISION[currency] === undefined);
+  if (unknownCurrency) {
+    return { error: 'Currency must be either USD or KHR' };
+  }
+
+  const dateField = String(query.dateField || 'created').toLowerCase();
+  if (!DATE_FIELDS[dateField]) {
+    return { error: 'dateField must be created or completed' };
+  }
+
+  const storeLabel = typeof query.storeLabel === 'string' && query.storeLabel.trim()
+    ? query.storeLabel.trim()
+    : null;
+  const billNumberPrefix = typeof query.billNumberPrefix === 'string' && query.billNumberPrefix.trim()
+    ? query.billNumberPrefix.trim()
+    : null;
+
+  return {
+    filters: {
+      from,
+      to,
+      statuses,
+      currencies,
+      storeLabel,
+      billNumberPrefix,
+      dateField,
+    },
+  };
+};
+
+/**
+ * Whether a payment matches the filters. Payments without the chosen date
+ * are left out once a date range is given.
+ */
+const matchesReportFilters = (payment, filters) => {
+  const date = toIctDate(payment[DATE_FIELDS[filters.dateField]]);
+  if ((filters.from || filters.to) && !date) {
+    return false;
+  }
+
+  if ((filters.from && date < filters.from) || (filters.to && date > filters.to)) {
+    return false;
+  }
+
+  if (filters.statuses.length > 0 && !filters.statuses.includes(payment.status)) {
+    return false;
+  }
+
+  if (filters.currencies.length > 0 && !filters.currencies.includes(payment.currency)) {
+    return false;
+  }
+
+  if (filters.billNumberPrefix && !String(payment.billNumber || '').startsWith(filters.billNumberPrefix)) {
+    return false;
+  }
+
+  return !filters.storeLabel
+    || String(payment.storeLabel || '').toLowerCase() === filters.storeLabel.toLowerCase();
+};
+
+const filterPayments = (payments, filters) => payments.filter((payment) => matchesReportFilters(payment, filters));
+
+const shiftDate = (date, days) => new Date(Date.parse(`${date}T00:00:00Z`) + days * 86400000)
+  .toISOString()
+  .slice(0, 10);
+
+/**
+ * Stored date field and ISO string bounds that contain the filters' ICT
+ * days, for a range scan (a UTC day either side, so the bounds are loose;
+ * matchesReportFilters still applies the exact ICT days)
+ */
+const getReportDateRange = (filters) => ({
+  field: DATE_FIELDS[filters.dateField],
+  min: filters.from ? shiftDate(filters.from, -1) : null,
+  max: filters.to ? shiftDate(filters.to, 1) : null,
+});
+
+/**
+ * Currency and amount a payment adds to gross totals (what was received)
+ */
+const getGross = (payment) => {
+  if (!isSettledStatus(payment.status)) {
+    return null;
+  }
+
+  const currency = payment.paidCurrency || payment.currency;
+  const amount = payment.paidAmount ?? payment.amount;
+  if (CURRENCY_PRECISION[currency] === undefined || amount === null || amount === undefined) {
+    return null;
+  }
+
+  return { currency, minor: toMinorUnits(amount, currency) };
+};
+
+const summarizeBucket = (bucket) => ({
+  paymentCount: bucket.paymentCount,
+  settledCount: bucket.settledCount,
+  grossAmount: formatAmount(bucket.grossMinor, bucket.currency),
+  averageTicket: formatAmount(
+    bucket.settledCount > 0 ? Math.round(bucket.grossMinor / bucket.settledCount) : 0,
+    bucket.currency
+  ),
+  statuses: bucket.statuses,
+});
+
+/**
+ * Per currency, per ICT day totals: payment counts by status, gross
+ * received, settled count and average ticket. Amounts are decimal strings.
+ */
+const buildDailyReport = (payments, filters) => {
+  const days = new Map();
+  const totals = new Map();
+
+  const addTo = (buckets, key, currency, extra = {}) => {
+    const bucket = buckets.get(key) || {
+      ...extra,
+      currency,
+      paymentCount: 0,
+      settledCount: 0,
+      grossMinor: 0,
+      statuses: {},
+    };
+    buckets.set(key, bucket);
+    return bucket;
+  };
+
+  payments.forEach((payment) => {
+    const gross = getGross(payment);
+    const currency = gross?.currency || payment.currency;
+    if (CURRENCY_PRECISION[currency] === undefined) {
+      return;
+    }
+
+    const date = toIctDate(payment[DATE_FIELDS[filters.dateField]]);
+    const buckets = [addTo(totals, currency, currency)];
+    if (date) {
+      buckets.push(addTo(days, `${date}|${currency}`, currency, { date }));
+    }
+
+    buckets.forEach((bucket) => {
+      bucket.paymentCount += 1;
+      bucket.statuses[payment.status] = (bucket.statuses[payment.status] || 0) + 1;
+      if (gross) {
+        bucket.settledCount += 1;
+        bucket.grossMinor += gross.minor;
+      }
+    });
+  });
+
+  return {
+    timeZone: REPORT_TIME_ZONE,
+    filters,
+    days: Array.from(days.values())
+      .sort((a, b) => a.date.localeCompare(b.date) || a.currency.localeCompare(b.currency))
+      .map((bucket) => ({ date: bucket.date, currency: bucket.currency, ...summarizeBucket(bucket) })),
+    totals: Object.fromEntries(
+      Array.from(totals.values())
+        .sort((a, b) => a.currency.localeCompare(b.currency))
+        .map((bucket) => [bucket.currency, summarizeBucket(bucket)])
+    ),
+  };
+};
+
+const formatOptionalAmount = (amount, currency) => (
+  amount === null || amount === undefined || CURRENCY_PRECISION[currency] === undefined
+    ? null
+    : formatAmount(toMinorUnits(amount, currency), currency)
+);
+
+/**
+ * Export columns, in order. Names and meanings are stable so accounting
+ * imports can map them once.
+ */
+const EXPORT_COLUMNS = {
+  payments: [
+    { name: 'created_at_ict', value: (payment) => toIctDateTime(payment.createdAt) },
+    { name: 'completed_at_ict', value: (payment) => toIctDateTime(payment.completedAt) },
+    { name: 'bill_number', value: (payment) => payment.billNumber },
+    { name: 'profile_id', value: (payment) => payment.profileId },
+    { name: 'store_label', value: (payment) => payment.storeLabel },
+    { name: 'status', value: (payment) => payment.status },
+    { name: 'currency', value: (payment) => payment.currency },
+    { name: 'amount', value: (payment) => formatOptionalAmount(payment.amount, payment.currency) },
+    { name: 'paid_currency', value: (payment) => payment.paidCurrency },
+    { name: 'paid_amount', value: (payment) => formatOptionalAmount(payment.paidAmount, payment.paidCurrency) },
+    { name: 'transaction_hash', value: (payment) => payment.transactionHash },
+    { name: 'from_account', value: (payment) => payment.fromAccount },
+    { name: 'invoice_id', value: (payment) => payment.invoiceId },
+    { name: 'description', value: (payment) => payment.description },
+    { name: 'md5', value: (payment) => payment.md5 },
+  ],
+  daily: [
+    { name: 'date_ict', value: (day) => day.date },
+    { name: 'currency', value: (day) => day.currency },
+    { name: 'payment_count', value: (day) => day.paymentCount },
+    { name: 'settled_count', value: (day) => day.settledCount },
+    { name: 'gross_amount', value: (day) => day.grossAmount },
+    { name: 'average_ticket', value: (day) => day.averageTicket },
+  ],
+};
+
+/**
+ * Rows for an export view as objects keyed by column name (missing values are null)
+ */
+const buildExportRows = (view, items) => items.map((item) => Object.fromEntries(
+  EXPORT_COLUMNS[view].map((column) => [column.name, column.value(item) ?? null])
+));
+
+const escapeCsvCell = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  let text = String(value);
+  // Keep spreadsheet apps from evaluating text cells as formulas
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * RFC 4180 CSV with a header row and CRLF line endings
+ */
+const toCsv = (view, rows) => [
+  EXPORT_COLUMNS[view].map((column) => column.name).join(','),
+  ...rows.map((row) => EXPORT_COLUMNS[view].map((column) => escapeCsvCell(row[column.name])).join(',')),
+].join('\r\n').concat('\r\n');
+
+export {
+  REPORT_TIME_ZONE,
+  REPORT_VIEWS,
+  EXPORT_FORMATS,
+  EXPORT_COLUMNS,
+  toIctDate,
+  toIctDateTime,
+  parseReportFilters,
+  matchesReportFilters,
+  filterPayments,
+  getReportDateRange,
+  buildDailyReport,
+  buildExportRows,
+  toCsv,
+};
@@ -2,8 +2,64 @@ import express from 'express';
 import cors from 'cors';
 import dotenv from 'dotenv';
 import QRCode from 'qrcode';
+import crypto from 'crypto';
+import path from 'path';
 import KHQRService from './khqrService.js';
 import BakongAPIService from './bakongAPI.js';
+import { createPaymentStore } from './paymentStore.js';
+import PaymentReconciler from './paymentReconciler.js';
+import WebhookService, { parseWebhookEndpoints } from './webhookService.js';
+import { createWebhookStore } from './webhookStore.js';
+import PaymentEventStream from './paymentEventStream.js';
+import MerchantProfileRegistry from './merchantProfiles.js';
+import ExchangeRateService from './exchangeRates.js';
+import { createInvoiceStore } from './invoiceStore.js';
+import { buildInvoice, summarizeInvoice, canReissueInvoice, syncInvoiceStatus } from './invoices.js';
+import { buildCallbackUrl, buildReturnUrl, renderCallbackPage } from './paymentReturn.js';
+import { decodeCursor, parsePageOptions } from './pagination.js';
+import {
+  REPORT_TIME_ZONE,
+  REPORT_VIEWS,
+  EXPORT_FORMATS,
+  EXPORT_COLUMNS,
+  parseReportFilters,
+  matchesReportFilters,
+  getReportDateRange,
+  buildDailyReport,
+  buildExportRows,
+  toCsv,
+} from './reports.js';
+import {
+  CURRENCY_PRECISION,
+  parseAmount,
+  validateAmountLimits,
+  toMinorUnits,
+  formatAmount,
+  sumAmounts,
+} from './money.js';
+import { logger, createRequestLogger } from './logger.js';
+import { METRICS_CONTENT_TYPE, createServiceMetrics } from './metrics.js';
+import { ApiKeyStore, createApiKeyAuth, validateScopes } from './apiKeys.js';
+import { getTokenStatus, startTokenExpiryMonitor } from './bakongToken.js';
+import { upsertEnvValue } from './envFile.js';
+import { parseCardOptions, renderKhqrCardSvg, renderKhqrCardPng } from './khqrCard.js';
+import {
+  IDEMPOTENCY_HEADER,
+  hashRequestBody,
+  validateIdempotencyKey,
+  resolveDuplicateBillPolicy,
+} from './idempotency.js';
+import {
+  PAYMENT_MISMATCH_STATUSES,
+  comparePaidAmount,
+  isSettledStatus,
+  isPaymentExpired,
+  resolvePaymentStatus,
+  getProviderSummary,
+  buildStatusMessage,
+  lookupPaymentStatus,
+  applyPaymentStatus,
+} from './paymentStatus.js';
 
 // Load environment variables
 dotenv.config();
@@ -12,20 +68,101 @@ const app = express();
 const PORT = process.env.PORT || 3000;
 
 // Initialize services
-const khqrService = new KHQRService();
+const khqrService = new KHQRService({
+  expirySeconds: process.env.QR_EXPIRY_SECONDS || undefined,
+});
 const bakongAPI = new BakongAPIService(
   process.env.BAKONG_API_TOKEN,
   process.env.BAKONG_API_BASE_URL
 );
 
-// Middleware
+// Merchant profiles (MERCHANT_PROFILES_PATH or single profile from env)
+const merchantProfiles = MerchantProfileRegistry.fromEnv();
+
+// USD/KHR rate for pricing in one currency and collecting in the other
+const exchangeRates = new ExchangeRateService();
+
+// API key authentication (API_AUTH=required|auto|disabled)
+const apiKeyStore = new ApiKeyStore(process.env.API_KEYS_PATH || 'data/api-keys.json');
+const { requireScope, isEnforced: isApiAuthEnforced } = createApiKeyAuth({
+  apiKeyStore,
+  mode: process.env.API_AUTH || 'required',
+});
+
+// Middleware (request logging first so every later step has a correlation id)
+app.use(createRequestLogger(logger));
 app.use(cors());
 app.use(express.json());
 app.use(express.static('public'));
 
-// In-memory storage for demo (use database in production)
-const payments = new Map();
+// Payment repository (PAYMENT_STORE=file|memory)
+const paymentStore = createPaymentStore();
+const paymentReconciler = new PaymentReconciler({
+  paymentStore,
+  bakongAPI,
+  khqrService,
+  logger,
+});
+
+// Outbound webhooks on payment status transitions
+const webhookService = new WebhookService({
+  endpoints: parseWebhookEndpoints(process.env.WEBHOOK_ENDPOINTS, process.env.WEBHOOK_SECRET),
+  store: createWebhookStore(),
+  logger,
+});
+webhookService.resumePendingDeliveries()
+  .then((resumed) => {
+    if (resumed > 0) {
+      logger.info('Resumed pending webhook deliveries', { resumed });
+    }
+  })
+  .catch((error) => logger.error('Failed to resume pending webhook deliveries', { error }));
+webhookService.startPruning();
+
+paymentStore.on('statusChanged', (payment, previousStatus) => {
+  void webhookService.dispatchStatusChange(payment, previousStatus);
+});
+
+// Server-Sent Events for live payment updates
+const paymentEventStream = new PaymentEventStream({ paymentStore });
+
+// Prometheus metrics for Bakong calls and payments (GET /metrics)
+const { registry: metricsRegistry } = createServiceMetrics({ bakongAPI, paymentStore });
+
+// Invoices follow the status of the payment that collects them
+const invoiceStore = createInvoiceStore();
+syncInvoiceStatus({ invoiceStore, paymentStore, logger });
+
 const SUPPORTED_CURRENCIES = new Set(['USD', 'KHR']);
+const ACCOUNT_TYPES = new Set(['individual', 'merchant']);
+const MAX_BATCH_CHECK_SIZE = 1000;
+// The public callback page checks a payment with Bakong at most this often
+const CALLBACK_CHECK_INTERVAL_MS = 30000;
+const callbackCheckedAt = new Map();
+
+/**
+ * Whether the callback page may check this payment with Bakong now.
+ * The reconciler already checks pending payments, so the page reads the
+ * stored status while it runs; otherwise each payment is checked at most
+ * once per CALLBACK_CHECK_INTERVAL_MS however often the page reloads.
+ */
+const shouldCallbackCheck = (md5, now = Date.now()) => {
+  if (!bakongAPI.apiToken || paymentReconciler.shouldRun()) {
+    return false;
+  }
+
+  callbackCheckedAt.forEach((checkedAt, checkedMd5) => {
+    if (now - checkedAt >= CALLBACK_CHECK_INTERVAL_MS) {
+      callbackCheckedAt.delete(checkedMd5);
+    }
+  });
+  if (callbackCheckedAt.has(md5)) {
+    return false;
+  }
+
+  callbackCheckedAt.set(md5, now);
+  return true;
+};
 
 const normalizeOptionalText = (value) => {
   if (typeof value !== 'string') {
@@ -40,106 +177,355 @@ const appendWarning = (existingWarning, nextWarning) => (
   existingWarning ? `${existingWarning} | ${nextWarning}` : nextWarning
 );
 
-const shouldGenerateDeeplinkInBackground = () => {
-  const mode = String(process.env.DEEPLINK_MODE || 'async').toLowerCase();
-  return mode !== 'sync';
-};
+const getPaymentProfileId = (payment) => payment?.profileId || merchantProfiles.defaultProfileId;
 
-const isLikelyPendingMessage = (message) => {
-  if (typeof message !== 'string' || !message.trim()) {
-    return false;
+/**
+ * Resolve an optional profile scope from a request value.
+ * Returns undefined for an unknown profile id.
+ */
+const resolveProfileScope = (value) => {
+  const profileId = normalizeOptionalText(value);
+  if (!profileId) {
+    return null;
   }
 
-  return /(not found|not yet|pending|processing|wait)/i.test(message);
+  return merchantProfiles.has(profileId) ? profileId : undefined;
 };
 
-const resolvePaymentStatus = (result) => {
-  if (!result || typeof result !== 'object') {
-    return 'error';
-  }
+const isInProfileScope = (payment, profileId) => (
+  !profileId || (payment && getPaymentProfileId(payment) === profileId)
+);
 
-  const responseCode = Number(result.responseCode);
-  const errorCode = result.errorCode;
-  const errorCodeNumber = Number(errorCode);
-  const responseMessage = typeof result.responseMessage === 'string'
-    ? result.responseMessage
-    : '';
+const sendUnknownProfile = (res) => res.status(404).json({
+  success: false,
+  error: 'Merchant profile not found',
+});
 
-  if (responseCode === 0) {
-    return 'completed';
-  }
+// Idempotency keys with a request currently being processed
+const inFlightIdempotencyKeys = new Set();
 
-  if (errorCodeNumber === 3) {
-    return 'failed';
-  }
+/**
+ * Response data for a generated (or replayed) payment QR
+ */
+const buildGenerateResponseData = async (payment) => ({
+  profileId: payment.profileId,
+  accountType: payment.accountType,
+  billNumber: payment.billNumber,
+  qrString: payment.qrString,
+  qrCodeImage: await QRCode.toDataURL(payment.qrString, {
+    width: 300,
+    margin: 1,
+  }),
+  md5: payment.md5,
+  deeplinkUrl: payment.deeplinkUrl,
+  qrCardUrl: `/api/payment/${payment.md5}/qr.svg`,
+  amount: payment.amount,
+  currency: payment.currency,
+  pricing: payment.pricing || null,
+  expiresAt: payment.expiresAt,
+});
 
-  if (errorCodeNumber === 1 || isLikelyPendingMessage(responseMessage)) {
-    return 'pending';
+/**
+ * Send a KHQR card as SVG or PNG
+ */
+const sendKhqrCard = (res, format, card) => {
+  if (format === 'png') {
+    return res.type('image/png').send(renderKhqrCardPng(card));
   }
 
-  if (['MISSING_TOKEN', 'TIMEOUT', 'NETWORK_ERROR', 'INVALID_RESPONSE'].includes(String(errorCode))) {
-    return 'error';
-  }
+  return res.type('image/svg+xml').send(renderKhqrCardSvg(card));
+};
 
-  if (responseCode === -1) {
-    return 'error';
-  }
+/**
+ * Per-currency totals as decimal strings (requested and settled amounts)
+ */
+const summarizePaymentTotals = (payments) => {
+  const byCurrency = new Map();
+  payments.forEach((payment) => {
+    if (CURRENCY_PRECISION[payment.currency] === undefined) return;
+    const bucket = byCurrency.get(payment.currency) || { count: 0, requested: [], settled: [] };
+    bucket.count += 1;
+    bucket.requested.push(payment.amount);
+    if (isSettledStatus(payment.status)) {
+      bucket.settled.push(payment.paidAmount ?? payment.amount);
+    }
+    byCurrency.set(payment.currency, bucket);
+  });
+
+  return Object.fromEntries(Array.from(byCurrency, ([currency, bucket]) => [currency, {
+    count: bucket.count,
+    requestedAmount: formatAmount(toMinorUnits(sumAmounts(bucket.requested, currency), currency), currency),
+    settledAmount: formatAmount(toMinorUnits(sumAmounts(bucket.settled, currency), currency), currency),
+  }]));
+};
+
+const PAY_LINK_TOKEN_PATTERN = /^[A-Za-z0-9_-]{16,64}$/;
+
+/**
+ * Public base URL for links sent to customers (PUBLIC_BASE_URL or the request host)
+ */
+const getPublicBaseUrl = (req) => (
+  process.env.PUBLIC_BASE_URL || `${req.protocol}://${req.get('host')}`
+).replace(/\/+$/, '');
+
+const buildPayLinkUrl = (req, token) => `${getPublicBaseUrl(req)}/pay/${token}`;
 
-  // Unknown non-success provider responses are treated as actionable errors.
-  return 'error';
+const generatePayLinkToken = () => crypto.randomBytes(18).toString('base64url');
+
+const findPaymentByPayLink = async (token) => (
+  PAY_LINK_TOKEN_PATTERN.test(token) ? paymentStore.getByPayLinkToken(token) : null
+);
+
+const findOpenPaymentForBill = async (billNumber, profileId) => (
+  (await paymentStore.listByBillNumber(billNumber))
+    .filter((payment) => (
+      getPaymentProfileId(payment) === profileId
+      && payment.status === 'pending'
+      && !isPaymentExpired(payment)
+    ))
+    .pop() || null
+);
+
+const shouldGenerateDeeplinkInBackground = () => {
+  const mode = String(process.env.DEEPLINK_MODE || 'async').toLowerCase();
+  return mode !== 'sync';
 };
 
-const getProviderSummary = (result) => ({
-  responseCode: result?.responseCode ?? null,
-  errorCode: result?.errorCode ?? null,
-  responseMessage: result?.responseMessage ?? null,
-});
+/**
+ * Generate the KHQR for an already validated request, store the pending
+ * payment and prepare its deeplink. Returns { payment, warning } or { error }.
+ */
+const issuePayment = async (req, {
+  profile,
+  accountType,
+  merchantId = null,
+  acquiringBank = null,
+  amount,
+  currency,
+  pricing = null,
+  billNumber,
+  purposeOfTransaction = null,
+  storeLabel = null,
+  expiresInSeconds = null,
+  extra = {},
+}) => {
+  // Generate KHQR
+  const qrOptions = {
+    accountId: profile.accountId,
+    merchantName: profile.merchantName,
+    merchantCity: profile.merchantCity,
+    amount,
+    currency,
+    billNumber,
+    mobileNumber: profile.mobileNumber,
+    storeLabel,
+    purposeOfTransaction,
+    expiresInSeconds,
+  };
+  const result = accountType === 'merchant'
+    ? khqrService.generateMerchantQR({ ...qrOptions, merchantId, acquiringBank })
+    : khqrService.generateIndividualQR(qrOptions);
+
+  if (!result.success) {
+    return { error: result.error };
+  }
+
+  // Generate deeplink, but do not fail the entire request if this call fails
+  let deeplinkUrl = null;
+  let warning = null;
+
+  // The link token doubles as the callback reference, so the md5 stays private
+  const payLinkToken = generatePayLinkToken();
+  const sourceInfo = {
+    ...profile.sourceInfo,
+    appDeepLinkCallback: buildCallbackUrl(
+      profile.sourceInfo.appDeepLinkCallback || `${getPublicBaseUrl(req)}/payment/callback`,
+      payLinkToken
+    ),
+  };
+
+  if (bakongAPI.apiToken) {
+    if (shouldGenerateDeeplinkInBackground()) {
+      warning = appendWarning(
+        warning,
+        'Deeplink is being prepared in background. QR scan payment works immediately.'
+      );
+    } else {
+      const deeplink = await bakongAPI.generateDeeplink(result.qrString, sourceInfo);
 
-const buildStatusMessage = (status, result) => {
-  if (status === 'completed') {
-    return 'Payment completed';
+      deeplinkUrl = deeplink.data?.shortLink || null;
+      if (!deeplinkUrl && deeplink.responseCode !== 0) {
+        warning = deeplink.responseMessage || 'Unable to generate deeplink';
+      }
+    }
+  } else {
+    warning = 'Bakong API token is not configured, deeplink is unavailable';
   }
 
-  if (status === 'failed') {
-    return result?.responseMessage || 'Payment failed';
+  if (bakongAPI.isUsingDevEnvironment()) {
+    warning = appendWarning(
+      warning,
+      'Using Bakong DEV API base URL. Live payments may not reflect in status checks.'
+    );
   }
 
-  if (status === 'pending') {
-    return result?.responseMessage || 'Payment is still pending';
+  // Store payment info
+  const payment = {
+    md5: result.md5,
+    profileId: profile.id,
+    accountType,
+    merchantId,
+    acquiringBank,
+    billNumber,
+    amount,
+    currency,
+    pricing,
+    qrString: result.qrString,
+    description: purposeOfTransaction,
+    storeLabel,
+    status: 'pending',
+    createdAt: new Date().toISOString(),
+    expiresAt: result.expiresAt,
+    deeplinkUrl,
+    payLinkToken,
+    ...extra,
+  };
+
+  await paymentStore.save(payment);
+
+  // Runs after the response; log lines keep the request's correlation id
+  if (bakongAPI.apiToken && shouldGenerateDeeplinkInBackground()) {
+    void (async () => {
+      try {
+        const deeplink = await bakongAPI.generateDeeplink(result.qrString, sourceInfo);
+        const shortLink = deeplink.data?.shortLink || null;
+        if (!shortLink) {
+          return;
+        }
+
+        await paymentStore.update(result.md5, { deeplinkUrl: shortLink });
+      } catch (deeplinkError) {
+        logger.error('Background deeplink generation failed', { md5: result.md5, error: deeplinkError });
+      }
+    })();
   }
 
-  return result?.responseMessage || 'Unable to confirm payment status due to provider error';
+  return { payment, warning };
 };
 
 /**
  * Health check endpoint
  */
 app.get('/health', (_req, res) => {
-  res.json({ status: 'ok', timestamp: new Date().toISOString() });
+  const token = bakongAPI.getTokenInfo();
+  res.json({
+    status: token.status === 'expired' ? 'degraded' : 'ok',
+    timestamp: new Date().toISOString(),
+    bakongToken: {
+      status: token.status,
+      expiresAt: token.expiresAt,
+      ...(token.status === 'expiring' || token.status === 'expired'
+        ? { warning: 'Bakong API token needs renewal (POST /api/admin/token/renew)' }
+        : {}),
+    },
+  });
+});
+
+/**
+ * Prometheus metrics (text exposition format)
+ */
+app.get('/metrics', requireScope('metrics:read'), async (_req, res) => {
+  try {
+    res.set('Content-Type', METRICS_CONTENT_TYPE);
+    return res.send(await metricsRegistry.render());
+  } catch (error) {
+    logger.error('Error rendering metrics', { error });
+    return res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
 });
 
 /**
  * Generate KHQR code for payment
  */
-app.post('/api/khqr/generate', async (req, res) => {
+app.post('/api/khqr/generate', requireScope('payments:create'), async (req, res) => {
+  let scopedIdempotencyKey = null;
+
   try {
     const {
+      profileId,
       amount,
-      currency = 'USD',
+      currency,
+      priceCurrency,
       billNumber,
       description,
       storeLabel,
+      expiresIn,
+      accountType,
+      merchantId,
+      acquiringBank,
+      duplicateBillPolicy,
     } = req.body;
 
-    const parsedAmount = Number.parseFloat(amount);
-    if (!Number.isFinite(parsedAmount) || parsedAmount <= 0) {
+    const idempotencyKey = normalizeOptionalText(req.get(IDEMPOTENCY_HEADER));
+    const requestHash = hashRequestBody(req.body);
+    if (idempotencyKey) {
+      const idempotencyKeyError = validateIdempotencyKey(idempotencyKey);
+      if (idempotencyKeyError) {
+        return res.status(400).json({
+          success: false,
+          error: idempotencyKeyError,
+        });
+      }
+
+      // Keys are scoped to the calling API key
+      const candidateKey = `${req.apiKey?.id || 'anonymous'}:${idempotencyKey}`;
+      const originalPayment = await paymentStore.getByIdempotencyKey(candidateKey);
+      if (originalPayment) {
+        if (originalPayment.idempotencyRequestHash !== requestHash) {
+          return res.status(422).json({
+            success: false,
+            error: `${IDEMPOTENCY_HEADER} was already used with a different request payload`,
+          });
+        }
+
+        res.set('Idempotent-Replayed', 'true');
+        return res.json({
+          success: true,
+          data: await buildGenerateResponseData(originalPayment),
+        });
+      }
+
+      if (inFlightIdempotencyKeys.has(candidateKey)) {
+        return res.status(409).json({
+          success: false,
+          error: `A request with this ${IDEMPOTENCY_HEADER} is still being processed`,
+        });
+      }
+
+      scopedIdempotencyKey = candidateKey;
+      inFlightIdempotencyKeys.add(scopedIdempotencyKey);
+    }
+
+    const profile = merchantProfiles.get(profileId);
+    if (!profile) {
+      return sendUnknownProfile(res);
+    }
+
+    const billPolicy = resolveDuplicateBillPolicy(
+      duplicateBillPolicy,
+      process.env.DUPLICATE_BILL_POLICY || 'allow'
+    );
+    if (!billPolicy) {
       return res.status(400).json({
         success: false,
-        error: 'Amount is required and must be greater than 0',
+        error: 'Duplicate bill policy must be allow, reject, reuse or supersede',
       });
     }
 
-    const resolvedCurrency = String(currency).toUpperCase();
+    const resolvedCurrency = String(currency || profile.currency).toUpperCase();
     if (!SUPPORTED_CURRENCIES.has(resolvedCurrency)) {
       return res.status(400).json({
         success: false,
@@ -147,147 +533,204 @@ app.post('/api/khqr/generate', async (req, res) => {
       });
     }
 
-    if (!process.env.BAKONG_ACCOUNT_ID || !process.env.MERCHANT_NAME) {
-      return res.status(500).json({
+    // amount is given in priceCurrency and converted to the QR currency
+    const resolvedPriceCurrency = String(priceCurrency || resolvedCurrency).toUpperCase();
+    if (!SUPPORTED_CURRENCIES.has(resolvedPriceCurrency)) {
+      return res.status(400).json({
         success: false,
-        error: 'Server is missing required Bakong configuration',
+        error: 'Price currency must be either USD or KHR',
       });
     }
 
-    // Generate unique bill number if not provided
-    const finalBillNumber = normalizeOptionalText(billNumber) || `INV-${Date.now()}`;
-    const purposeOfTransaction = normalizeOptionalText(description);
-    const resolvedStoreLabel = normalizeOptionalText(storeLabel) || process.env.MERCHANT_NAME;
-
-    // Generate KHQR
-    const result = khqrService.generateIndividualQR({
-      accountId: process.env.BAKONG_ACCOUNT_ID,
-      merchantName: process.env.MERCHANT_NAME,
-      merchantCity: process.env.MERCHANT_CITY || 'Phnom Penh',
-      amount: parsedAmount,
-      currency: resolvedCurrency,
-      billNumber: finalBillNumber,
-      mobileNumber: process.env.MERCHANT_PHONE,
-      storeLabel: resolvedStoreLabel,
-      purposeOfTransaction,
-    });
+    const parsedPrice = parseAmount(amount, resolvedPriceCurrency);
+    if (parsedPrice.error) {
+      return res.status(400).json({
+        success: false,
+        error: parsedPrice.error,
+      });
+    }
 
-    if (!result.success) {
-      return res.status(500).json({
+    const parsedAmount = parsedPrice.amount;
+    const conversion = exchangeRates.convert(parsedAmount, resolvedPriceCurrency, resolvedCurrency);
+    const qrAmount = conversion.amount;
+    const qrAmountError = validateAmountLimits(toMinorUnits(qrAmount, resolvedCurrency), resolvedCurrency);
+    if (qrAmountError) {
+      return res.status(400).json({
         success: false,
-        error: result.error,
+        error: `Converted ${qrAmountError}`,
       });
     }
 
-    // Generate QR code image
-    const qrCodeDataURL = await QRCode.toDataURL(result.qrString, {
-      width: 300,
-      margin: 1,
-    });
+    const rateInfo = exchangeRates.getRate();
+    const pricing = resolvedPriceCurrency !== resolvedCurrency
+      ? {
+        price: parsedAmount,
+        priceCurrency: resolvedPriceCurrency,
+        rate: conversion.rate,
+        rateSource: rateInfo.source,
+        rateUpdatedAt: rateInfo.updatedAt,
+        unroundedAmount: conversion.rawAmount,
+        amount: qrAmount,
+        currency: resolvedCurrency,
+        rielRounding: resolvedCurrency === 'KHR' ? rateInfo.rielRounding : null,
+      }
+      : null;
 
-    // Generate deeplink, but do not fail the entire request if this call fails
-    let deeplinkUrl = null;
-    let warning = null;
+    const hasCustomExpiry = expiresIn !== undefined && expiresIn !== null && expiresIn !== '';
+    const expiresInSeconds = hasCustomExpiry ? Number(expiresIn) : null;
+    const expiryError = hasCustomExpiry ? khqrService.validateExpirySeconds(expiresInSeconds) : null;
+    if (expiryError) {
+      return res.status(400).json({
+        success: false,
+        error: expiryError,
+      });
+    }
 
-    const sourceInfo = {
-      appIconUrl: 'https://bakong.nbc.org.kh/images/logo.svg',
-      appName: process.env.MERCHANT_NAME,
-      appDeepLinkCallback: `${req.protocol}://${req.get('host')}/payment/callback`,
-    };
+    const resolvedAccountType = String(
+      normalizeOptionalText(accountType) || profile.accountType
+    ).toLowerCase();
+    if (!ACCOUNT_TYPES.has(resolvedAccountType)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Account type must be either individual or merchant',
+      });
+    }
 
-    if (process.env.BAKONG_API_TOKEN) {
-      if (shouldGenerateDeeplinkInBackground()) {
-        warning = appendWarning(
-          warning,
-          'Deeplink is being prepared in background. QR scan payment works immediately.'
-        );
-      } else {
-        const deeplink = await bakongAPI.generateDeeplink(result.qrString, sourceInfo);
+    const isMerchantAccount = resolvedAccountType === 'merchant';
+    const resolvedMerchantId = isMerchantAccount
+      ? normalizeOptionalText(merchantId) || profile.merchantId
+      : null;
+    const resolvedAcquiringBank = isMerchantAccount
+      ? normalizeOptionalText(acquiringBank) || profile.acquiringBank
+      : null;
+    const merchantFieldsError = isMerchantAccount
+      ? khqrService.validateMerchantFields(resolvedMerchantId, resolvedAcquiringBank)
+      : null;
+    if (merchantFieldsError) {
+      return res.status(400).json({
+        success: false,
+        error: merchantFieldsError,
+      });
+    }
 
-        deeplinkUrl = deeplink.data?.shortLink || null;
-        if (!deeplinkUrl && deeplink.responseCode !== 0) {
-          warning = deeplink.responseMessage || 'Unable to generate deeplink';
-        }
-      }
-    } else {
-      warning = 'BAKONG_API_TOKEN is not configured, deeplink is unavailable';
+    if (!profile.accountId || !profile.merchantName) {
+      return res.status(500).json({
+        success: false,
+        error: 'Server is missing required Bakong configuration',
+      });
     }
 
-    if (bakongAPI.isUsingDevEnvironment()) {
-      warning = appendWarning(
-        warning,
-        'Using Bakong DEV API base URL. Live payments may not reflect in status checks.'
-      );
+    // Generate unique bill number if not provided
+    const requestedBillNumber = normalizeOptionalText(billNumber);
+    const finalBillNumber = requestedBillNumber || `INV-${Date.now()}`;
+
+    const openPayment = requestedBillNumber && billPolicy !== 'allow'
+      ? await findOpenPaymentForBill(requestedBillNumber, profile.id)
+      : null;
+    if (openPayment && billPolicy === 'reject') {
+      return res.status(409).json({
+        success: false,
+        error: 'A pending payment already exists for this bill number',
+        data: {
+          md5: openPayment.md5,
+          billNumber: openPayment.billNumber,
+          expiresAt: openPayment.expiresAt,
+        },
+      });
     }
 
-    // Store payment info
-    const paymentInfo = {
-      billNumber: finalBillNumber,
-      amount: parsedAmount,
+    if (openPayment && billPolicy === 'reuse') {
+      const openPrice = openPayment.pricing
+        ? { amount: openPayment.pricing.price, currency: openPayment.pricing.priceCurrency }
+        : { amount: openPayment.amount, currency: openPayment.currency };
+      if (
+        openPrice.amount !== parsedAmount
+        || openPrice.currency !== resolvedPriceCurrency
+        || openPayment.currency !== resolvedCurrency
+      ) {
+        return res.status(409).json({
+          success: false,
+          error: 'A pending payment for this bill number has a different amount or currency',
+          data: {
+            md5: openPayment.md5,
+            amount: openPayment.amount,
+            currency: openPayment.currency,
+          },
+        });
+      }
+
+      return res.json({
+        success: true,
+        reused: true,
+        data: await buildGenerateResponseData(openPayment),
+      });
+    }
+
+    const issued = await issuePayment(req, {
+      profile,
+      accountType: resolvedAccountType,
+      merchantId: resolvedMerchantId,
+      acquiringBank: resolvedAcquiringBank,
+      amount: qrAmount,
       currency: resolvedCurrency,
-      qrString: result.qrString,
-      md5: result.md5,
-      description: purposeOfTransaction,
-      status: 'pending',
-      createdAt: new Date().toISOString(),
-      deeplinkUrl,
-    };
+      pricing,
+      billNumber: finalBillNumber,
+      purposeOfTransaction: normalizeOptionalText(description),
+      storeLabel: normalizeOptionalText(storeLabel) || profile.storeLabel,
+      expiresInSeconds,
+      extra: {
+        idempotencyKey: scopedIdempotencyKey,
+        idempotencyRequestHash: scopedIdempotencyKey ? requestHash : null,
+        supersedes: openPayment ? openPayment.md5 : null,
+      },
+    });
+    if (issued.error) {
+      return res.status(500).json({
+        success: false,
+        error: issued.error,
+      });
+    }
 
-    payments.set(result.md5, paymentInfo);
-
-    if (process.env.BAKONG_API_TOKEN && shouldGenerateDeeplinkInBackground()) {
-      void (async () => {
-        try {
-          const deeplink = await bakongAPI.generateDeeplink(result.qrString, sourceInfo);
-          const shortLink = deeplink.data?.shortLink || null;
-          if (!shortLink) {
-            return;
-          }
-
-          const currentPayment = payments.get(result.md5);
-          if (!currentPayment) {
-            return;
-          }
-
-          currentPayment.deeplinkUrl = shortLink;
-          payments.set(result.md5, currentPayment);
-        } catch (deeplinkError) {
-          console.error('Background deeplink generation failed:', deeplinkError);
-        }
-      })();
+    const { payment: paymentInfo, warning } = issued;
+    if (openPayment) {
+      await paymentStore.update(openPayment.md5, {
+        status: 'superseded',
+        supersededBy: paymentInfo.md5,
+        supersededAt: new Date().toISOString(),
+      });
     }
 
     const responseBody = {
       success: true,
-      data: {
-        billNumber: finalBillNumber,
-        qrString: result.qrString,
-        qrCodeImage: qrCodeDataURL,
-        md5: result.md5,
-        deeplinkUrl,
-        amount: parsedAmount,
-        currency: resolvedCurrency,
-      },
+      data: await buildGenerateResponseData(paymentInfo),
     };
 
+    if (openPayment) {
+      responseBody.superseded = openPayment.md5;
+    }
+
     if (warning) {
       responseBody.warning = warning;
     }
 
     res.json(responseBody);
   } catch (error) {
-    console.error('Error generating KHQR:', error);
+    logger.error('Error generating KHQR', { error });
     res.status(500).json({
       success: false,
       error: error.message,
     });
+  } finally {
+    if (scopedIdempotencyKey) {
+      inFlightIdempotencyKeys.delete(scopedIdempotencyKey);
+    }
   }
 });
 
 /**
  * Check payment status
  */
-app.post('/api/payment/check', async (req, res) => {
+app.post('/api/payment/check', requireScope('payments:read'), async (req, res) => {
   try {
     const { md5 } = req.body;
 
@@ -298,57 +741,35 @@ app.post('/api/payment/check', async (req, res) => {
       });
     }
 
-    const payment = payments.get(md5);
-
-    // Check with Bakong API (primary: md5)
-    let result = await bakongAPI.checkTransactionByMD5(md5);
-    let status = resolvePaymentStatus(result);
-    let checkedBy = 'md5';
-    let fallbackProvider = null;
-
-    // Update local storage
-    if (
-      status === 'pending'
-      && payment
-      && payment.qrString
-      && process.env.BAKONG_API_TOKEN
-    ) {
-      const shortHash = khqrService.generateShortHash(payment.qrString);
-      const shortHashResult = await bakongAPI.checkTransactionByShortHash(
-        shortHash,
-        payment.amount,
-        payment.currency
-      );
-      const shortHashStatus = resolvePaymentStatus(shortHashResult);
-
-      fallbackProvider = {
-        checkedBy: 'short_hash',
-        ...getProviderSummary(shortHashResult),
-      };
+    const scopeProfileId = resolveProfileScope(req.body.profileId);
+    if (scopeProfileId === undefined) {
+      return sendUnknownProfile(res);
+    }
 
-      if (shortHashStatus === 'completed' || shortHashStatus === 'failed') {
-        result = shortHashResult;
-        status = shortHashStatus;
-        checkedBy = 'short_hash';
-      }
+    const payment = await paymentStore.get(md5);
+    if (!isInProfileScope(payment, scopeProfileId)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Payment not found',
+      });
     }
 
-    if (payment && status === 'completed') {
-      payment.status = 'completed';
-      payment.completedAt = new Date().toISOString();
-      payment.transactionHash = result.data?.hash || null;
-      payment.fromAccount = result.data?.fromAccountId || null;
-      payments.set(md5, payment);
-    } else if (payment && status === 'failed') {
-      payment.status = 'failed';
-      payments.set(md5, payment);
-    } else if (payment && status === 'error') {
-      payment.lastProviderError = {
-        checkedAt: new Date().toISOString(),
-        checkedBy,
-        ...getProviderSummary(result),
-      };
-      payments.set(md5, payment);
+    // Check with Bakong API (primary: md5, fallback: short hash)
+    const {
+      result,
+      status,
+      checkedBy,
+      fallbackProvider,
+    } = await lookupPaymentStatus({
+      bakongAPI,
+      khqrService,
+      md5,
+      payment,
+    });
+
+    // Update local storage
+    if (payment) {
+      await applyPaymentStatus(paymentStore, md5, { status, result, checkedBy });
     }
 
     let warning = null;
@@ -371,7 +792,11 @@ app.post('/api/payment/check', async (req, res) => {
       status,
       data: result.data,
       deeplinkUrl: payment?.deeplinkUrl || null,
-      message: buildStatusMessage(status, result),
+      expiresAt: payment?.expiresAt || null,
+      message: buildStatusMessage(status, result, payment),
+      mismatch: PAYMENT_MISMATCH_STATUSES.includes(status)
+        ? comparePaidAmount(payment, result.data)
+        : null,
       errorCode: result.errorCode,
       checkedBy,
       provider: {
@@ -382,7 +807,7 @@ app.post('/api/payment/check', async (req, res) => {
       warning,
     });
   } catch (error) {
-    console.error('Error checking payment:', error);
+    logger.error('Error checking payment', { error });
     res.status(500).json({
       success: false,
       error: error.message,
@@ -393,12 +818,17 @@ app.post('/api/payment/check', async (req, res) => {
 /**
  * Get payment by md5 hash
  */
-app.get('/api/payment-md5/:md5', (req, res) => {
+app.get('/api/payment-md5/:md5', requireScope('payments:read'), async (req, res) => {
   try {
     const { md5 } = req.params;
-    const payment = payments.get(md5);
+    const scopeProfileId = resolveProfileScope(req.query.profileId);
+    if (scopeProfileId === undefined) {
+      return sendUnknownProfile(res);
+    }
 
-    if (!payment) {
+    const payment = await paymentStore.get(md5);
+
+    if (!payment || !isInProfileScope(payment, scopeProfileId)) {
       return res.status(404).json({
         success: false,
         error: 'Payment not found',
@@ -407,13 +837,10 @@ app.get('/api/payment-md5/:md5', (req, res) => {
 
     return res.json({
       success: true,
-      data: {
-        md5,
-        ...payment,
-      },
+      data: payment,
     });
   } catch (error) {
-    console.error('Error getting payment by md5:', error);
+    logger.error('Error getting payment by md5', { error });
     return res.status(500).json({
       success: false,
       error: error.message,
@@ -422,35 +849,28 @@ app.get('/api/payment-md5/:md5', (req, res) => {
 });
 
 /**
- * Get payment by bill number
+ * Stream payment updates (Server-Sent Events)
  */
-app.get('/api/payment/:billNumber', (req, res) => {
+app.get('/api/payment/:md5/events', requireScope('payments:read'), async (req, res) => {
   try {
-    const { billNumber } = req.params;
-
-    // Find payment by bill number
-    let payment = null;
-    for (const [md5, paymentData] of payments.entries()) {
-      if (paymentData.billNumber === billNumber) {
-        payment = { md5, ...paymentData };
-        break;
-      }
+    const scopeProfileId = resolveProfileScope(req.query.profileId);
+    if (scopeProfileId === undefined) {
+      return sendUnknownProfile(res);
     }
 
-    if (!payment) {
+    const payment = await paymentStore.get(req.params.md5);
+
+    if (!payment || !isInProfileScope(payment, scopeProfileId)) {
       return res.status(404).json({
         success: false,
         error: 'Payment not found',
       });
     }
 
-    res.json({
-      success: true,
-      data: payment,
-    });
+    return paymentEventStream.subscribe(req, res, payment);
   } catch (error) {
-    console.error('Error getting payment:', error);
-    res.status(500).json({
+    logger.error('Error streaming payment events', { error });
+    return res.status(500).json({
       success: false,
       error: error.message,
     });
@@ -458,22 +878,44 @@ app.get('/api/payment/:billNumber', (req, res) => {
 });
 
 /**
- * List all payments
+ * Printable KHQR card for a payment (qr.svg or qr.png)
+ * Query: size, margin, ecc (L, M, Q, H)
  */
-app.get('/api/payments', (_req, res) => {
+app.get('/api/payment/:md5/qr.:format(svg|png)', requireScope('payments:read'), async (req, res) => {
   try {
-    const paymentsList = Array.from(payments.entries()).map(([md5, payment]) => ({
-      md5,
-      ...payment,
-    }));
+    const scopeProfileId = resolveProfileScope(req.query.profileId);
+    if (scopeProfileId === undefined) {
+      return sendUnknownProfile(res);
+    }
 
-    res.json({
-      success: true,
-      data: paymentsList,
+    const { options, error } = parseCardOptions(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error,
+      });
+    }
+
+    const payment = await paymentStore.get(req.params.md5);
+    if (!payment || !isInProfileScope(payment, scopeProfileId)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Payment not found',
+      });
+    }
+
+    const decoded = khqrService.decodeKHQR(payment.qrString);
+    return sendKhqrCard(res, req.params.format, {
+      ...options,
+      qrString: payment.qrString,
+      merchantName: decoded.data?.merchantName || merchantProfiles.get(getPaymentProfileId(payment))?.merchantName,
+      amount: payment.amount,
+      currency: payment.currency,
+      expiresAt: payment.expiresAt,
     });
   } catch (error) {
-    console.error('Error listing payments:', error);
-    res.status(500).json({
+    logger.error('Error rendering payment QR card', { error });
+    return res.status(500).json({
       success: false,
       error: error.message,
     });
@@ -481,31 +923,39 @@ app.get('/api/payments', (_req, res) => {
 });
 
 /**
- * Decode KHQR string
+ * Create (or return) the shareable hosted payment link for a payment
  */
-app.post('/api/khqr/decode', (req, res) => {
+app.post('/api/payment/:md5/link', requireScope('payments:create'), async (req, res) => {
   try {
-    const { qrString } = req.body;
+    const scopeProfileId = resolveProfileScope(req.body?.profileId ?? req.query.profileId);
+    if (scopeProfileId === undefined) {
+      return sendUnknownProfile(res);
+    }
 
-    if (!qrString) {
-      return res.status(400).json({
+    const payment = await paymentStore.get(req.params.md5);
+    if (!payment || !isInProfileScope(payment, scopeProfileId)) {
+      return res.status(404).json({
         success: false,
-        error: 'QR string is required',
+        error: 'Payment not found',
       });
     }
 
-    const decoded = khqrService.decodeKHQR(qrString);
-    const verified = khqrService.verifyKHQR(qrString);
+    const token = payment.payLinkToken || generatePayLinkToken();
+    if (!payment.payLinkToken) {
+      await paymentStore.update(payment.md5, { payLinkToken: token });
+    }
 
     res.json({
       success: true,
       data: {
-        decoded: decoded,
-        isValid: verified.isValid,
+        token,
+        url: buildPayLinkUrl(req, token),
+        status: payment.status,
+        expiresAt: payment.expiresAt,
       },
     });
   } catch (error) {
-    console.error('Error decoding KHQR:', error);
+    logger.error('Error creating payment link', { error });
     res.status(500).json({
       success: false,
       error: error.message,
@@ -514,16 +964,760 @@ app.post('/api/khqr/decode', (req, res) => {
 });
 
 /**
- * Check if Bakong account exists
+ * Get payment by bill number
  */
-app.post('/api/account/check', async (req, res) => {
+app.get('/api/payment/:billNumber', requireScope('payments:read'), async (req, res) => {
   try {
-    const { accountId } = req.body;
+    const { billNumber } = req.params;
+    const scopeProfileId = resolveProfileScope(req.query.profileId);
+    if (scopeProfileId === undefined) {
+      return sendUnknownProfile(res);
+    }
 
-    if (!accountId) {
-      return res.status(400).json({
+    const payment = scopeProfileId
+      ? (await paymentStore.listByBillNumber(billNumber))
+        .filter((item) => isInProfileScope(item, scopeProfileId))
+        .pop() || null
+      : await paymentStore.getByBillNumber(billNumber);
+
+    if (!payment) {
+      return res.status(404).json({
         success: false,
-        error: 'Account ID is required',
+        error: 'Payment not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      data: payment,
+    });
+  } catch (error) {
+    logger.error('Error getting payment', { error });
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * List all payments
+ */
+app.get('/api/payments', requireScope('payments:read'), async (req, res) => {
+  try {
+    const scopeProfileId = resolveProfileScope(req.query.profileId);
+    if (scopeProfileId === undefined) {
+      return sendUnknownProfile(res);
+    }
+
+    const { filters, error: filterError } = parseReportFilters(req.query);
+    const { options, error: pageError } = parsePageOptions(req.query);
+    if (filterError || pageError) {
+      return res.status(400).json({
+        success: false,
+        error: filterError || pageError,
+      });
+    }
+
+    const matches = (payment) => isInProfileScope(payment, scopeProfileId) && matchesReportFilters(payment, filters);
+    const page = await paymentStore.page({ ...options, filter: matches });
+
+    // Totals cover every match, so they cost a full scan and are opt-in
+    const includeTotals = ['1', 'true'].includes(String(req.query.includeTotals).toLowerCase());
+    const matching = includeTotals ? await paymentStore.list(matches) : null;
+
+    res.json({
+      success: true,
+      data: page.data,
+      ...(includeTotals ? { totals: summarizePaymentTotals(matching) } : {}),
+      pagination: {
+        limit: options.limit,
+        sort: options.sort,
+        ...(includeTotals ? { total: matching.length } : {}),
+        hasMore: page.hasMore,
+        nextCursor: page.nextCursor,
+      },
+    });
+  } catch (error) {
+    logger.error('Error listing payments', { error });
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * Load payments for a report request, or send a 4xx and return null
+ */
+const loadReportPayments = async (req, res) => {
+  const scopeProfileId = resolveProfileScope(req.query.profileId);
+  if (scopeProfileId === undefined) {
+    sendUnknownProfile(res);
+    return null;
+  }
+
+  const { filters, error } = parseReportFilters(req.query);
+  if (error) {
+    res.status(400).json({
+      success: false,
+      error,
+    });
+    return null;
+  }
+
+  const { field, min, max } = getReportDateRange(filters);
+  const payments = await paymentStore.listRange(field, { min, max }, (payment) => (
+    isInProfileScope(payment, scopeProfileId) && matchesReportFilters(payment, filters)
+  ));
+  return { filters: { ...filters, profileId: scopeProfileId }, payments };
+};
+
+/**
+ * Daily per-currency payment totals in Cambodia time
+ */
+app.get('/api/reports/daily', requireScope('payments:read'), async (req, res) => {
+  try {
+    const report = await loadReportPayments(req, res);
+    if (!report) {
+      return;
+    }
+
+    res.json({
+      success: true,
+      data: buildDailyReport(report.payments, report.filters),
+    });
+  } catch (error) {
+    logger.error('Error building payment report', { error });
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * Export payments or daily totals as CSV or JSON
+ */
+app.get('/api/reports/export', requireScope('payments:read'), async (req, res) => {
+  try {
+    const view = String(req.query.view || 'payments').toLowerCase();
+    const format = String(req.query.format || 'csv').toLowerCase();
+    if (!REPORT_VIEWS.includes(view) || !EXPORT_FORMATS.includes(format)) {
+      return res.status(400).json({
+        success: false,
+        error: `view must be ${REPORT_VIEWS.join(' or ')} and format must be ${EXPORT_FORMATS.join(' or ')}`,
+      });
+    }
+
+    const report = await loadReportPayments(req, res);
+    if (!report) {
+      return;
+    }
+
+    const items = view === 'daily'
+      ? buildDailyReport(report.payments, report.filters).days
+      : report.payments;
+    const rows = buildExportRows(view, items);
+    const filename = `${view}-${report.filters.from || 'start'}_${report.filters.to || 'now'}.${format}`;
+    res.attachment(filename);
+
+    if (format === 'csv') {
+      return res.type('text/csv; charset=utf-8').send(toCsv(view, rows));
+    }
+
+    return res.json({
+      success: true,
+      view,
+      timeZone: REPORT_TIME_ZONE,
+      filters: report.filters,
+      columns: EXPORT_COLUMNS[view].map((column) => column.name),
+      data: rows,
+    });
+  } catch (error) {
+    logger.error('Error exporting payments', { error });
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * Check many payments at once by md5 list.
+ * Without md5s, pending payments (in the profile scope) are checked oldest
+ * first, limit per request, and pagination.nextCursor continues the run.
+ * Unlike /api/payment/check there is no short-hash fallback here: it costs
+ * one Bakong request per payment, so the reconciler does it instead.
+ */
+app.post('/api/payments/check-batch', requireScope('payments:read'), async (req, res) => {
+  try {
+    const { md5s } = req.body;
+    const scopeProfileId = resolveProfileScope(req.body.profileId);
+    if (scopeProfileId === undefined) {
+      return sendUnknownProfile(res);
+    }
+
+    if (md5s !== undefined && (!Array.isArray(md5s) || md5s.some((md5) => typeof md5 !== 'string' || !md5))) {
+      return res.status(400).json({
+        success: false,
+        error: 'md5s must be an array of MD5 hashes',
+      });
+    }
+
+    let requestedMd5s;
+    let pagination = null;
+    if (Array.isArray(md5s)) {
+      requestedMd5s = [...new Set(md5s)];
+      if (requestedMd5s.length > MAX_BATCH_CHECK_SIZE) {
+        return res.status(400).json({
+          success: false,
+          error: `At most ${MAX_BATCH_CHECK_SIZE} payments can be checked per request`,
+        });
+      }
+    } else {
+      const { limit = MAX_BATCH_CHECK_SIZE, cursor } = req.body;
+      if (!Number.isInteger(limit) || limit < 1 || limit > MAX_BATCH_CHECK_SIZE) {
+        return res.status(400).json({
+          success: false,
+          error: `limit must be a whole number between 1 and ${MAX_BATCH_CHECK_SIZE}`,
+        });
+      }
+
+      const decodedCursor = cursor ? decodeCursor(cursor) : null;
+      if (cursor && decodedCursor?.sort !== 'createdAt') {
+        return res.status(400).json({
+          success: false,
+          error: 'cursor is invalid',
+        });
+      }
+
+      // Oldest first; the cursor continues after the last payment of the previous page
+      const page = await paymentStore.page({
+        sort: 'createdAt',
+        cursor: decodedCursor,
+        limit,
+        filter: (payment) => payment.status === 'pending' && isInProfileScope(payment, scopeProfileId),
+      });
+      requestedMd5s = page.data.map((payment) => payment.md5);
+      pagination = { limit, hasMore: page.hasMore, nextCursor: page.nextCursor };
+    }
+
+    const storedPayments = new Map();
+    for (const md5 of requestedMd5s) {
+      const payment = await paymentStore.get(md5);
+      if (payment && isInProfileScope(payment, scopeProfileId)) {
+        storedPayments.set(md5, payment);
+      }
+    }
+
+    // A profile scope limits the lookup to that merchant's stored payments.
+    const lookupMd5s = scopeProfileId
+      ? requestedMd5s.filter((md5) => storedPayments.has(md5))
+      : requestedMd5s;
+    const results = lookupMd5s.length > 0
+      ? await bakongAPI.checkTransactionsByMD5List(lookupMd5s)
+      : {};
+
+    const items = [];
+    for (const md5 of lookupMd5s) {
+      const result = results[md5];
+      const payment = storedPayments.get(md5) || null;
+      const status = resolvePaymentStatus(result, payment);
+
+      if (payment) {
+        await applyPaymentStatus(paymentStore, md5, { status, result, checkedBy: 'md5_list' });
+      }
+
+      items.push({
+        md5,
+        status,
+        previousStatus: payment?.status ?? null,
+        stored: Boolean(payment),
+        billNumber: payment?.billNumber ?? null,
+        message: buildStatusMessage(status, result, payment),
+        errorCode: result?.errorCode ?? null,
+        data: result?.data ?? null,
+      });
+    }
+
+    const summary = items.reduce((counts, item) => ({
+      ...counts,
+      [item.status]: (counts[item.status] || 0) + 1,
+    }), {});
+
+    return res.json({
+      success: true,
+      data: items,
+      summary,
+      ...(pagination ? { pagination } : {}),
+    });
+  } catch (error) {
+    logger.error('Error checking payment batch', { error });
+    return res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * Issue the KHQR payment for a saved invoice and link it. When the QR
+ * cannot be issued the invoice is marked failed so it can be reissued.
+ * Returns { invoice, issued } or { error }.
+ */
+const issueInvoicePayment = async (req, { invoice, profile, expiresInSeconds }) => {
+  const issued = await issuePayment(req, {
+    profile,
+    accountType: profile.accountType,
+    merchantId: profile.accountType === 'merchant' ? profile.merchantId : null,
+    acquiringBank: profile.accountType === 'merchant' ? profile.acquiringBank : null,
+    amount: invoice.total,
+    currency: invoice.currency,
+    billNumber: invoice.invoiceNumber,
+    purposeOfTransaction: summarizeInvoice(invoice),
+    storeLabel: profile.storeLabel,
+    expiresInSeconds,
+    extra: { invoiceId: invoice.id },
+  });
+  if (issued.error) {
+    await invoiceStore.update(invoice.id, { status: 'failed' });
+    return { error: issued.error };
+  }
+
+  const linked = await invoiceStore.update(invoice.id, {
+    status: 'open',
+    paymentMd5: issued.payment.md5,
+    paidAt: null,
+  });
+  return { invoice: linked, issued };
+};
+
+const sendIssuedInvoice = async (res, statusCode, { invoice, issued }) => {
+  const responseBody = {
+    success: true,
+    data: {
+      ...invoice,
+      payment: await buildGenerateResponseData(issued.payment),
+    },
+  };
+
+  if (issued.warning) {
+    responseBody.warning = issued.warning;
+  }
+
+  return res.status(statusCode).json(responseBody);
+};
+
+const parseExpiresIn = (expiresIn) => {
+  const hasCustomExpiry = expiresIn !== undefined && expiresIn !== null && expiresIn !== '';
+  const expiresInSeconds = hasCustomExpiry ? Number(expiresIn) : null;
+  return {
+    expiresInSeconds,
+    error: hasCustomExpiry ? khqrService.validateExpirySeconds(expiresInSeconds) : null,
+  };
+};
+
+/**
+ * Create an invoice and the KHQR payment that collects it
+ */
+app.post('/api/invoices', requireScope('payments:create'), async (req, res) => {
+  try {
+    const {
+      profileId,
+      invoiceNumber,
+      currency,
+      customer,
+      lineItems,
+      discount,
+      tax,
+      notes,
+      expiresIn,
+    } = req.body;
+
+    const profile = merchantProfiles.get(profileId);
+    if (!profile) {
+      return sendUnknownProfile(res);
+    }
+
+    const resolvedCurrency = String(currency || profile.currency).toUpperCase();
+    if (!SUPPORTED_CURRENCIES.has(resolvedCurrency)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Currency must be either USD or KHR',
+      });
+    }
+
+    const built = buildInvoice({
+      invoiceNumber,
+      currency: resolvedCurrency,
+      customer,
+      lineItems,
+      discount,
+      tax,
+      notes,
+    });
+    if (built.error) {
+      return res.status(400).json({
+        success: false,
+        error: built.error,
+      });
+    }
+
+    const { expiresInSeconds, error: expiryError } = parseExpiresIn(expiresIn);
+    if (expiryError) {
+      return res.status(400).json({
+        success: false,
+        error: expiryError,
+      });
+    }
+
+    if (!profile.accountId || !profile.merchantName) {
+      return res.status(500).json({
+        success: false,
+        error: 'Server is missing required Bakong configuration',
+      });
+    }
+
+    const finalInvoiceNumber = normalizeOptionalText(invoiceNumber) || `INV-${Date.now()}`;
+    const existingInvoice = await invoiceStore.getByInvoiceNumber(profile.id, finalInvoiceNumber);
+    const openPayment = await findOpenPaymentForBill(finalInvoiceNumber, profile.id);
+    if (existingInvoice || openPayment) {
+      return res.status(409).json({
+        success: false,
+        error: existingInvoice
+          ? 'An invoice with this number already exists (reissue it if its payment expired or failed)'
+          : 'A pending payment already exists for this bill number',
+        data: existingInvoice ? { id: existingInvoice.id, status: existingInvoice.status } : { md5: openPayment.md5 },
+      });
+    }
+
+    // Saved before its payment exists, so a failed save never leaves an orphan QR
+    const now = new Date().toISOString();
+    const invoice = await invoiceStore.save({
+      id: `inv_${crypto.randomBytes(8).toString('hex')}`,
+      invoiceNumber: finalInvoiceNumber,
+      profileId: profile.id,
+      ...built.invoice,
+      status: 'open',
+      paymentMd5: null,
+      createdAt: now,
+      updatedAt: now,
+      paidAt: null,
+    });
+
+    const result = await issueInvoicePayment(req, { invoice, profile, expiresInSeconds });
+    if (result.error) {
+      return res.status(500).json({
+        success: false,
+        error: result.error,
+        data: { id: invoice.id, status: 'failed' },
+      });
+    }
+
+    return sendIssuedInvoice(res, 201, result);
+  } catch (error) {
+    logger.error('Error creating invoice', { error });
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * List invoices
+ */
+app.get('/api/invoices', requireScope('payments:read'), async (req, res) => {
+  try {
+    const scopeProfileId = resolveProfileScope(req.query.profileId);
+    if (scopeProfileId === undefined) {
+      return sendUnknownProfile(res);
+    }
+
+    res.json({
+      success: true,
+      data: (await invoiceStore.list()).filter((invoice) => isInProfileScope(invoice, scopeProfileId)),
+    });
+  } catch (error) {
+    logger.error('Error listing invoices', { error });
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * Invoice by id or invoice number within the profile scope
+ */
+const findInvoice = async (invoiceId, scopeProfileId) => {
+  const invoice = await invoiceStore.get(invoiceId)
+    || await invoiceStore.getByInvoiceNumber(scopeProfileId || merchantProfiles.defaultProfileId, invoiceId);
+  return invoice && isInProfileScope(invoice, scopeProfileId) ? invoice : null;
+};
+
+/**
+ * Get an invoice by id or invoice number, with its payment
+ */
+app.get('/api/invoices/:invoiceId', requireScope('payments:read'), async (req, res) => {
+  try {
+    const scopeProfileId = resolveProfileScope(req.query.profileId);
+    if (scopeProfileId === undefined) {
+      return sendUnknownProfile(res);
+    }
+
+    const invoice = await findInvoice(req.params.invoiceId, scopeProfileId);
+    if (!invoice) {
+      return res.status(404).json({
+        success: false,
+        error: 'Invoice not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        ...invoice,
+        payment: invoice.paymentMd5 ? await paymentStore.get(invoice.paymentMd5) : null,
+      },
+    });
+  } catch (error) {
+    logger.error('Error getting invoice', { error });
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * Issue a new KHQR for an invoice whose payment expired or failed
+ */
+app.post('/api/invoices/:invoiceId/reissue', requireScope('payments:create'), async (req, res) => {
+  try {
+    const scopeProfileId = resolveProfileScope(req.query.profileId || req.body?.profileId);
+    if (scopeProfileId === undefined) {
+      return sendUnknownProfile(res);
+    }
+
+    const invoice = await findInvoice(req.params.invoiceId, scopeProfileId);
+    if (!invoice) {
+      return res.status(404).json({
+        success: false,
+        error: 'Invoice not found',
+      });
+    }
+
+    if (!canReissueInvoice(invoice)) {
+      return res.status(409).json({
+        success: false,
+        error: 'Only invoices whose payment expired or failed can be reissued',
+        data: { id: invoice.id, status: invoice.status },
+      });
+    }
+
+    const { expiresInSeconds, error: expiryError } = parseExpiresIn(req.body?.expiresIn);
+    if (expiryError) {
+      return res.status(400).json({
+        success: false,
+        error: expiryError,
+      });
+    }
+
+    const profile = merchantProfiles.get(invoice.profileId);
+    if (!profile?.accountId || !profile.merchantName) {
+      return res.status(500).json({
+        success: false,
+        error: 'Server is missing required Bakong configuration',
+      });
+    }
+
+    const openPayment = await findOpenPaymentForBill(invoice.invoiceNumber, profile.id);
+    if (openPayment) {
+      return res.status(409).json({
+        success: false,
+        error: 'A pending payment already exists for this bill number',
+        data: { md5: openPayment.md5 },
+      });
+    }
+
+    const result = await issueInvoicePayment(req, { invoice, profile, expiresInSeconds });
+    if (result.error) {
+      return res.status(500).json({
+        success: false,
+        error: result.error,
+      });
+    }
+
+    return sendIssuedInvoice(res, 200, result);
+  } catch (error) {
+    logger.error('Error reissuing invoice', { error });
+    return res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * List merchant profiles
+ */
+app.get('/api/merchants', requireScope('payments:read'), (_req, res) => {
+  res.json({
+    success: true,
+    data: merchantProfiles.list().map((profile) => ({
+      id: profile.id,
+      merchantName: profile.merchantName,
+      merchantCity: profile.merchantCity,
+      accountType: profile.accountType,
+      storeLabel: profile.storeLabel,
+      currency: profile.currency,
+      isDefault: profile.id === merchantProfiles.defaultProfileId,
+    })),
+  });
+});
+
+/**
+ * Static counter KHQR card for a merchant profile (no amount or expiry)
+ */
+app.get('/api/merchants/:profileId/qr.:format(svg|png)', requireScope('payments:read'), (req, res) => {
+  try {
+    const profile = merchantProfiles.has(req.params.profileId)
+      ? merchantProfiles.get(req.params.profileId)
+      : null;
+    if (!profile) {
+      return sendUnknownProfile(res);
+    }
+
+    const { options, error } = parseCardOptions(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error,
+      });
+    }
+
+    const qrOptions = {
+      accountId: profile.accountId,
+      merchantName: profile.merchantName,
+      merchantCity: profile.merchantCity,
+      currency: profile.currency,
+      mobileNumber: profile.mobileNumber,
+      storeLabel: profile.storeLabel,
+    };
+    const result = profile.accountType === 'merchant'
+      ? khqrService.generateMerchantQR({
+        ...qrOptions,
+        merchantId: profile.merchantId,
+        acquiringBank: profile.acquiringBank,
+      })
+      : khqrService.generateIndividualQR(qrOptions);
+
+    if (!result.success) {
+      return res.status(500).json({
+        success: false,
+        error: result.error,
+      });
+    }
+
+    return sendKhqrCard(res, req.params.format, {
+      ...options,
+      qrString: result.qrString,
+      merchantName: profile.merchantName,
+      currency: profile.currency,
+    });
+  } catch (error) {
+    logger.error('Error rendering static QR card', { error });
+    return res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * Current USD/KHR exchange rate used for cross-currency pricing
+ */
+app.get('/api/exchange-rate', requireScope('payments:read'), (_req, res) => {
+  res.json({
+    success: true,
+    data: exchangeRates.getRate(),
+  });
+});
+
+/**
+ * Set the USD/KHR exchange rate (riel per US dollar)
+ */
+app.put('/api/admin/exchange-rate', requireScope('admin'), (req, res) => {
+  const rateError = exchangeRates.validateRate(req.body?.rate);
+  if (rateError) {
+    return res.status(400).json({
+      success: false,
+      error: rateError,
+    });
+  }
+
+  try {
+    return res.json({
+      success: true,
+      data: exchangeRates.setRate(req.body.rate, { updatedBy: req.apiKey?.id || null }),
+    });
+  } catch (error) {
+    logger.error('Error setting exchange rate', { error });
+    return res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * Decode KHQR string with a field-level validation report
+ */
+app.post('/api/khqr/decode', requireScope('payments:read'), (req, res) => {
+  try {
+    const { qrString } = req.body;
+
+    if (!qrString) {
+      return res.status(400).json({
+        success: false,
+        error: 'QR string is required',
+      });
+    }
+
+    const decoded = khqrService.decodeKHQR(qrString);
+    const verified = khqrService.verifyKHQR(qrString);
+    const report = khqrService.validateKHQR(qrString);
+
+    res.json({
+      success: true,
+      data: {
+        decoded: decoded,
+        isValid: verified.isValid,
+        report,
+      },
+    });
+  } catch (error) {
+    logger.error('Error decoding KHQR', { error });
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * Check if Bakong account exists
+ */
+app.post('/api/account/check', requireScope('accounts:read'), async (req, res) => {
+  try {
+    const { accountId } = req.body;
+
+    if (!accountId) {
+      return res.status(400).json({
+        success: false,
+        error: 'Account ID is required',
       });
     }
 
@@ -536,7 +1730,7 @@ app.post('/api/account/check', async (req, res) => {
       errorCode: result.errorCode,
     });
   } catch (error) {
-    console.error('Error checking account:', error);
+    logger.error('Error checking account', { error });
     res.status(500).json({
       success: false,
       error: error.message,
@@ -545,79 +1739,492 @@ app.post('/api/account/check', async (req, res) => {
 });
 
 /**
- * Payment callback endpoint
+ * List configured webhook endpoints
  */
-app.get('/payment/callback', (req, res) => {
-  res.send(`
-    <!DOCTYPE html>
-    <html>
-    <head>
-      <title>Payment Completed</title>
-      <style>
-        body {
-          font-family: Arial, sans-serif;
-          display: flex;
-          justify-content: center;
-          align-items: center;
-          height: 100vh;
-          margin: 0;
-          background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
-        }
-        .container {
-          background: white;
-          padding: 40px;
-          border-radius: 10px;
-          box-shadow: 0 10px 40px rgba(0,0,0,0.2);
-          text-align: center;
-        }
-        h1 { color: #28a745; margin-bottom: 10px; }
-        p { color: #666; font-size: 18px; }
-        .checkmark {
-          width: 80px;
-          height: 80px;
-          border-radius: 50%;
-          background: #28a745;
-          margin: 20px auto;
-          position: relative;
-        }
-        .checkmark:after {
-          content: '✓';
-          color: white;
-          font-size: 50px;
-          position: absolute;
-          top: 50%;
-          left: 50%;
-          transform: translate(-50%, -50%);
-        }
-      </style>
-    </head>
-    <body>
-      <div class="container">
-        <div class="checkmark"></div>
-        <h1>Payment Successful!</h1>
-        <p>Thank you for your payment.</p>
-        <p>You can close this window now.</p>
-      </div>
-    </body>
-    </html>
-  `);
+app.get('/api/webhooks/endpoints', requireScope('admin'), (_req, res) => {
+  res.json({
+    success: true,
+    data: webhookService.listEndpoints(),
+  });
+});
+
+/**
+ * Get delivery log for a webhook endpoint
+ */
+app.get('/api/webhooks/endpoints/:endpointId/deliveries', requireScope('admin'), async (req, res) => {
+  const deliveries = await webhookService.getDeliveries(req.params.endpointId);
+
+  if (!deliveries) {
+    return res.status(404).json({
+      success: false,
+      error: 'Webhook endpoint not found',
+    });
+  }
+
+  return res.json({
+    success: true,
+    data: deliveries,
+  });
+});
+
+/**
+ * Get a past webhook event
+ */
+app.get('/api/webhooks/events/:eventId', requireScope('admin'), async (req, res) => {
+  const event = await webhookService.getEvent(req.params.eventId);
+
+  if (!event) {
+    return res.status(404).json({
+      success: false,
+      error: 'Event not found',
+    });
+  }
+
+  return res.json({
+    success: true,
+    data: event,
+  });
+});
+
+/**
+ * Redeliver a past webhook event
+ */
+app.post('/api/webhooks/events/:eventId/redeliver', requireScope('admin'), async (req, res) => {
+  const endpointId = normalizeOptionalText(req.body?.endpointId);
+  const result = await webhookService.redeliver(req.params.eventId, endpointId);
+
+  if (!result.success) {
+    return res.status(404).json(result);
+  }
+
+  return res.status(202).json(result);
+});
+
+/**
+ * List API keys (hashes are never returned)
+ */
+app.get('/api/admin/api-keys', requireScope('admin'), (_req, res) => {
+  res.json({
+    success: true,
+    data: apiKeyStore.list(),
+  });
+});
+
+/**
+ * Create an API key (the plaintext key is only returned once)
+ */
+app.post('/api/admin/api-keys', requireScope('admin'), (req, res) => {
+  try {
+    const { name, scopes, expiresAt } = req.body;
+    const scopeError = validateScopes(scopes);
+    if (scopeError) {
+      return res.status(400).json({
+        success: false,
+        error: scopeError,
+      });
+    }
+
+    const created = apiKeyStore.create({
+      name: normalizeOptionalText(name),
+      scopes,
+      expiresAt: normalizeOptionalText(expiresAt),
+    });
+
+    return res.status(201).json({
+      success: true,
+      data: created,
+    });
+  } catch (error) {
+    logger.error('Error creating API key', { error });
+    return res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * Rotate an API key (optional grace period for the old key)
+ */
+app.post('/api/admin/api-keys/:keyId/rotate', requireScope('admin'), (req, res) => {
+  try {
+    const graceSeconds = Number.parseInt(String(req.body?.graceSeconds ?? '0'), 10);
+    const rotated = apiKeyStore.rotate(req.params.keyId, {
+      graceSeconds: Number.isFinite(graceSeconds) && graceSeconds > 0 ? graceSeconds : 0,
+    });
+
+    if (!rotated) {
+      return res.status(404).json({
+        success: false,
+        error: 'Active API key not found',
+      });
+    }
+
+    return res.status(201).json({
+      success: true,
+      data: rotated,
+    });
+  } catch (error) {
+    logger.error('Error rotating API key', { error });
+    return res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * Revoke an API key
+ */
+app.delete('/api/admin/api-keys/:keyId', requireScope('admin'), (req, res) => {
+  try {
+    const revoked = apiKeyStore.revoke(req.params.keyId);
+
+    if (!revoked) {
+      return res.status(404).json({
+        success: false,
+        error: 'API key not found',
+      });
+    }
+
+    return res.json({
+      success: true,
+      data: revoked,
+    });
+  } catch (error) {
+    logger.error('Error revoking API key', { error });
+    return res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * Use a new token right away. When ENV_FILE_PATH is set, also save it to
+ * that env file so a restart does not go back to the old one.
+ */
+const applyBakongToken = (token) => {
+  const info = bakongAPI.setToken(token);
+  process.env.BAKONG_API_TOKEN = token;
+  if (paymentReconciler.shouldRun()) {
+    paymentReconciler.start();
+  }
+
+  const envFilePath = normalizeOptionalText(process.env.ENV_FILE_PATH);
+  if (!envFilePath) {
+    return { ...info, persisted: false };
+  }
+
+  try {
+    upsertEnvValue(envFilePath, 'BAKONG_API_TOKEN', token);
+    return { ...info, persisted: true };
+  } catch (error) {
+    logger.error('Failed to save the Bakong token to the env file', { envFilePath, error });
+    return { ...info, persisted: false };
+  }
+};
+
+/**
+ * Current Bakong API token status (the token itself is never returned)
+ */
+app.get('/api/admin/token', requireScope('admin'), (_req, res) => {
+  res.json({
+    success: true,
+    data: bakongAPI.getTokenInfo(),
+  });
+});
+
+/**
+ * Replace the Bakong API token without restarting
+ */
+app.put('/api/admin/token', requireScope('admin'), (req, res) => {
+  const token = normalizeOptionalText(req.body?.token);
+  if (!token) {
+    return res.status(400).json({
+      success: false,
+      error: 'token is required',
+    });
+  }
+
+  const info = getTokenStatus(token);
+  if (info.status === 'expired') {
+    return res.status(400).json({
+      success: false,
+      error: `Token already expired at ${info.expiresAt}`,
+    });
+  }
+
+  return res.json({
+    success: true,
+    data: applyBakongToken(token),
+  });
+});
+
+/**
+ * Renew the Bakong API token for the registered email.
+ * The new token is applied immediately when Bakong returns it.
+ */
+app.post('/api/admin/token/renew', requireScope('admin'), async (req, res) => {
+  try {
+    const email = normalizeOptionalText(req.body?.email) || normalizeOptionalText(process.env.BAKONG_TOKEN_EMAIL);
+    if (!email) {
+      return res.status(400).json({
+        success: false,
+        error: 'email is required (or set BAKONG_TOKEN_EMAIL)',
+      });
+    }
+
+    const result = await bakongAPI.renewToken(email);
+    if (result.responseCode !== 0) {
+      return res.status(502).json({
+        success: false,
+        error: result.responseMessage || 'Token renewal failed',
+        errorCode: result.errorCode,
+      });
+    }
+
+    const token = result.data?.token;
+    if (!token) {
+      return res.status(202).json({
+        success: true,
+        data: {
+          applied: false,
+          message: 'Renewal requested. Submit the verification code to /api/admin/token/verify.',
+        },
+      });
+    }
+
+    return res.json({
+      success: true,
+      data: { applied: true, ...applyBakongToken(token) },
+    });
+  } catch (error) {
+    logger.error('Error renewing Bakong token', { error });
+    return res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * Exchange an emailed verification code for a token and apply it
+ */
+app.post('/api/admin/token/verify', requireScope('admin'), async (req, res) => {
+  try {
+    const code = normalizeOptionalText(req.body?.code);
+    if (!code) {
+      return res.status(400).json({
+        success: false,
+        error: 'code is required',
+      });
+    }
+
+    const result = await bakongAPI.verifyToken(code);
+    const token = result.data?.token;
+    if (result.responseCode !== 0 || !token) {
+      return res.status(502).json({
+        success: false,
+        error: result.responseMessage || 'Token verification failed',
+        errorCode: result.errorCode,
+      });
+    }
+
+    return res.json({
+      success: true,
+      data: { applied: true, ...applyBakongToken(token) },
+    });
+  } catch (error) {
+    logger.error('Error verifying Bakong token', { error });
+    return res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * Hosted payment page for a shared payment link (public)
+ */
+app.get('/pay/:token', async (req, res) => {
+  try {
+    const payment = await findPaymentByPayLink(req.params.token);
+    if (!payment) {
+      return res.status(404).type('text/plain').send('This payment link is invalid.');
+    }
+
+    res.set('Cache-Control', 'no-store');
+    return res.sendFile(path.resolve('public/pay.html'));
+  } catch (error) {
+    logger.error('Error serving payment page', { error });
+    return res.status(500).type('text/plain').send('Unable to load this payment right now.');
+  }
+});
+
+/**
+ * Customer-facing payment details for a payment link (public, no md5)
+ */
+app.get('/api/pay/:token', async (req, res) => {
+  try {
+    const payment = await findPaymentByPayLink(req.params.token);
+    if (!payment) {
+      return res.status(404).json({
+        success: false,
+        error: 'Payment link not found',
+      });
+    }
+
+    const profile = merchantProfiles.get(getPaymentProfileId(payment));
+    res.set('Cache-Control', 'no-store');
+    res.json({
+      success: true,
+      data: {
+        merchantName: profile?.merchantName || null,
+        merchantCity: profile?.merchantCity || null,
+        billNumber: payment.billNumber,
+        description: payment.description ?? null,
+        amount: payment.amount,
+        currency: payment.currency,
+        status: isPaymentExpired(payment) && payment.status === 'pending' ? 'expired' : payment.status,
+        expiresAt: payment.expiresAt,
+        completedAt: payment.completedAt ?? null,
+        deeplinkUrl: payment.deeplinkUrl ?? null,
+        qrCodeImage: await QRCode.toDataURL(payment.qrString, {
+          width: 300,
+          margin: 1,
+        }),
+      },
+    });
+  } catch (error) {
+    logger.error('Error loading payment link', { error });
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * Live status for a payment link (public Server-Sent Events, no md5)
+ */
+app.get('/api/pay/:token/events', async (req, res) => {
+  try {
+    const payment = await findPaymentByPayLink(req.params.token);
+    if (!payment) {
+      return res.status(404).json({
+        success: false,
+        error: 'Payment link not found',
+      });
+    }
+
+    return paymentEventStream.subscribe(req, res, payment, { includeMd5: false });
+  } catch (error) {
+    logger.error('Error streaming payment link events', { error });
+    return res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * Return page for the Bakong app callback. Verifies the payment referenced
+ * by ?ref= with the same lookup as /api/payment/check, then shows the
+ * outcome or redirects to the merchant's signed return URL.
+ */
+app.get('/payment/callback', async (req, res) => {
+  res.set('Cache-Control', 'no-store');
+
+  try {
+    const ref = normalizeOptionalText(req.query.ref);
+    let payment = ref ? await findPaymentByPayLink(ref) : null;
+    if (!payment) {
+      return res.status(404).send(renderCallbackPage('not_found'));
+    }
+
+    if ((payment.status === 'pending' || payment.status === 'error') && shouldCallbackCheck(payment.md5)) {
+      const { result, status, checkedBy } = await lookupPaymentStatus({
+        bakongAPI,
+        khqrService,
+        md5: payment.md5,
+        payment,
+      });
+      payment = await applyPaymentStatus(paymentStore, payment.md5, { status, result, checkedBy }) || payment;
+    }
+
+    const status = (payment.status === 'pending' || payment.status === 'error') && isPaymentExpired(payment)
+      ? 'expired'
+      : payment.status;
+
+    const profile = merchantProfiles.get(getPaymentProfileId(payment));
+    const returnSecret = profile?.returnSecret || process.env.PAYMENT_RETURN_SECRET;
+    if (profile?.returnUrl && status !== 'pending' && status !== 'error') {
+      if (returnSecret) {
+        return res.redirect(303, buildReturnUrl(profile.returnUrl, returnSecret, { ...payment, status }));
+      }
+      logger.warn('Return URL is set but PAYMENT_RETURN_SECRET is missing; not redirecting', {
+        profileId: profile.id,
+      });
+    }
+
+    return res.send(renderCallbackPage(status, payment));
+  } catch (error) {
+    logger.error('Error handling payment callback', { error });
+    return res.status(500).send(renderCallbackPage('pending'));
+  }
 });
 
 // Start server
 app.listen(PORT, () => {
-  console.log(`\n🚀 Bakong Integration Server running on port ${PORT}`);
-  console.log(`📱 Health check: http://localhost:${PORT}/health`);
-  console.log(`\n⚙️  Configuration:`);
-  console.log(`   - Bakong Account: ${process.env.BAKONG_ACCOUNT_ID || 'NOT SET'}`);
-  console.log(`   - Merchant Name: ${process.env.MERCHANT_NAME || 'NOT SET'}`);
-  console.log(`   - API Token: ${process.env.BAKONG_API_TOKEN ? '✓ SET' : '✗ NOT SET'}`);
-  console.log(`   - API Base URL: ${process.env.BAKONG_API_BASE_URL || 'https://api-bakong.nbc.org.kh'}`);
+  const defaultProfile = merchantProfiles.get();
+  const tokenInfo = bakongAPI.getTokenInfo();
+  const { rate, source } = exchangeRates.getRate();
+  const reconcilerEnabled = paymentReconciler.shouldRun();
+  if (reconcilerEnabled) {
+    paymentReconciler.start();
+  }
 
-  if (bakongAPI.isUsingDevEnvironment()) {
-    console.log('   - WARNING: DEV API URL is active; real payments may not resolve to completed.');
+  logger.info('Bakong Integration Server started', {
+    port: Number(PORT),
+    healthCheck: `http://localhost:${PORT}/health`,
+    merchantProfiles: merchantProfiles.list().length,
+    defaultProfile: defaultProfile.id,
+    bakongAccount: defaultProfile.accountId || null,
+    accountType: defaultProfile.accountType,
+    merchantName: defaultProfile.merchantName || null,
+    tokenStatus: tokenInfo.configured
+      ? { status: tokenInfo.status, expiresAt: tokenInfo.expiresAt || null }
+      : 'not set',
+    apiBaseUrl: bakongAPI.baseUrl,
+    paymentStore: paymentStore.filePath || 'memory',
+    qrExpirySeconds: khqrService.expirySeconds,
+    exchangeRate: { usdToKhr: rate, source },
+    webhookEndpoints: webhookService.endpoints.length,
+    apiKeyAuth: isApiAuthEnforced() ? 'enforced' : 'disabled (admin routes still need a key)',
+    reconcilerIntervalMs: reconcilerEnabled ? paymentReconciler.intervalMs : null,
+  });
+
+  startTokenExpiryMonitor(bakongAPI, {
+    intervalMs: Number.parseInt(process.env.BAKONG_TOKEN_CHECK_INTERVAL_MS || '3600000', 10),
+    logger,
+  });
+
+  if (apiKeyStore.loadError) {
+    logger.error('API key file could not be read; all API requests are denied', {
+      error: apiKeyStore.loadError,
+    });
+  } else if (!apiKeyStore.hasKeys()) {
+    logger.warn('No API keys exist yet; create one with npm run apikey', {
+      apiKeysPath: apiKeyStore.filePath,
+    });
   }
 
-  console.log(`\n📝 Don't forget to copy .env.example to .env and configure it!\n`);
+  if (bakongAPI.isUsingDevEnvironment()) {
+    logger.warn('DEV API URL is active; real payments may not resolve to completed', {
+      apiBaseUrl: bakongAPI.baseUrl,
+    });
+  }
 });
 
 export default app;
@@ -0,0 +1,124 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { ApiKeyStore, createApiKeyAuth, hashApiKey } from '../apiKeys.js';
+
+const createTempStore = () => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'api-keys-'));
+  return new ApiKeyStore(path.join(directory, 'api-keys.json'), { reloadIntervalMs: 0 });
+};
+
+const runMiddleware = (middleware, headers = {}, query = {}) => {
+  const req = {
+    query,
+    get: (name) => headers[name.toLowerCase()],
+  };
+  const res = {
+    statusCode: 200,
+    body: null,
+    status(code) {
+      res.statusCode = code;
+      return res;
+    },
+    json(body) {
+      res.body = body;
+      return res;
+    },
+  };
+  let nextCalled = false;
+  middleware(req, res, () => {
+    nextCalled = true;
+  });
+
+  return { req, res, nextCalled };
+};
+
+test('ApiKeyStore persists only hashes and authenticates plaintext keys', () => {
+  const store = createTempStore();
+  const { apiKey, key } = store.create({ name: 'pos', scopes: ['payments:create'] });
+
+  const fileContent = fs.readFileSync(store.filePath, 'utf8');
+  assert.equal(fileContent.includes(apiKey), false);
+  assert.equal(fileContent.includes(hashApiKey(apiKey)), true);
+
+  assert.equal(store.authenticate(apiKey).id, key.id);
+  assert.equal(store.authenticate(apiKey).hash, undefined);
+  assert.equal(store.authenticate('bk_wrong'), null);
+
+  store.revoke(key.id);
+  assert.equal(store.authenticate(apiKey), null);
+  assert.throws(() => store.create({ name: 'bad', scopes: ['payments:delete'] }), /Unknown scope/);
+});
+
+test('ApiKeyStore picks up keys written by another process and rotates keys', () => {
+  const store = createTempStore();
+  const otherProcess = new ApiKeyStore(store.filePath, { reloadIntervalMs: 0 });
+  const { apiKey, key } = otherProcess.create({ name: 'ops', scopes: ['admin'] });
+
+  assert.equal(store.authenticate(apiKey).id, key.id);
+
+  const rotated = store.rotate(key.id);
+  assert.equal(store.authenticate(apiKey), null);
+  assert.equal(store.authenticate(rotated.apiKey).id, rotated.key.id);
+  assert.equal(rotated.previous.replacedBy, rotated.key.id);
+
+  const withGrace = store.rotate(rotated.key.id, { graceSeconds: 60 });
+  assert.ok(store.authenticate(rotated.apiKey));
+  assert.ok(store.authenticate(withGrace.apiKey));
+});
+
+test('requireScope enforces keys and scopes once keys exist', () => {
+  const store = createTempStore();
+  const { requireScope } = createApiKeyAuth({ apiKeyStore: store, mode: 'auto' });
+
+  assert.equal(runMiddleware(requireScope('payments:read')).nextCalled, true);
+
+  const reader = store.create({ name: 'reader', scopes: ['payments:read'] });
+  const admin = store.create({ name: 'admin', scopes: ['admin'] });
+
+  assert.equal(runMiddleware(requireScope('payments:read')).res.statusCode, 401);
+  assert.equal(runMiddleware(requireScope('payments:read'), {}, { apiKey: reader.apiKey }).res.statusCode, 401);
+
+  const allowed = runMiddleware(requireScope('payments:read'), { 'x-api-key': reader.apiKey });
+  assert.equal(allowed.nextCalled, true);
+  assert.equal(allowed.req.apiKey.name, 'reader');
+
+  const forbidden = runMiddleware(requireScope('payments:create'), { authorization: `Bearer ${reader.apiKey}` });
+  assert.equal(forbidden.res.statusCode, 403);
+
+  assert.equal(runMiddleware(requireScope('payments:create'), { 'x-api-key': admin.apiKey }).nextCalled, true);
+
+  const disabled = createApiKeyAuth({ apiKeyStore: store, mode: 'disabled' });
+  assert.equal(runMiddleware(disabled.requireScope('payments:read')).nextCalled, true);
+  assert.equal(runMiddleware(disabled.requireScope('admin')).res.statusCode, 401);
+});
+
+test('requireScope requires keys by default, even before the first key exists', () => {
+  const store = createTempStore();
+  const { requireScope, isEnforced } = createApiKeyAuth({ apiKeyStore: store });
+
+  assert.equal(isEnforced(), true);
+  assert.equal(runMiddleware(requireScope('payments:read')).res.statusCode, 401);
+
+  const auto = createApiKeyAuth({ apiKeyStore: store, mode: 'auto' });
+  assert.equal(runMiddleware(auto.requireScope('payments:read')).nextCalled, true);
+  assert.equal(runMiddleware(auto.requireScope('admin')).res.statusCode, 401);
+});
+
+test('requireScope denies requests when the key file is deleted or unreadable', () => {
+  const store = createTempStore();
+  const { requireScope } = createApiKeyAuth({ apiKeyStore: store, mode: 'auto' });
+  const { apiKey } = store.create({ name: 'reader', scopes: ['payments:read'] });
+
+  fs.rmSync(store.filePath);
+  assert.equal(runMiddleware(requireScope('payments:read')).res.statusCode, 401);
+
+  fs.writeFileSync(store.filePath, '{ not json');
+  const corrupt = runMiddleware(requireScope('payments:read'), { 'x-api-key': apiKey });
+  assert.equal(corrupt.res.statusCode, 503);
+  assert.equal(corrupt.nextCalled, false);
+  assert.throws(() => store.create({ name: 'next', scopes: ['admin'] }), /could not be read/);
+  assert.equal(fs.readFileSync(store.filePath, 'utf8'), '{ not json');
+});
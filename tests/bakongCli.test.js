@@ -0,0 +1,50 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'child_process';
+import { fileURLToPath } from 'url';
+import { detectHashType } from '../paymentStatus.js';
+
+const cliPath = fileURLToPath(new URL('../bakong-cli.js', import.meta.url));
+
+const runCli = (args) => {
+  const result = spawnSync(process.execPath, [cliPath, ...args, '--json'], {
+    encoding: 'utf8',
+    env: {
+      ...process.env,
+      BAKONG_ACCOUNT_ID: 'demo@nbcq',
+      MERCHANT_NAME: 'Demo Shop',
+      BAKONG_API_TOKEN: '',
+      MERCHANT_PROFILES_PATH: '',
+    },
+  });
+  return { status: result.status, output: JSON.parse(result.stdout) };
+};
+
+test('detectHashType recognizes md5, full and short hashes', () => {
+  assert.equal(detectHashType('a'.repeat(32)), 'md5');
+  assert.equal(detectHashType('B'.repeat(64)), 'hash');
+  assert.equal(detectHashType('0123abcd'), 'short_hash');
+  assert.equal(detectHashType('not-a-hash'), null);
+});
+
+test('bakong generate, decode and verify round-trip as JSON', () => {
+  const generated = runCli(['generate', '--amount', '2.5', '--bill', 'CLI-1']);
+  assert.equal(generated.status, 0);
+  assert.match(generated.output.data.md5, /^[a-f0-9]{32}$/);
+
+  const { qrString } = generated.output.data;
+  const decoded = runCli(['decode', qrString]);
+  assert.equal(decoded.output.data.decoded.billNumber, 'CLI-1');
+  assert.equal(decoded.output.data.isValid, true);
+
+  const crc = qrString.slice(-4) === 'FFFF' ? '0000' : 'FFFF';
+  const tampered = runCli(['verify', `${qrString.slice(0, -4)}${crc}`]);
+  assert.equal(tampered.status, 3);
+  assert.equal(tampered.output.data.isValid, false);
+});
+
+test('bakong check reports a missing token as an error', () => {
+  const checked = runCli(['check', 'a'.repeat(32)]);
+  assert.equal(checked.status, 1);
+  assert.equal(checked.output.data.provider.errorCode, 'MISSING_TOKEN');
+});
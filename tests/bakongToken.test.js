@@ -0,0 +1,60 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { DAY_MS, decodeJwtPayload, getTokenStatus, startTokenExpiryMonitor } from '../bakongToken.js';
+import BakongAPIService from '../bakongAPI.js';
+
+const makeToken = (payload) => [
+  Buffer.from(JSON.stringify({ alg: 'HS256', typ: 'JWT' })).toString('base64url'),
+  Buffer.from(JSON.stringify(payload)).toString('base64url'),
+  'signature',
+].join('.');
+
+test('decodeJwtPayload reads claims and rejects malformed tokens', () => {
+  assert.deepEqual(decodeJwtPayload(makeToken({ exp: 100 })), { exp: 100 });
+  assert.equal(decodeJwtPayload('not-a-jwt'), null);
+  assert.equal(decodeJwtPayload('a.%%%.c'), null);
+});
+
+test('getTokenStatus classifies tokens by remaining lifetime', () => {
+  const now = Date.parse('2026-01-01T00:00:00Z');
+  const exp = (ms) => makeToken({ exp: Math.floor((now + ms) / 1000) });
+
+  assert.equal(getTokenStatus(null, { now }).status, 'missing');
+  assert.equal(getTokenStatus('opaque-token', { now }).status, 'unknown');
+  assert.equal(getTokenStatus(exp(30 * DAY_MS), { now }).status, 'ok');
+  assert.equal(getTokenStatus(exp(2 * DAY_MS), { now }).status, 'expiring');
+
+  const expired = getTokenStatus(exp(-1000), { now });
+  assert.equal(expired.status, 'expired');
+  assert.equal(expired.expiresAt, '2025-12-31T23:59:59.000Z');
+});
+
+test('BakongAPIService hot-swaps its token', () => {
+  const bakongAPI = new BakongAPIService(null);
+  assert.equal(bakongAPI.getTokenInfo().status, 'missing');
+
+  const token = makeToken({ exp: Math.floor((Date.now() + 90 * DAY_MS) / 1000) });
+  const info = bakongAPI.setToken(token);
+  assert.equal(info.status, 'ok');
+  assert.equal(bakongAPI.apiToken, token);
+});
+
+test('startTokenExpiryMonitor logs expiry details as fields', () => {
+  const lines = [];
+  const logger = {
+    warn: (msg, fields) => lines.push({ level: 'warn', msg, ...fields }),
+    info: (msg, fields) => lines.push({ level: 'info', msg, ...fields }),
+  };
+  const expiresAt = new Date(Date.now() + 2.5 * DAY_MS).toISOString();
+  let info = { status: 'expiring', expiresAt, expiresInSeconds: 2.5 * 86400 };
+
+  const stop = startTokenExpiryMonitor({ getTokenInfo: () => info }, { logger });
+  stop();
+  assert.deepEqual(lines, [
+    { level: 'warn', msg: 'Bakong API token is expiring', expiresAt, daysLeft: 2.5, status: 'expiring' },
+  ]);
+
+  info = { status: 'ok', expiresAt, expiresInSeconds: 90 * 86400 };
+  startTokenExpiryMonitor({ getTokenInfo: () => info }, { logger })();
+  assert.equal(lines.length, 1);
+});
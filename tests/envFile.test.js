@@ -0,0 +1,38 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { formatEnvValue, upsertEnvValue } from '../envFile.js';
+
+const tempEnvPath = () => path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'env-file-')), '.env');
+
+test('upsertEnvValue replaces the active assignment and keeps other lines', () => {
+  const envPath = tempEnvPath();
+  fs.writeFileSync(envPath, '# Bakong\n# BAKONG_API_TOKEN=old-commented\nBAKONG_API_TOKEN=old\nPORT=3000\nBAKONG_API_TOKEN=dup\n', { mode: 0o640 });
+
+  const result = upsertEnvValue(envPath, 'BAKONG_API_TOKEN', 'eyJ.new.token');
+
+  assert.equal(result.replaced, true);
+  assert.equal(
+    fs.readFileSync(envPath, 'utf8'),
+    '# Bakong\n# BAKONG_API_TOKEN=old-commented\nBAKONG_API_TOKEN=eyJ.new.token\nPORT=3000\n'
+  );
+  assert.equal(fs.statSync(envPath).mode & 0o777, 0o640);
+});
+
+test('upsertEnvValue creates a private file when missing', () => {
+  const envPath = tempEnvPath();
+
+  const result = upsertEnvValue(envPath, 'BAKONG_API_TOKEN', 'abc');
+
+  assert.equal(result.created, true);
+  assert.equal(fs.readFileSync(envPath, 'utf8'), 'BAKONG_API_TOKEN=abc\n');
+  assert.equal(fs.statSync(envPath).mode & 0o777, 0o600);
+  assert.throws(() => upsertEnvValue(envPath, 'BAD KEY', 'x'), /Invalid environment variable name/);
+});
+
+test('formatEnvValue quotes values with spaces or quotes', () => {
+  assert.equal(formatEnvValue('plain-token.123'), 'plain-token.123');
+  assert.equal(formatEnvValue('My "Shop"'), '"My \\"Shop\\""');
+});
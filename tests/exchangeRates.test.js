@@ -0,0 +1,44 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { ExchangeRateService, roundRiel } from '../exchangeRates.js';
+
+const tempRatePath = () => path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'exchange-rate-')), 'rate.json');
+
+test('roundRiel rounds to the riel step in the configured direction', () => {
+  assert.equal(roundRiel(9635), 9600);
+  assert.equal(roundRiel(9650), 9700);
+  assert.equal(roundRiel(9601, { mode: 'up' }), 9700);
+  assert.equal(roundRiel(9699, { mode: 'down' }), 9600);
+  assert.equal(roundRiel(9635, { step: 500 }), 9500);
+  assert.equal(roundRiel(20), 100);
+});
+
+test('ExchangeRateService converts USD prices to rounded riel and back to cents', () => {
+  const rates = new ExchangeRateService({ filePath: null, defaultRate: 4100 });
+
+  assert.deepEqual(rates.convert(2.35, 'USD', 'KHR'), { amount: 9600, rate: 4100, rawAmount: 9635 });
+  assert.equal(rates.convert(10000, 'KHR', 'USD').amount, 2.44);
+  assert.equal(rates.convert(5, 'USD', 'USD').rate, null);
+});
+
+test('ExchangeRateService persists admin rates across instances', () => {
+  const filePath = tempRatePath();
+  const rates = new ExchangeRateService({ filePath, defaultRate: 4100 });
+  assert.equal(rates.getRate().source, 'env');
+
+  rates.setRate(4025, { updatedBy: 'key_admin' });
+  assert.throws(() => rates.setRate(0), /positive number/);
+
+  const reloaded = new ExchangeRateService({ filePath, defaultRate: 4100 });
+  assert.equal(reloaded.getRate().rate, 4025);
+  assert.equal(reloaded.getRate().source, 'admin');
+  assert.equal(reloaded.getRate().updatedBy, 'key_admin');
+});
+
+test('ExchangeRateService rejects invalid configuration', () => {
+  assert.throws(() => new ExchangeRateService({ filePath: null, defaultRate: 'abc' }), /USD_KHR_RATE/);
+  assert.throws(() => new ExchangeRateService({ filePath: null, rielRoundingMode: 'sideways' }), /KHR_ROUNDING_MODE/);
+});
@@ -0,0 +1,37 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  canonicalJson,
+  hashRequestBody,
+  validateIdempotencyKey,
+  resolveDuplicateBillPolicy,
+} from '../idempotency.js';
+import { MemoryPaymentStore } from '../paymentStore.js';
+
+test('hashRequestBody ignores key order but not values', () => {
+  assert.equal(canonicalJson({ b: 1, a: [2, { d: 3, c: null }] }), '{"a":[2,{"c":null,"d":3}],"b":1}');
+  assert.equal(hashRequestBody({ amount: 1, billNumber: 'A' }), hashRequestBody({ billNumber: 'A', amount: 1 }));
+  assert.notEqual(hashRequestBody({ amount: 1 }), hashRequestBody({ amount: 2 }));
+});
+
+test('validateIdempotencyKey enforces length and printable characters', () => {
+  assert.equal(validateIdempotencyKey('order-42-attempt'), null);
+  assert.match(validateIdempotencyKey('x'.repeat(256)), /at most 255/);
+  assert.match(validateIdempotencyKey('has space'), /printable ASCII/);
+});
+
+test('resolveDuplicateBillPolicy accepts known policies only', () => {
+  assert.equal(resolveDuplicateBillPolicy(undefined), 'allow');
+  assert.equal(resolveDuplicateBillPolicy('reject'), 'reject');
+  assert.equal(resolveDuplicateBillPolicy('SUPERSEDE'), 'supersede');
+  assert.equal(resolveDuplicateBillPolicy(null, 'reuse'), 'reuse');
+  assert.equal(resolveDuplicateBillPolicy('ignore'), null);
+});
+
+test('MemoryPaymentStore indexes payments by idempotency key', async () => {
+  const store = new MemoryPaymentStore();
+  await store.save({ md5: 'a1', idempotencyKey: 'key_1:order-42' });
+
+  assert.equal((await store.getByIdempotencyKey('key_1:order-42')).md5, 'a1');
+  assert.equal(await store.getByIdempotencyKey('key_2:order-42'), null);
+});
@@ -0,0 +1,170 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { buildInvoice, summarizeInvoice, canReissueInvoice, syncInvoiceStatus } from '../invoices.js';
+import { MemoryInvoiceStore, JsonFileInvoiceStore, createInvoiceStore } from '../invoiceStore.js';
+import { MemoryPaymentStore } from '../paymentStore.js';
+
+const lineItems = [
+  { description: 'Iced latte with extra shot', quantity: 2, unitPrice: '2.75' },
+  { description: 'Croissant', quantity: 1, unitPrice: 1.5 },
+];
+
+test('buildInvoice applies the discount before exclusive tax', () => {
+  const { invoice } = buildInvoice({
+    currency: 'USD',
+    customer: { name: ' Dara ' },
+    lineItems,
+    discount: { type: 'percent', value: 10 },
+    tax: { rate: 10 },
+  });
+
+  assert.equal(invoice.subtotal, 7);
+  assert.equal(invoice.discountAmount, 0.7);
+  assert.equal(invoice.taxAmount, 0.63);
+  assert.equal(invoice.total, 6.93);
+  assert.equal(invoice.customer.name, 'Dara');
+  assert.deepEqual(invoice.lineItems[0], {
+    description: 'Iced latte with extra shot',
+    quantity: 2,
+    unitPrice: 2.75,
+    amount: 5.5,
+  });
+});
+
+test('buildInvoice reports inclusive tax and caps fixed discounts', () => {
+  const inclusive = buildInvoice({
+    currency: 'KHR',
+    lineItems: [{ description: 'Noodles', quantity: 3, unitPrice: 11000 }],
+    tax: { rate: 10, inclusive: true },
+  }).invoice;
+  assert.equal(inclusive.total, 33000);
+  assert.equal(inclusive.taxAmount, 3000);
+
+  const capped = buildInvoice({
+    currency: 'USD',
+    lineItems: [{ description: 'Tea', unitPrice: 1 }],
+    discount: { type: 'fixed', value: 5 },
+  });
+  assert.match(capped.error, /Invoice total: USD amount must be between/);
+});
+
+test('buildInvoice rejects invalid line items and rules', () => {
+  assert.match(buildInvoice({ currency: 'USD', lineItems: [] }).error, /non-empty array/);
+  assert.match(
+    buildInvoice({ currency: 'KHR', lineItems: [{ description: 'Rice', unitPrice: '1500.5' }] }).error,
+    /lineItems\[0\]\.unitPrice: KHR amounts must be whole numbers/
+  );
+  assert.match(
+    buildInvoice({ currency: 'USD', lineItems: [{ description: 'Rice', quantity: -1, unitPrice: 1 }] }).error,
+    /quantity must be a positive number/
+  );
+  assert.match(buildInvoice({ currency: 'USD', lineItems, tax: { rate: 150 } }).error, /tax\.rate/);
+  assert.match(buildInvoice({ currency: 'USD', lineItems, discount: { type: 'bogo' } }).error, /discount\.type/);
+  assert.match(
+    buildInvoice({ invoiceNumber: 'INV-2024-0001-ACME-TRADING-CO', currency: 'USD', lineItems }).error,
+    /invoiceNumber must be at most 25 characters/
+  );
+});
+
+test('summarizeInvoice fits the KHQR purpose of transaction field', () => {
+  const { invoice } = buildInvoice({ currency: 'USD', lineItems });
+  const summary = summarizeInvoice(invoice);
+  assert.equal(summary, 'Iced latte with e +1 more');
+  assert.ok(summary.length <= 25);
+});
+
+test('syncInvoiceStatus follows the linked payment status', async () => {
+  const invoiceStore = new MemoryInvoiceStore();
+  const paymentStore = new MemoryPaymentStore();
+  const stop = syncInvoiceStatus({ invoiceStore, paymentStore });
+
+  await paymentStore.save({ md5: 'p1', billNumber: 'INV-1', status: 'pending' });
+  await invoiceStore.save({ id: 'inv_1', profileId: 'default', invoiceNumber: 'INV-1', status: 'open', paymentMd5: 'p1' });
+
+  await paymentStore.update('p1', { status: 'error' });
+  await new Promise((resolve) => setImmediate(resolve));
+  assert.equal((await invoiceStore.get('inv_1')).status, 'open');
+
+  await paymentStore.update('p1', { status: 'completed', completedAt: '2024-01-01T00:00:00.000Z' });
+  await new Promise((resolve) => setImmediate(resolve));
+  const invoice = await invoiceStore.getByInvoiceNumber('default', 'INV-1');
+  assert.equal(invoice.status, 'paid');
+  assert.equal(invoice.paidAt, '2024-01-01T00:00:00.000Z');
+
+  stop();
+  assert.equal(paymentStore.listenerCount('statusChanged'), 0);
+});
+
+test('syncInvoiceStatus moves a reissued invoice to its new payment', async () => {
+  const invoiceStore = new MemoryInvoiceStore();
+  const paymentStore = new MemoryPaymentStore();
+  syncInvoiceStatus({ invoiceStore, paymentStore });
+
+  await paymentStore.save({ md5: 'p1', billNumber: 'INV-1', invoiceId: 'inv_1', status: 'pending' });
+  await invoiceStore.save({ id: 'inv_1', profileId: 'default', invoiceNumber: 'INV-1', status: 'open', paymentMd5: 'p1' });
+  await paymentStore.update('p1', { status: 'expired' });
+  await new Promise((resolve) => setImmediate(resolve));
+  assert.equal(canReissueInvoice(await invoiceStore.get('inv_1')), true);
+
+  // The new payment's link was never saved, so it is found through invoiceId
+  await paymentStore.save({ md5: 'p2', billNumber: 'INV-1', invoiceId: 'inv_1', status: 'pending' });
+  await paymentStore.update('p2', { status: 'completed', completedAt: '2024-01-02T00:00:00.000Z' });
+  await new Promise((resolve) => setImmediate(resolve));
+  const invoice = await invoiceStore.get('inv_1');
+  assert.equal(invoice.status, 'paid');
+  assert.equal(invoice.paymentMd5, 'p2');
+  assert.equal(canReissueInvoice(invoice), false);
+
+  await paymentStore.update('p1', { status: 'failed' });
+  await new Promise((resolve) => setImmediate(resolve));
+  assert.equal((await invoiceStore.get('inv_1')).status, 'paid');
+});
+
+test('syncInvoiceStatus logs failed updates with the invoice and payment', async () => {
+  const invoiceStore = new MemoryInvoiceStore();
+  const paymentStore = new MemoryPaymentStore();
+  const errors = [];
+  syncInvoiceStatus({ invoiceStore, paymentStore, logger: { error: (...args) => errors.push(args) } });
+
+  await paymentStore.save({ md5: 'p1', billNumber: 'INV-1', status: 'pending' });
+  await invoiceStore.save({ id: 'inv_1', profileId: 'default', invoiceNumber: 'INV-1', status: 'open', paymentMd5: 'p1' });
+  invoiceStore.update = async () => {
+    throw new Error('disk full');
+  };
+
+  await paymentStore.update('p1', { status: 'completed' });
+  await new Promise((resolve) => setImmediate(resolve));
+  assert.equal(errors.length, 1);
+  assert.equal(errors[0][0], 'Failed to update invoice status');
+  assert.equal(errors[0][1].invoiceId, 'inv_1');
+  assert.equal(errors[0][1].md5, 'p1');
+  assert.equal(errors[0][1].error.message, 'disk full');
+});
+
+test('JsonFileInvoiceStore replays the append-only log on startup', async () => {
+  const filePath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'invoice-store-')), 'invoices.jsonl');
+  const store = new JsonFileInvoiceStore(filePath);
+  await store.save({ id: 'inv_1', profileId: 'default', invoiceNumber: 'INV-1', status: 'open', paymentMd5: 'p1' });
+  await store.update('inv_1', { status: 'paid' });
+
+  const reloaded = new JsonFileInvoiceStore(filePath);
+  assert.equal((await reloaded.getByPaymentMd5('p1')).status, 'paid');
+  assert.equal((await reloaded.list()).length, 1);
+  assert.equal(fs.readFileSync(filePath, 'utf8').trim().split('\n').length, 1);
+});
+
+test('createInvoiceStore passes its own compaction threshold to the file store', async () => {
+  const filePath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'invoice-store-')), 'invoices.jsonl');
+  const lineCount = () => fs.readFileSync(filePath, 'utf8').trim().split('\n').length;
+  const store = createInvoiceStore({ driver: 'file', filePath, compactAfterStaleLines: 2 });
+  await store.save({ id: 'inv_1', profileId: 'default', invoiceNumber: 'INV-1', status: 'open' });
+  await store.update('inv_1', { status: 'paid' });
+  assert.equal(lineCount(), 2);
+
+  await store.update('inv_1', { notes: 'thanks' });
+  assert.equal(lineCount(), 1);
+  assert.equal(JSON.parse(fs.readFileSync(filePath, 'utf8')).notes, 'thanks');
+});
@@ -0,0 +1,55 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import KHQRService from '../khqrService.js';
+import { parseCardOptions, renderKhqrCardSvg, renderKhqrCardPng } from '../khqrCard.js';
+
+const khqrService = new KHQRService();
+const { qrString, expiresAt } = khqrService.generateIndividualQR({
+  accountId: 'demo@nbcq',
+  merchantName: 'Demo Shop',
+  amount: 12.5,
+  billNumber: 'CARD-1',
+});
+
+test('parseCardOptions applies defaults and rejects out-of-range values', () => {
+  assert.deepEqual(parseCardOptions({}).options, { size: 400, margin: 1, errorCorrectionLevel: 'M' });
+  assert.deepEqual(parseCardOptions({ size: '600', margin: '0', ecc: 'h' }).options, {
+    size: 600,
+    margin: 0,
+    errorCorrectionLevel: 'H',
+  });
+  assert.match(parseCardOptions({ size: '50' }).error, /size/);
+  assert.match(parseCardOptions({ margin: '-1' }).error, /margin/);
+  assert.match(parseCardOptions({ ecc: 'X' }).error, /ecc/);
+});
+
+test('renderKhqrCardSvg includes merchant, amount, escaped text and expiry', () => {
+  const svg = renderKhqrCardSvg({
+    qrString,
+    merchantName: 'Tea & Toast',
+    amount: 1234.5,
+    currency: 'USD',
+    expiresAt,
+    size: 200,
+  });
+
+  assert.match(svg, /^<svg [^>]*width="200" height="290"/);
+  assert.match(svg, /Tea &amp; Toast/);
+  assert.match(svg, /1,234\.50/);
+  assert.match(svg, /Valid until .+\(ICT\)/);
+});
+
+test('renderKhqrCardSvg supports static counter cards without amount or expiry', () => {
+  const svg = renderKhqrCardSvg({ qrString, merchantName: 'Demo Shop', currency: 'KHR' });
+
+  assert.match(svg, /Scan to pay any amount/);
+  assert.doesNotMatch(svg, /Valid until/);
+  assert.match(svg, /៛/);
+});
+
+test('renderKhqrCardPng returns a PNG of the requested width', () => {
+  const png = renderKhqrCardPng({ qrString, merchantName: 'Demo Shop', amount: 1, size: 240 });
+
+  assert.equal(png.subarray(1, 4).toString('ascii'), 'PNG');
+  assert.equal(png.readUInt32BE(16), 240);
+});
@@ -0,0 +1,64 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import KHQRService from '../khqrService.js';
+import { crc16, parseTlv } from '../khqrValidation.js';
+
+const khqrService = new KHQRService();
+const { qrString } = khqrService.generateMerchantQR({
+  accountId: 'demo@nbcq',
+  merchantName: 'Demo Shop',
+  merchantId: '123456',
+  acquiringBank: 'Dev Bank',
+  amount: 12.5,
+  billNumber: 'VAL-1',
+});
+
+test('crc16 matches the CRC embedded by bakong-khqr', () => {
+  assert.equal(crc16(qrString.slice(0, -4)), qrString.slice(-4));
+  assert.equal(crc16('123456789'), '29B1');
+});
+
+test('parseTlv splits tags and flags lengths that overrun the payload', () => {
+  assert.deepEqual(parseTlv('000201').map(({ id, value }) => [id, value]), [['00', '01']]);
+  assert.equal(parseTlv('00050').at(-1).error.rule, 'length_mismatch');
+});
+
+test('validateKHQR lists labelled tags and sub-tags for a valid QR', () => {
+  const report = khqrService.validateKHQR(qrString);
+
+  assert.equal(report.valid, true);
+  assert.equal(report.type, 'dynamic');
+  assert.equal(report.accountType, 'merchant');
+  assert.equal(report.currency, 'USD');
+  assert.equal(report.crc.valid, true);
+  assert.equal(report.expiration.expired, false);
+
+  const account = report.tags.find((tag) => tag.id === '30');
+  assert.equal(account.label, 'Merchant Account Information');
+  assert.deepEqual(account.subTags.map((tag) => [tag.path, tag.value]), [
+    ['30.00', 'demo@nbcq'],
+    ['30.01', '123456'],
+    ['30.02', 'Dev Bank'],
+  ]);
+});
+
+test('validateKHQR reports expected versus actual CRC', () => {
+  const expected = qrString.slice(-4);
+  const tampered = `${qrString.slice(0, -4)}${expected === '0000' ? 'FFFF' : '0000'}`;
+  const report = khqrService.validateKHQR(tampered);
+
+  assert.equal(report.valid, false);
+  assert.equal(report.crc.expected, expected);
+  assert.deepEqual(report.errors.map((error) => error.rule), ['crc_mismatch']);
+  assert.equal(report.tags.find((tag) => tag.id === '63').valid, false);
+});
+
+test('validateKHQR flags the failing field rule and expiry', () => {
+  const badCurrency = khqrService.validateKHQR(qrString.replace('5303840', '5303999'));
+  const currencyError = badCurrency.errors.find((error) => error.tag === '53');
+  assert.equal(currencyError.rule, 'format');
+
+  const expired = khqrService.validateKHQR(qrString, { now: Date.now() + 24 * 60 * 60 * 1000 });
+  assert.equal(expired.expiration.expired, true);
+  assert.deepEqual(expired.errors.map((error) => [error.tag, error.rule]), [['99.01', 'expired']]);
+});
@@ -0,0 +1,56 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import MerchantProfileRegistry, { buildProfileFromEnv } from '../merchantProfiles.js';
+
+test('MerchantProfileRegistry loads the example profiles file', () => {
+  const registry = MerchantProfileRegistry.fromFile(new URL('../merchants.example.json', import.meta.url).pathname);
+
+  assert.equal(registry.defaultProfileId, 'coffee');
+  assert.equal(registry.get().merchantName, 'Riverside Coffee');
+  assert.equal(registry.get('bakery').currency, 'KHR');
+  assert.equal(registry.get('bakery').storeLabel, 'Golden Bakery');
+  assert.equal(registry.get('bakery').sourceInfo.appName, 'Golden Bakery');
+  assert.equal(registry.get('unknown'), null);
+});
+
+test('MerchantProfileRegistry falls back to the legacy environment variables', () => {
+  const registry = MerchantProfileRegistry.fromEnv({
+    BAKONG_ACCOUNT_ID: 'shop@acleda',
+    MERCHANT_NAME: 'My Shop',
+    MERCHANT_PHONE: '85512345678',
+  });
+
+  const profile = registry.get();
+  assert.equal(profile.id, 'default');
+  assert.equal(profile.accountId, 'shop@acleda');
+  assert.equal(profile.merchantCity, 'Phnom Penh');
+  assert.equal(profile.accountType, 'individual');
+  assert.equal(profile.currency, 'USD');
+});
+
+test('MerchantProfileRegistry rejects invalid or duplicate profiles', () => {
+  assert.throws(() => new MerchantProfileRegistry([]), /At least one merchant profile/);
+  assert.throws(() => new MerchantProfileRegistry([{ merchantName: 'No id' }]), /missing an id/);
+  assert.throws(
+    () => new MerchantProfileRegistry([{ id: 'a', currency: 'EUR' }]),
+    /invalid currency/
+  );
+  assert.throws(
+    () => new MerchantProfileRegistry([{ id: 'a' }, { id: 'a' }]),
+    /defined more than once/
+  );
+  assert.throws(
+    () => new MerchantProfileRegistry([{ id: 'a', returnUrl: 'javascript:alert(1)' }]),
+    /invalid returnUrl/
+  );
+  assert.equal(buildProfileFromEnv({ DEFAULT_MERCHANT_PROFILE: 'main' }).id, 'main');
+});
+
+test('buildProfileFromEnv reads the return URL and signing secret', () => {
+  const profile = buildProfileFromEnv({
+    PAYMENT_RETURN_URL: 'https://shop.example/return',
+    PAYMENT_RETURN_SECRET: 'secret',
+  });
+  assert.equal(profile.returnUrl, 'https://shop.example/return');
+  assert.equal(profile.returnSecret, 'secret');
+});
@@ -0,0 +1,65 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { EventEmitter } from 'events';
+import MetricsRegistry, { createServiceMetrics } from '../metrics.js';
+import { MemoryPaymentStore } from '../paymentStore.js';
+
+test('MetricsRegistry renders counters and histograms in Prometheus text format', async () => {
+  const registry = new MetricsRegistry();
+  registry.counter('jobs_total', 'Jobs run', ['queue']).inc({ queue: 'a"b' }, 2);
+  const histogram = registry.histogram('job_seconds', 'Job time', [], [1, 5]);
+  histogram.observe({}, 0.5);
+  histogram.observe({}, 3);
+
+  assert.equal(await registry.render(), [
+    '# HELP jobs_total Jobs run',
+    '# TYPE jobs_total counter',
+    'jobs_total{queue="a\\"b"} 2',
+    '# HELP job_seconds Job time',
+    '# TYPE job_seconds histogram',
+    'job_seconds_bucket{le="1"} 1',
+    'job_seconds_bucket{le="5"} 2',
+    'job_seconds_bucket{le="+Inf"} 2',
+    'job_seconds_sum 3.5',
+    'job_seconds_count 2',
+    '',
+  ].join('\n'));
+  assert.throws(() => registry.counter('jobs_total', 'again'), /already registered/);
+});
+
+test('createServiceMetrics tracks Bakong calls, retries and IPv4 fallbacks', async () => {
+  const bakongAPI = new EventEmitter();
+  const metrics = createServiceMetrics({ bakongAPI, paymentStore: new MemoryPaymentStore() });
+  const endpoint = '/v1/check_transaction_by_md5';
+
+  bakongAPI.emit('call', { endpoint, durationMs: 1200, errorCode: 'TIMEOUT', attempt: 1, ipv4Fallback: true });
+  bakongAPI.emit('call', { endpoint, durationMs: 300, errorCode: null, attempt: 2, ipv4Fallback: false });
+
+  assert.equal(metrics.bakongRequests.get({ endpoint, error_code: 'TIMEOUT' }), 1);
+  assert.equal(metrics.bakongRequests.get({ endpoint, error_code: 'none' }), 1);
+  assert.equal(metrics.bakongRetries.get({ endpoint }), 1);
+  assert.equal(metrics.bakongIpv4Fallbacks.get({ endpoint }), 1);
+  assert.deepEqual(metrics.bakongRequestDuration.get({ endpoint }), { sum: 1.5, count: 2 });
+  assert.match(
+    await metrics.registry.render(),
+    /bakong_api_request_duration_seconds_bucket\{endpoint="\/v1\/check_transaction_by_md5",le="0.5"\} 1/
+  );
+});
+
+test('createServiceMetrics counts payments, completion time and pending gauge', async () => {
+  const paymentStore = new MemoryPaymentStore();
+  const metrics = createServiceMetrics({ bakongAPI: new EventEmitter(), paymentStore });
+
+  await paymentStore.save({ md5: 'a', currency: 'USD', status: 'pending', createdAt: '2024-03-01T00:00:00Z' });
+  await paymentStore.save({ md5: 'b', currency: 'KHR', status: 'pending', createdAt: '2024-03-01T00:00:00Z' });
+  await paymentStore.update('a', { status: 'completed', completedAt: '2024-03-01T00:00:45Z' });
+
+  assert.equal(metrics.paymentsCreated.get({ currency: 'USD' }), 1);
+  assert.equal(metrics.paymentsCreated.get({ currency: 'KHR' }), 1);
+  assert.equal(metrics.paymentsCompleted.get({ currency: 'USD' }), 1);
+  assert.deepEqual(metrics.completionSeconds.get({ currency: 'USD' }), { sum: 45, count: 1 });
+
+  const output = await metrics.registry.render();
+  assert.match(output, /^bakong_payments_pending\{currency="KHR"\} 1$/m);
+  assert.doesNotMatch(output, /bakong_payments_pending\{currency="USD"\}/);
+});
@@ -0,0 +1,33 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { parseAmount, formatAmount, sumAmounts, toMinorUnits } from '../money.js';
+
+test('parseAmount reads decimal strings and numbers into minor units', () => {
+  assert.deepEqual(parseAmount('10.50', 'USD'), { minor: 1050, amount: 10.5, text: '10.50' });
+  assert.deepEqual(parseAmount(0.1, 'USD'), { minor: 10, amount: 0.1, text: '0.10' });
+  assert.deepEqual(parseAmount('1.000', 'USD'), { minor: 100, amount: 1, text: '1.00' });
+  assert.deepEqual(parseAmount('15000', 'KHR'), { minor: 15000, amount: 15000, text: '15000' });
+});
+
+test('parseAmount rejects precision the currency does not have', () => {
+  assert.match(parseAmount('1.005', 'USD').error, /at most 2 decimal places/);
+  assert.match(parseAmount('1500.5', 'KHR').error, /whole numbers/);
+  assert.match(parseAmount('-5', 'USD').error, /positive decimal/);
+  assert.match(parseAmount('1e3', 'USD').error, /positive decimal/);
+  assert.match(parseAmount('', 'USD').error, /required/);
+  assert.match(parseAmount('0', 'USD').error, /greater than 0/);
+});
+
+test('parseAmount enforces per-currency limits', () => {
+  assert.match(parseAmount('100000.01', 'USD').error, /between 0.01 and 100000.00/);
+  assert.match(parseAmount('50', 'KHR').error, /between 100 and 400000000/);
+  assert.equal(parseAmount('50', 'KHR', { checkLimits: false }).minor, 50);
+});
+
+test('formatAmount and sumAmounts avoid float drift', () => {
+  assert.equal(formatAmount(5, 'USD'), '0.05');
+  assert.equal(formatAmount(9600, 'KHR'), '9600');
+  assert.equal(toMinorUnits(1.005 * 1000, 'USD'), 100500);
+  assert.equal(sumAmounts([0.1, 0.2, 0.3], 'USD'), 0.6);
+  assert.equal(sumAmounts(Array(10).fill(10.1), 'USD'), 101);
+});
@@ -0,0 +1,51 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { parsePageOptions, paginate } from '../pagination.js';
+
+const payments = [
+  { md5: 'a', billNumber: 'INV-3', amount: 5, createdAt: '2024-03-01T00:00:00Z' },
+  { md5: 'b', billNumber: 'INV-1', amount: 20, createdAt: '2024-03-02T00:00:00Z' },
+  { md5: 'c', billNumber: 'INV-2', amount: 10, createdAt: '2024-03-02T00:00:00Z' },
+  { md5: 'd', billNumber: 'INV-4', amount: 15, createdAt: '2024-03-03T00:00:00Z', completedAt: '2024-03-03T00:01:00Z' },
+];
+
+const options = (query) => parsePageOptions(query).options;
+
+test('paginate walks every item exactly once with cursors', () => {
+  const seen = [];
+  let cursor = null;
+  do {
+    const page = paginate(payments, { ...options({ limit: '2' }), cursor });
+    seen.push(...page.data.map((payment) => payment.md5));
+    cursor = page.nextCursor ? options({ limit: '2', cursor: page.nextCursor }).cursor : null;
+    assert.equal(page.total, 4);
+  } while (cursor);
+
+  assert.deepEqual(seen, ['d', 'b', 'c', 'a']);
+});
+
+test('paginate sorts ascending, descending and puts missing values last', () => {
+  const md5s = (sort) => paginate(payments, options({ sort })).data.map((payment) => payment.md5);
+  assert.deepEqual(md5s('amount'), ['a', 'c', 'd', 'b']);
+  assert.deepEqual(md5s('-billNumber'), ['d', 'a', 'c', 'b']);
+  assert.deepEqual(md5s('-completedAt'), ['d', 'a', 'b', 'c']);
+});
+
+test('paginate keeps its place when new items arrive between pages', () => {
+  const first = paginate(payments, options({ limit: '2' }));
+  const grown = [...payments, { md5: 'e', createdAt: '2024-03-04T00:00:00Z' }];
+  const second = paginate(grown, options({ limit: '2', cursor: first.nextCursor }));
+  assert.deepEqual(second.data.map((payment) => payment.md5), ['c', 'a']);
+  assert.equal(second.hasMore, false);
+});
+
+test('parsePageOptions validates limit, sort and cursor', () => {
+  assert.deepEqual(options({}), { limit: 50, sort: '-createdAt', cursor: null });
+  assert.match(parsePageOptions({ limit: '0' }).error, /limit/);
+  assert.match(parsePageOptions({ limit: '500' }).error, /limit/);
+  assert.match(parsePageOptions({ sort: 'qrString' }).error, /sort must be one of/);
+  assert.match(parsePageOptions({ cursor: 'not-a-cursor' }).error, /cursor is invalid/);
+
+  const { nextCursor } = paginate(payments, options({ limit: '1' }));
+  assert.match(parsePageOptions({ cursor: nextCursor, sort: 'amount' }).error, /different sort/);
+});
@@ -0,0 +1,104 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { EventEmitter } from 'events';
+import PaymentEventStream from '../paymentEventStream.js';
+import { MemoryPaymentStore } from '../paymentStore.js';
+
+const createFakeResponse = () => {
+  const res = {
+    chunks: [],
+    ended: false,
+    headers: {},
+    set(headers) {
+      Object.assign(res.headers, headers);
+    },
+    write(chunk) {
+      res.chunks.push(chunk);
+    },
+    end() {
+      res.ended = true;
+    },
+  };
+  return res;
+};
+
+const eventNames = (res) => res.chunks
+  .filter((chunk) => chunk.startsWith('event: '))
+  .map((chunk) => chunk.slice(7, chunk.indexOf('\n')));
+
+test('PaymentEventStream pushes deeplink and status events then closes', async () => {
+  const paymentStore = new MemoryPaymentStore();
+  const stream = new PaymentEventStream({ paymentStore });
+  const payment = await paymentStore.save({
+    md5: 'a1',
+    status: 'pending',
+    createdAt: new Date().toISOString(),
+  });
+
+  const req = new EventEmitter();
+  const res = createFakeResponse();
+  stream.subscribe(req, res, payment);
+  assert.equal(res.headers['Content-Type'], 'text/event-stream');
+
+  await paymentStore.update('a1', { deeplinkUrl: 'https://bakong.test/link' });
+  await paymentStore.update('a1', { status: 'completed' });
+
+  assert.deepEqual(eventNames(res), ['snapshot', 'deeplink_ready', 'status_changed']);
+  assert.equal(res.ended, true);
+  assert.equal(stream.subscribers.size, 0);
+});
+
+test('PaymentEventStream forwards an expired status as an expired event', async () => {
+  const paymentStore = new MemoryPaymentStore();
+  const stream = new PaymentEventStream({ paymentStore });
+  const payment = await paymentStore.save({
+    md5: 'a1',
+    status: 'pending',
+    createdAt: new Date().toISOString(),
+    expiresAt: new Date(Date.now() + 60000).toISOString(),
+  });
+
+  const res = createFakeResponse();
+  stream.subscribe(new EventEmitter(), res, payment);
+  await paymentStore.update('a1', { status: 'expired' });
+
+  assert.deepEqual(eventNames(res), ['snapshot', 'status_changed', 'expired']);
+  assert.equal(res.ended, true);
+});
+
+test('PaymentEventStream sends expired when the QR deadline passes', async () => {
+  const paymentStore = new MemoryPaymentStore();
+  const stream = new PaymentEventStream({ paymentStore });
+  const payment = await paymentStore.save({
+    md5: 'a1',
+    status: 'pending',
+    createdAt: new Date().toISOString(),
+    expiresAt: new Date().toISOString(),
+  });
+
+  const res = createFakeResponse();
+  stream.subscribe(new EventEmitter(), res, payment);
+  await new Promise((resolve) => setTimeout(resolve, 10));
+
+  assert.deepEqual(eventNames(res), ['snapshot', 'expired']);
+  assert.equal(res.ended, true);
+});
+
+test('PaymentEventStream can leave the md5 out of every event', async () => {
+  const paymentStore = new MemoryPaymentStore();
+  const stream = new PaymentEventStream({ paymentStore });
+  const payment = await paymentStore.save({
+    md5: 'a1',
+    payLinkToken: 'token-1',
+    status: 'pending',
+    createdAt: new Date().toISOString(),
+  });
+
+  const res = createFakeResponse();
+  stream.subscribe(new EventEmitter(), res, payment, { includeMd5: false });
+  await paymentStore.update('a1', { status: 'completed' });
+
+  assert.deepEqual(eventNames(res), ['snapshot', 'status_changed']);
+  assert.ok(res.chunks.every((chunk) => !chunk.includes('a1')));
+  assert.equal((await paymentStore.getByPayLinkToken('token-1')).md5, 'a1');
+});
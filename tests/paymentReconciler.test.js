@@ -0,0 +1,154 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import PaymentReconciler from '../paymentReconciler.js';
+import { MemoryPaymentStore } from '../paymentStore.js';
+import { resolvePaymentStatus, comparePaidAmount, applyPaymentStatus } from '../paymentStatus.js';
+
+const createFakeBakongAPI = (responses) => {
+  const calls = [];
+  return {
+    apiToken: 'token',
+    calls,
+    async checkTransactionByMD5(md5) {
+      calls.push(md5);
+      return responses[md5] || { responseCode: 1, errorCode: 1, responseMessage: 'Transaction could not be found' };
+    },
+    async checkTransactionByShortHash() {
+      return { responseCode: 1, errorCode: 1 };
+    },
+  };
+};
+
+const khqrService = { generateShortHash: () => 'abcd1234' };
+
+test('resolvePaymentStatus maps provider results to payment statuses', () => {
+  const expiredPayment = { expiresAt: new Date(Date.now() - 1000).toISOString() };
+  assert.equal(resolvePaymentStatus({ responseCode: 1, errorCode: 1 }, expiredPayment), 'expired');
+  assert.equal(resolvePaymentStatus({ responseCode: 0 }, expiredPayment), 'completed');
+  assert.equal(resolvePaymentStatus({ responseCode: 0 }), 'completed');
+  assert.equal(resolvePaymentStatus({ responseCode: 1, errorCode: 3 }), 'failed');
+  assert.equal(resolvePaymentStatus({ responseCode: 1, errorCode: 1 }), 'pending');
+  assert.equal(resolvePaymentStatus({ responseCode: -1, errorCode: 'TIMEOUT' }), 'error');
+  assert.equal(resolvePaymentStatus(null), 'error');
+});
+
+test('comparePaidAmount detects underpayment, overpayment and currency mismatch', () => {
+  const payment = { amount: 5, currency: 'USD' };
+  assert.equal(comparePaidAmount(payment, { amount: 5, currency: 'USD' }).status, 'completed');
+  assert.equal(comparePaidAmount(payment, { amount: 4.99, currency: 'USD' }).status, 'underpaid');
+  assert.equal(comparePaidAmount(payment, { amount: 5.01, currency: 'usd' }).status, 'overpaid');
+  assert.deepEqual(comparePaidAmount(payment, { amount: 20500, currency: 'KHR' }), {
+    status: 'currency_mismatch',
+    expected: { amount: 5, currency: 'USD' },
+    received: { amount: 20500, currency: 'KHR' },
+  });
+  assert.equal(comparePaidAmount({ amount: 4000, currency: 'KHR' }, { amount: 4000.2, currency: 'KHR' }).status, 'completed');
+  assert.equal(comparePaidAmount(payment, {}).status, 'completed');
+
+  const paid = { responseCode: 0, data: { amount: 3, currency: 'USD' } };
+  assert.equal(resolvePaymentStatus(paid, payment), 'underpaid');
+  assert.equal(resolvePaymentStatus(paid), 'completed');
+});
+
+test('applyPaymentStatus records mismatches and never changes a settled payment', async () => {
+  const paymentStore = new MemoryPaymentStore();
+  await paymentStore.save({ md5: 'short', status: 'pending', amount: 5, currency: 'USD' });
+
+  const result = { responseCode: 0, data: { amount: 3, currency: 'USD', hash: 'tx' } };
+  const updated = await applyPaymentStatus(paymentStore, 'short', { status: 'underpaid', result });
+  assert.equal(updated.status, 'underpaid');
+  assert.equal(updated.paidAmount, 3);
+  assert.deepEqual(updated.mismatch, {
+    expected: { amount: 5, currency: 'USD' },
+    received: { amount: 3, currency: 'USD' },
+  });
+
+  const unchanged = await applyPaymentStatus(paymentStore, 'short', { status: 'expired', result: null });
+  assert.equal(unchanged.status, 'underpaid');
+});
+
+test('PaymentReconciler completes pending payments found by md5', async () => {
+  const now = Date.now();
+  const paymentStore = new MemoryPaymentStore();
+  await paymentStore.save({ md5: 'paid', status: 'pending', createdAt: new Date(now).toISOString() });
+  await paymentStore.save({ md5: 'open', status: 'pending', createdAt: new Date(now).toISOString() });
+
+  const bakongAPI = createFakeBakongAPI({
+    paid: { responseCode: 0, data: { hash: 'tx-hash', fromAccountId: 'payer@bank' } },
+  });
+  const reconciler = new PaymentReconciler({ paymentStore, bakongAPI, khqrService });
+
+  const summary = await reconciler.sweep(now);
+  assert.deepEqual(summary, { checked: 2, resolved: 1 });
+
+  const paid = await paymentStore.get('paid');
+  assert.equal(paid.status, 'completed');
+  assert.equal(paid.transactionHash, 'tx-hash');
+  assert.equal((await paymentStore.get('open')).status, 'pending');
+});
+
+test('PaymentReconciler backs off with age and expires stale QR codes', async () => {
+  const now = Date.now();
+  const paymentStore = new MemoryPaymentStore();
+  await paymentStore.save({ md5: 'fresh', status: 'pending', createdAt: new Date(now).toISOString() });
+  await paymentStore.save({ md5: 'stale', status: 'pending', createdAt: new Date(now - 11 * 60 * 1000).toISOString() });
+
+  const bakongAPI = createFakeBakongAPI({});
+  const reconciler = new PaymentReconciler({
+    paymentStore,
+    bakongAPI,
+    khqrService,
+    baseDelayMs: 1000,
+    maxDelayMs: 8000,
+    ageStepMs: 60000,
+  });
+
+  assert.equal(reconciler.getCheckDelayMs(0), 1000);
+  assert.equal(reconciler.getCheckDelayMs(2 * 60000), 4000);
+  assert.equal(reconciler.getCheckDelayMs(10 * 60000), 8000);
+
+  await reconciler.sweep(now);
+  assert.deepEqual(bakongAPI.calls, ['fresh', 'stale']);
+  assert.equal((await paymentStore.get('stale')).status, 'expired');
+
+  await reconciler.sweep(now + 500);
+  assert.deepEqual(bakongAPI.calls, ['fresh', 'stale']);
+
+  await reconciler.sweep(now + 1000);
+  assert.deepEqual(bakongAPI.calls, ['fresh', 'stale', 'fresh']);
+});
+
+test('PaymentReconciler keeps an expired QR pending when the final check fails', async () => {
+  const now = Date.now();
+  const paymentStore = new MemoryPaymentStore();
+  await paymentStore.save({ md5: 'stale', status: 'pending', createdAt: new Date(now - 11 * 60 * 1000).toISOString() });
+
+  const responses = {
+    stale: { responseCode: -1, errorCode: 'TOKEN_EXPIRED', responseMessage: 'Bakong API token expired' },
+  };
+  const bakongAPI = createFakeBakongAPI(responses);
+  const reconciler = new PaymentReconciler({ paymentStore, bakongAPI, khqrService, baseDelayMs: 1000, maxDelayMs: 1000 });
+
+  assert.deepEqual(await reconciler.sweep(now), { checked: 1, resolved: 0 });
+  const stale = await paymentStore.get('stale');
+  assert.equal(stale.status, 'pending');
+  assert.equal(stale.lastProviderError.errorCode, 'TOKEN_EXPIRED');
+
+  await reconciler.sweep(now + 500);
+  assert.deepEqual(bakongAPI.calls, ['stale']);
+
+  // Token renewed: Bakong now reports the transaction as not found
+  responses.stale = { responseCode: 1, errorCode: 1 };
+  assert.deepEqual(await reconciler.sweep(now + 1000), { checked: 1, resolved: 1 });
+  assert.equal((await paymentStore.get('stale')).status, 'expired');
+});
+
+test('PaymentReconciler does not run without a Bakong token', () => {
+  const reconciler = new PaymentReconciler({
+    paymentStore: new MemoryPaymentStore(),
+    bakongAPI: { apiToken: '' },
+    khqrService,
+  });
+
+  assert.equal(reconciler.shouldRun(), false);
+});
@@ -0,0 +1,71 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  buildCallbackUrl,
+  buildReturnUrl,
+  verifyReturnParams,
+  canonicalizeReturnParams,
+  renderCallbackPage,
+} from '../paymentReturn.js';
+import { normalizeProfile } from '../merchantProfiles.js';
+
+const payment = {
+  billNumber: 'INV-1',
+  status: 'completed',
+  amount: 10.5,
+  currency: 'USD',
+  transactionHash: 'hash-1',
+};
+
+test('buildCallbackUrl adds the link token to a profile-level callback', () => {
+  const profile = normalizeProfile({
+    id: 'coffee',
+    merchantName: 'Coffee',
+    sourceInfo: { appDeepLinkCallback: 'https://coffee.example/paid?order=42' },
+  });
+
+  const url = new URL(buildCallbackUrl(profile.sourceInfo.appDeepLinkCallback, 'tok_1'));
+  assert.equal(url.origin + url.pathname, 'https://coffee.example/paid');
+  assert.deepEqual(Object.fromEntries(url.searchParams), { order: '42', ref: 'tok_1' });
+  assert.equal(buildCallbackUrl('coffeeapp://paid', 'tok_1'), 'coffeeapp://paid?ref=tok_1');
+  assert.equal(
+    buildCallbackUrl('https://pay.example/payment/callback', 'tok_1'),
+    'https://pay.example/payment/callback?ref=tok_1'
+  );
+});
+
+test('buildReturnUrl signs every query parameter the merchant receives', () => {
+  const url = new URL(buildReturnUrl('https://shop.example/return?order=42', 'secret', payment));
+  const query = Object.fromEntries(url.searchParams);
+
+  assert.equal(query.order, '42');
+  assert.equal(query.status, 'completed');
+  assert.equal(query.amount, '10.5');
+  assert.match(query.signature, /^[0-9a-f]{64}$/);
+  assert.equal(verifyReturnParams('secret', query), true);
+  assert.equal(verifyReturnParams('wrong-secret', query), false);
+  assert.equal(verifyReturnParams('secret', { ...query, status: 'failed' }), false);
+  assert.equal(verifyReturnParams('secret', { ...query, order: '43' }), false);
+});
+
+test('verifyReturnParams rejects stale timestamps', () => {
+  const stale = Date.now() - 10 * 60 * 1000;
+  const url = new URL(buildReturnUrl('https://shop.example/return', 'secret', payment, { now: stale }));
+  assert.equal(verifyReturnParams('secret', Object.fromEntries(url.searchParams)), false);
+});
+
+test('canonicalizeReturnParams sorts names and skips the signature and empty values', () => {
+  assert.equal(
+    canonicalizeReturnParams({ status: 'paid', amount: 5, signature: 'x', transactionHash: null }),
+    'amount=5&status=paid'
+  );
+});
+
+test('renderCallbackPage refreshes only while the payment is pending', () => {
+  assert.match(renderCallbackPage('pending', payment), /http-equiv="refresh"/);
+  assert.doesNotMatch(renderCallbackPage('completed', payment), /http-equiv="refresh"/);
+  assert.match(renderCallbackPage('completed', payment), /Payment Successful!/);
+  assert.match(renderCallbackPage('expired', payment), /Payment Expired/);
+  assert.match(renderCallbackPage('not_found'), /Payment Not Found/);
+  assert.match(renderCallbackPage('pending', { ...payment, billNumber: '<b>' }), /&lt;b&gt;/);
+});
@@ -0,0 +1,168 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { MemoryPaymentStore, JsonFilePaymentStore, createPaymentStore } from '../paymentStore.js';
+
+const createTempFile = () => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'payment-store-'));
+  return path.join(directory, 'payments.jsonl');
+};
+
+test('MemoryPaymentStore indexes payments by md5 and bill number', async () => {
+  const store = new MemoryPaymentStore();
+  await store.save({ md5: 'a1', billNumber: 'INV-1', status: 'pending' });
+  await store.save({ md5: 'b2', billNumber: 'INV-2', status: 'pending' });
+
+  assert.equal((await store.get('a1')).billNumber, 'INV-1');
+  assert.equal((await store.getByBillNumber('INV-2')).md5, 'b2');
+  assert.equal(await store.getByBillNumber('INV-404'), null);
+  assert.equal((await store.list()).length, 2);
+});
+
+test('MemoryPaymentStore returns copies so callers must update explicitly', async () => {
+  const store = new MemoryPaymentStore();
+  await store.save({ md5: 'a1', billNumber: 'INV-1', status: 'pending' });
+
+  const payment = await store.get('a1');
+  payment.status = 'completed';
+  assert.equal((await store.get('a1')).status, 'pending');
+
+  await store.update('a1', { status: 'completed' });
+  assert.equal((await store.get('a1')).status, 'completed');
+  assert.equal(await store.update('missing', { status: 'failed' }), null);
+});
+
+test('JsonFilePaymentStore replays the append-only log on startup', async () => {
+  const filePath = createTempFile();
+  const store = new JsonFilePaymentStore(filePath);
+  await store.save({ md5: 'a1', billNumber: 'INV-1', status: 'pending' });
+  await store.update('a1', { status: 'completed', transactionHash: 'hash-1' });
+
+  fs.appendFileSync(filePath, '{"md5":"torn');
+
+  const reloaded = new JsonFilePaymentStore(filePath);
+  const payment = await reloaded.getByBillNumber('INV-1');
+  assert.equal(payment.status, 'completed');
+  assert.equal(payment.transactionHash, 'hash-1');
+
+  await reloaded.compact();
+  assert.equal(fs.readFileSync(filePath, 'utf8').trim().split('\n').length, 1);
+});
+
+test('JsonFilePaymentStore compacts the log on startup and after enough stale lines', async () => {
+  const filePath = createTempFile();
+  const lineCount = () => fs.readFileSync(filePath, 'utf8').trim().split('\n').length;
+  const store = new JsonFilePaymentStore(filePath, { compactAfterStaleLines: 3 });
+  await store.save({ md5: 'a1', status: 'pending' });
+  await store.save({ md5: 'b2', status: 'pending' });
+  await store.update('a1', { deeplinkUrl: 'https://bakong.page.link/a' });
+  await store.update('a1', { status: 'completed' });
+  assert.equal(lineCount(), 4);
+
+  await store.update('b2', { status: 'expired' });
+  assert.equal(lineCount(), 2);
+
+  await store.update('b2', { lastProviderError: null });
+  const reloaded = new JsonFilePaymentStore(filePath);
+  assert.equal(lineCount(), 2);
+  assert.equal((await reloaded.get('a1')).status, 'completed');
+  assert.equal((await reloaded.get('b2')).status, 'expired');
+});
+
+test('JsonFilePaymentStore leaves memory unchanged when a write fails', async () => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'payment-store-'));
+  const store = new JsonFilePaymentStore(path.join(directory, 'payments.jsonl'));
+  await store.save({ md5: 'a1', status: 'pending' });
+
+  // A directory where the log should be makes every append fail
+  fs.rmSync(store.filePath);
+  fs.mkdirSync(store.filePath);
+  await assert.rejects(store.update('a1', { status: 'completed' }));
+  assert.equal((await store.get('a1')).status, 'pending');
+});
+
+test('createPaymentStore rejects unknown drivers', () => {
+  assert.ok(createPaymentStore({ driver: 'memory' }) instanceof MemoryPaymentStore);
+  assert.throws(() => createPaymentStore({ driver: 'redis' }), /Unsupported PAYMENT_STORE driver/);
+});
+
+test('MemoryPaymentStore emits created, updated and statusChanged events', async () => {
+  const store = new MemoryPaymentStore();
+  const events = [];
+  store.on('created', (payment) => events.push(['created', payment.md5]));
+  store.on('updated', (payment, previous) => {
+    events.push(['updated', previous.deeplinkUrl ?? null, payment.deeplinkUrl ?? null]);
+  });
+  store.on('statusChanged', (payment, previousStatus) => {
+    events.push(['statusChanged', payment.status, previousStatus]);
+  });
+
+  await store.save({ md5: 'a1', status: 'pending' });
+  await store.update('a1', { deeplinkUrl: 'https://example.test/link' });
+  await store.update('a1', { status: 'completed' });
+
+  assert.deepEqual(events, [
+    ['created', 'a1'],
+    ['updated', null, 'https://example.test/link'],
+    ['updated', 'https://example.test/link', 'https://example.test/link'],
+    ['statusChanged', 'completed', 'pending'],
+  ]);
+});
+
+test('MemoryPaymentStore lists every payment sharing a bill number', async () => {
+  const store = new MemoryPaymentStore();
+  await store.save({ md5: 'a1', billNumber: 'INV-1', profileId: 'coffee' });
+  await store.save({ md5: 'b2', billNumber: 'INV-1', profileId: 'bakery' });
+
+  const payments = await store.listByBillNumber('INV-1');
+  assert.deepEqual(payments.map((payment) => payment.profileId), ['coffee', 'bakery']);
+  assert.equal((await store.getByBillNumber('INV-1')).md5, 'b2');
+  assert.deepEqual(await store.listByBillNumber('INV-404'), []);
+});
+
+test('MemoryPaymentStore keeps its status index current', async () => {
+  const store = new MemoryPaymentStore();
+  await store.save({ md5: 'a1', status: 'pending' });
+  await store.save({ md5: 'b2', status: 'pending' });
+  await store.update('a1', { status: 'completed' });
+
+  assert.deepEqual((await store.listByStatus('pending')).map((payment) => payment.md5), ['b2']);
+  assert.deepEqual((await store.listByStatus('completed')).map((payment) => payment.md5), ['a1']);
+  assert.deepEqual(await store.listByStatus('failed'), []);
+});
+
+test('MemoryPaymentStore pages from a sorted index that follows updates', async () => {
+  const store = new MemoryPaymentStore();
+  await store.save({ md5: 'a', amount: 5 });
+  await store.save({ md5: 'b', amount: 20 });
+  await store.save({ md5: 'c', amount: 10 });
+
+  const first = await store.page({ sort: 'amount', limit: 2 });
+  assert.deepEqual(first.data.map((payment) => payment.md5), ['a', 'c']);
+  assert.equal(first.hasMore, true);
+
+  await store.update('a', { amount: 30 });
+  await store.save({ md5: 'd', amount: 15 });
+  const cursor = JSON.parse(Buffer.from(first.nextCursor, 'base64url').toString('utf8'));
+  const second = await store.page({ sort: 'amount', limit: 2, cursor });
+  assert.deepEqual(second.data.map((payment) => payment.md5), ['d', 'b']);
+
+  const filtered = await store.page({ sort: '-amount', limit: 10, filter: (payment) => payment.amount > 12 });
+  assert.deepEqual(filtered.data.map((payment) => payment.md5), ['a', 'b', 'd']);
+  assert.equal(filtered.hasMore, false);
+});
+
+test('MemoryPaymentStore lists a range of one field in order', async () => {
+  const store = new MemoryPaymentStore();
+  await store.save({ md5: 'a', createdAt: '2024-03-03T00:00:00.000Z' });
+  await store.save({ md5: 'b', createdAt: '2024-03-01T00:00:00.000Z' });
+  await store.save({ md5: 'c', createdAt: '2024-03-02T00:00:00.000Z' });
+  await store.save({ md5: 'd' });
+
+  const md5s = async (range, filter) => (await store.listRange('createdAt', range, filter)).map((payment) => payment.md5);
+  assert.deepEqual(await md5s({ min: '2024-03-02', max: '2024-03-03' }), ['c']);
+  assert.deepEqual(await md5s({ min: '2024-03-02' }), ['c', 'a']);
+  assert.deepEqual(await md5s({}, (payment) => payment.md5 !== 'b'), ['c', 'a', 'd']);
+});
@@ -0,0 +1,100 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  toIctDate,
+  parseReportFilters,
+  filterPayments,
+  getReportDateRange,
+  buildDailyReport,
+  buildExportRows,
+  toCsv,
+} from '../reports.js';
+
+const payments = [
+  { md5: 'a', billNumber: 'R1', storeLabel: 'Counter', amount: 10.1, currency: 'USD', status: 'completed', createdAt: '2024-03-01T16:59:00Z' },
+  { md5: 'b', billNumber: 'R2', storeLabel: 'Counter', amount: 20.2, currency: 'USD', status: 'completed', createdAt: '2024-03-01T17:30:00Z' },
+  { md5: 'c', billNumber: 'R3', storeLabel: 'Web', amount: 5, currency: 'USD', status: 'expired', createdAt: '2024-03-01T18:00:00Z' },
+  {
+    md5: 'd',
+    billNumber: 'R4',
+    storeLabel: 'Web',
+    amount: 9600,
+    currency: 'KHR',
+    status: 'underpaid',
+    paidAmount: 9500,
+    paidCurrency: 'KHR',
+    createdAt: '2024-03-02T03:00:00Z',
+  },
+];
+
+const parse = (query) => parseReportFilters(query).filters;
+
+test('toIctDate buckets by the Cambodia calendar day', () => {
+  assert.equal(toIctDate('2024-03-01T16:59:59Z'), '2024-03-01');
+  assert.equal(toIctDate('2024-03-01T17:00:00Z'), '2024-03-02');
+  assert.equal(toIctDate(null), null);
+});
+
+test('parseReportFilters validates dates, statuses and currencies', () => {
+  assert.deepEqual(parse({ from: '2024-03-01', status: 'completed, expired', currency: 'usd' }), {
+    from: '2024-03-01',
+    to: null,
+    statuses: ['completed', 'expired'],
+    currencies: ['USD'],
+    storeLabel: null,
+    billNumberPrefix: null,
+    dateField: 'created',
+  });
+  assert.match(parseReportFilters({ from: '2024-02-30' }).error, /YYYY-MM-DD/);
+  assert.match(parseReportFilters({ from: '2024-03-02', to: '2024-03-01' }).error, /on or before/);
+  assert.match(parseReportFilters({ status: 'paid' }).error, /Unknown status "paid"/);
+  assert.match(parseReportFilters({ currency: 'EUR' }).error, /USD or KHR/);
+  assert.match(parseReportFilters({ dateField: 'updated' }).error, /dateField/);
+});
+
+test('filterPayments applies the ICT date range and store label', () => {
+  const byBill = (filters) => filterPayments(payments, filters).map((payment) => payment.billNumber);
+  assert.deepEqual(byBill(parse({ to: '2024-03-01' })), ['R1']);
+  assert.deepEqual(byBill(parse({ from: '2024-03-02', storeLabel: 'web' })), ['R3', 'R4']);
+  assert.deepEqual(byBill(parse({ dateField: 'completed', from: '2024-01-01' })), []);
+  assert.deepEqual(byBill(parse({ billNumberPrefix: 'R4' })), ['R4']);
+});
+
+test('buildDailyReport totals gross received per currency per day', () => {
+  const report = buildDailyReport(payments, parse({}));
+
+  assert.deepEqual(report.days.map((day) => [day.date, day.currency, day.paymentCount, day.grossAmount]), [
+    ['2024-03-01', 'USD', 1, '10.10'],
+    ['2024-03-02', 'KHR', 1, '9500'],
+    ['2024-03-02', 'USD', 2, '20.20'],
+  ]);
+  assert.deepEqual(report.totals.USD, {
+    paymentCount: 3,
+    settledCount: 2,
+    grossAmount: '30.30',
+    averageTicket: '15.15',
+    statuses: { completed: 2, expired: 1 },
+  });
+  assert.equal(report.totals.KHR.grossAmount, '9500');
+});
+
+test('toCsv writes stable columns with escaping and formula protection', () => {
+  const rows = buildExportRows('payments', [{ ...payments[0], billNumber: '=SUM(A1),"x"' }]);
+  const [header, line] = toCsv('payments', rows).split('\r\n');
+
+  assert.equal(
+    header,
+    'created_at_ict,completed_at_ict,bill_number,profile_id,store_label,status,currency,amount,'
+      + 'paid_currency,paid_amount,transaction_hash,from_account,invoice_id,description,md5'
+  );
+  assert.equal(line, `2024-03-01 23:59:00,,"'=SUM(A1),""x""",,Counter,completed,USD,10.10,,,,,,,a`);
+});
+
+test('getReportDateRange bounds the ICT days with a UTC day either side', () => {
+  assert.deepEqual(getReportDateRange(parse({ from: '2024-03-01', to: '2024-03-31' })), {
+    field: 'createdAt',
+    min: '2024-02-29',
+    max: '2024-04-01',
+  });
+  assert.deepEqual(getReportDateRange(parse({ dateField: 'completed' })), { field: 'completedAt', min: null, max: null });
+});
@@ -1,7 +1,9 @@
 import test from 'node:test';
 import assert from 'node:assert/strict';
 import KHQRService from '../khqrService.js';
+import http from 'http';
 import BakongAPIService from '../bakongAPI.js';
+import Logger from '../logger.js';
 
 test('KHQRService.generateMD5 returns deterministic hash', () => {
   const service = new KHQRService();
@@ -47,6 +49,30 @@ test('BakongAPIService returns missing-token error for auth endpoints without to
   assert.equal(result.errorCode, 'MISSING_TOKEN');
 });
 
+test('BakongAPIService maps a 401 with an HTML body to a token error without retrying', async () => {
+  let requests = 0;
+  const server = http.createServer((_req, res) => {
+    requests += 1;
+    res.writeHead(401, { 'Content-Type': 'text/html' });
+    res.end('<html><body>Unauthorized</body></html>');
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+
+  try {
+    const api = new BakongAPIService('token', `http://127.0.0.1:${server.address().port}`, {
+      logger: new Logger({ level: 'silent' }),
+    });
+    api.retryDelayMs = 0;
+    const result = await api.checkTransactionByMD5('d41d8cd98f00b204e9800998ecf8427e');
+
+    assert.equal(result.errorCode, 'UNAUTHORIZED');
+    assert.equal(result.data, null);
+    assert.equal(requests, 1);
+  } finally {
+    server.close();
+  }
+});
+
 test('BakongAPIService identifies dev environment URL', () => {
   const devApi = new BakongAPIService('', 'https://api-bakong-dev.nbc.org.kh');
   const prodApi = new BakongAPIService('', 'https://api-bakong.nbc.org.kh');
@@ -67,3 +93,84 @@ test('BakongAPIService has retry and status timeout defaults for status checks',
   assert.equal(api.retryDelayMs, 450);
   assert.equal(api.enableIpv4Fallback, true);
 });
+
+test('KHQRService.generateIndividualQR applies and validates custom expiry', () => {
+  const service = new KHQRService({ expirySeconds: 300 });
+  const before = Date.now();
+  const result = service.generateIndividualQR({
+    accountId: 'jonhsmith@nbcq',
+    merchantName: 'Demo Shop',
+    amount: 1,
+    currency: 'USD',
+    expiresInSeconds: 120,
+  });
+
+  assert.equal(result.success, true);
+  const expiresAt = new Date(result.expiresAt).getTime();
+  assert.ok(expiresAt >= before + 120000 && expiresAt <= Date.now() + 120000);
+
+  const invalid = service.generateIndividualQR({
+    accountId: 'jonhsmith@nbcq',
+    merchantName: 'Demo Shop',
+    amount: 1,
+    expiresInSeconds: 5,
+  });
+  assert.equal(invalid.success, false);
+  assert.match(invalid.error, /between 60 and 86400/);
+  assert.throws(() => new KHQRService({ expirySeconds: 'soon' }), /Invalid default QR expiry/);
+});
+
+test('KHQRService.generateMerchantQR requires merchant fields and keeps purpose', () => {
+  const service = new KHQRService();
+  const missing = service.generateMerchantQR({
+    accountId: 'jonhsmith@nbcq',
+    merchantName: 'Demo Shop',
+    acquiringBank: 'Dev Bank',
+    amount: 1,
+  });
+  assert.equal(missing.success, false);
+  assert.equal(missing.error, 'Merchant ID is required for merchant accounts');
+
+  const result = service.generateMerchantQR({
+    accountId: 'jonhsmith@nbcq',
+    merchantName: 'Demo Shop',
+    merchantId: '123456',
+    acquiringBank: 'Dev Bank',
+    amount: 1,
+    currency: 'USD',
+    purposeOfTransaction: 'Order 42',
+  });
+  assert.equal(result.success, true);
+  assert.equal(service.decodeKHQR(result.qrString).data.purposeOfTransaction, 'Order 42');
+});
+
+test('BakongAPIService.checkTransactionsByMD5List chunks requests and maps each md5', async () => {
+  const api = new BakongAPIService('token', 'https://api-bakong.nbc.org.kh');
+  api.md5ListLimit = 2;
+  const chunks = [];
+  api.postWithRetry = async (endpoint, payload) => {
+    chunks.push(payload);
+    if (payload.includes('e')) {
+      return { responseCode: -1, errorCode: 'TIMEOUT', responseMessage: 'timed out' };
+    }
+
+    return {
+      responseCode: 0,
+      data: [
+        { md5: 'a', status: 'SUCCESS', data: { hash: 'tx-a' } },
+        { md5: 'b', status: 'FAILED', message: 'Rejected' },
+        { md5: 'c', status: 'NOT_FOUND' },
+      ].filter((item) => payload.includes(item.md5)),
+    };
+  };
+
+  const results = await api.checkTransactionsByMD5List(['a', 'b', 'c', 'd', 'e', 'a']);
+
+  assert.deepEqual(chunks, [['a', 'b'], ['c', 'd'], ['e']]);
+  assert.equal(results.a.responseCode, 0);
+  assert.equal(results.a.data.hash, 'tx-a');
+  assert.equal(results.b.errorCode, 3);
+  assert.equal(results.c.errorCode, 1);
+  assert.equal(results.d.errorCode, 1);
+  assert.equal(results.e.errorCode, 'TIMEOUT');
+});
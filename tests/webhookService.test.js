@@ -0,0 +1,172 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import WebhookService, {
+  parseWebhookEndpoints,
+  signWebhookPayload,
+  verifyWebhookSignature,
+} from '../webhookService.js';
+import { JsonFileWebhookStore } from '../webhookStore.js';
+import Logger from '../logger.js';
+
+const createRecordingFetch = (statuses) => {
+  const requests = [];
+  const fetchImpl = async (url, options) => {
+    requests.push({ url, ...options });
+    const status = statuses[Math.min(requests.length - 1, statuses.length - 1)];
+    return { ok: status >= 200 && status < 300, status };
+  };
+
+  return { fetchImpl, requests };
+};
+
+test('parseWebhookEndpoints accepts URL lists and JSON definitions', () => {
+  const fromList = parseWebhookEndpoints('https://a.test/hook, https://b.test/hook', 'shared');
+  assert.equal(fromList.length, 2);
+  assert.equal(fromList[1].id, 'endpoint-2');
+  assert.equal(fromList[1].secret, 'shared');
+  assert.ok(fromList[0].events.includes('payment.completed'));
+
+  const fromJson = parseWebhookEndpoints('[{"id":"orders","url":"https://a.test","secret":"s1","events":["payment.failed"]}]');
+  assert.deepEqual(fromJson[0].events, ['payment.failed']);
+
+  assert.throws(() => parseWebhookEndpoints('https://a.test/hook'), /missing a signing secret/);
+  assert.deepEqual(parseWebhookEndpoints(''), []);
+});
+
+test('verifyWebhookSignature accepts only the matching secret and body', () => {
+  const timestamp = String(Math.floor(Date.now() / 1000));
+  const body = '{"id":"evt_1"}';
+  const signature = signWebhookPayload('secret', timestamp, body);
+
+  assert.match(signature, /^sha256=[a-f0-9]{64}$/);
+  assert.equal(verifyWebhookSignature('secret', timestamp, body, signature), true);
+  assert.equal(verifyWebhookSignature('other', timestamp, body, signature), false);
+  assert.equal(verifyWebhookSignature('secret', timestamp, '{"id":"evt_2"}', signature), false);
+  assert.equal(verifyWebhookSignature('secret', '1000', body, signWebhookPayload('secret', '1000', body)), false);
+});
+
+test('WebhookService signs deliveries and retries failed attempts', async () => {
+  const { fetchImpl, requests } = createRecordingFetch([500, 200]);
+  const service = new WebhookService({
+    endpoints: parseWebhookEndpoints('https://a.test/hook', 'secret'),
+    retryBaseDelayMs: 0,
+    fetchImpl,
+  });
+  service.scheduleDelivery = (endpoint, event, attempt, _delayMs, redelivery) => {
+    void service.deliver(endpoint, event, attempt, redelivery);
+  };
+
+  const event = await service.dispatchStatusChange({ md5: 'a1', status: 'completed', amount: 1 }, 'pending');
+  assert.equal(event.type, 'payment.completed');
+  await new Promise((resolve) => setImmediate(resolve));
+  await new Promise((resolve) => setImmediate(resolve));
+
+  assert.equal(requests.length, 2);
+  const { headers, body } = requests[1];
+  assert.equal(headers['X-Bakong-Event-Id'], event.id);
+  assert.equal(
+    verifyWebhookSignature('secret', headers['X-Bakong-Timestamp'], body, headers['X-Bakong-Signature']),
+    true
+  );
+
+  const deliveries = await service.getDeliveries('endpoint-1');
+  assert.deepEqual(deliveries.map((delivery) => [delivery.attempt, delivery.success]), [[1, false], [2, true]]);
+  assert.ok(deliveries[0].nextRetryAt);
+});
+
+test('WebhookService ignores non-terminal statuses and can redeliver past events', async () => {
+  const service = new WebhookService({
+    endpoints: parseWebhookEndpoints('https://a.test/hook', 'secret'),
+  });
+  const scheduled = [];
+  service.scheduleDelivery = (endpoint, event, attempt, _delayMs, redelivery) => {
+    scheduled.push([endpoint.id, event.id, attempt, redelivery]);
+  };
+
+  assert.equal(await service.dispatchStatusChange({ md5: 'a1', status: 'pending' }), null);
+
+  const event = await service.dispatchStatusChange({ md5: 'a1', status: 'failed' }, 'pending');
+  assert.deepEqual(await service.redeliver(event.id), { success: true, endpoints: ['endpoint-1'] });
+  assert.deepEqual(scheduled.at(-1), ['endpoint-1', event.id, 1, true]);
+  assert.equal((await service.redeliver('evt_missing')).success, false);
+  assert.equal((await service.redeliver(event.id, 'unknown')).success, false);
+});
+
+test('WebhookService resumes pending retries and redelivers past events after a restart', async () => {
+  const filePath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'webhook-store-')), 'webhooks.jsonl');
+  const endpoints = parseWebhookEndpoints('https://a.test/hook', 'secret');
+  const logger = new Logger({ level: 'silent' });
+  const { fetchImpl } = createRecordingFetch([500]);
+  const first = new WebhookService({
+    endpoints,
+    retryBaseDelayMs: 60000,
+    store: new JsonFileWebhookStore(filePath),
+    logger,
+    fetchImpl,
+  });
+  first.scheduleDelivery = () => {};
+
+  const event = await first.dispatchStatusChange({ md5: 'a1', status: 'completed' }, 'pending');
+  await first.deliver(endpoints[0], event, 1);
+
+  const restarted = new WebhookService({ endpoints, store: new JsonFileWebhookStore(filePath), logger });
+  const scheduled = [];
+  restarted.scheduleDelivery = (endpoint, scheduledEvent, attempt, delayMs, redelivery) => {
+    scheduled.push([endpoint.id, scheduledEvent.id, attempt, delayMs > 0, redelivery]);
+  };
+
+  assert.equal(await restarted.resumePendingDeliveries(), 1);
+  assert.deepEqual(scheduled, [['endpoint-1', event.id, 2, true, false]]);
+  assert.deepEqual(await restarted.getEvent(event.id), event);
+  assert.deepEqual((await restarted.getDeliveries('endpoint-1')).map((delivery) => delivery.httpStatus), [500]);
+  assert.equal(await restarted.getDeliveries('unknown'), null);
+  assert.equal((await restarted.redeliver(event.id)).success, true);
+
+  const delivered = new WebhookService({
+    endpoints,
+    store: new JsonFileWebhookStore(filePath),
+    logger,
+    fetchImpl: createRecordingFetch([200]).fetchImpl,
+  });
+  delivered.scheduleDelivery = () => {};
+  await delivered.deliver(endpoints[0], event, 1, true);
+  const reloaded = new WebhookService({ endpoints, store: new JsonFileWebhookStore(filePath) });
+  assert.equal(await reloaded.resumePendingDeliveries(), 0);
+  assert.deepEqual(
+    (await reloaded.getDeliveries('endpoint-1')).map((delivery) => [delivery.success, delivery.redelivery]),
+    [[false, false], [true, true]]
+  );
+});
+
+test('WebhookService prunes old delivered and failed deliveries from the store file', async () => {
+  const filePath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'webhook-store-')), 'webhooks.jsonl');
+  const endpoints = parseWebhookEndpoints('https://a.test/hook', 'secret');
+  const service = new WebhookService({
+    endpoints,
+    maxAttempts: 1,
+    retentionDays: 7,
+    store: new JsonFileWebhookStore(filePath),
+    logger: new Logger({ level: 'silent' }),
+    fetchImpl: createRecordingFetch([200]).fetchImpl,
+  });
+  service.scheduleDelivery = () => {};
+
+  const delivered = await service.dispatchStatusChange({ md5: 'a1', status: 'completed' }, 'pending');
+  await service.deliver(endpoints[0], delivered, 1);
+  const pending = await service.dispatchStatusChange({ md5: 'a2', status: 'completed' }, 'pending');
+
+  const eightDaysLater = Date.now() + 8 * 24 * 60 * 60 * 1000;
+  assert.equal(await service.pruneDeliveries(Date.now()), 0);
+  assert.equal(await service.pruneDeliveries(eightDaysLater), 1);
+  assert.equal(await service.getEvent(delivered.id), null);
+  assert.deepEqual(await service.getEvent(pending.id), pending);
+
+  const reloaded = new JsonFileWebhookStore(filePath);
+  assert.deepEqual(Array.from(reloaded.deliveries.keys()), [`${pending.id}:endpoint-1`]);
+  assert.equal(fs.readFileSync(filePath, 'utf8').trim().split('\n').length, 1);
+  assert.equal(await new WebhookService({ endpoints, retentionDays: 0, store: reloaded })
+    .pruneDeliveries(eightDaysLater), 0);
+});
@@ -0,0 +1,429 @@
+import fetch from 'node-fetch';
+import crypto from 'crypto';
+import { logger as defaultLogger } from './logger.js';
+import { MemoryWebhookStore } from './webhookStore.js';
+
+const STATUS_EVENT_TYPES = {
+  completed: 'payment.completed',
+  failed: 'payment.failed',
+  expired: 'payment.expired',
+  underpaid: 'payment.underpaid',
+  overpaid: 'payment.overpaid',
+  currency_mismatch: 'payment.currency_mismatch',
+};
+
+const SIGNATURE_HEADER = 'X-Bakong-Signature';
+const TIMESTAMP_HEADER = 'X-Bakong-Timestamp';
+const EVENT_ID_HEADER = 'X-Bakong-Event-Id';
+
+const parseIntOption = (value, fallback) => {
+  const parsed = Number.parseInt(String(value ?? ''), 10);
+  return Number.isFinite(parsed) && parsed >= 0 ? parsed : fallback;
+};
+
+/**
+ * Sign a webhook body: HMAC-SHA256 over "<timestamp>.<body>"
+ */
+const signWebhookPayload = (secret, timestamp, body) => {
+  const digest = crypto
+    .createHmac('sha256', secret)
+    .update(`${timestamp}.${body}`)
+    .digest('hex');
+  return `sha256=${digest}`;
+};
+
+/**
+ * Verify a received webhook signature (for receivers and tests)
+ */
+const verifyWebhookSignature = (secret, timestamp, body, signature, toleranceSeconds = 300) => {
+  if (!secret || !timestamp || typeof signature !== 'string') {
+    return false;
+  }
+
+  const ageSeconds = Math.abs(Math.floor(Date.now() / 1000) - Number(timestamp));
+  if (!Number.isFinite(ageSeconds) || ageSeconds > toleranceSeconds) {
+    return false;
+  }
+
+  const expected = Buffer.from(signWebhookPayload(secret, timestamp, body));
+  const received = Buffer.from(signature);
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+};
+
+/**
+ * Parse WEBHOOK_ENDPOINTS: a JSON array of { id, url, secret, events }
+ * or a comma separated list of URLs sharing WEBHOOK_SECRET.
+ */
+const parseWebhookEndpoints = (rawValue, defaultSecret = null) => {
+  if (typeof rawValue !== 'string' || !rawValue.trim()) {
+    return [];
+  }
+
+  const trimmedValue = rawValue.trim();
+  const entries = trimmedValue.startsWith('[')
+    ? JSON.parse(trimmedValue)
+    : trimmedValue.split(',').map((url) => ({ url: url.trim() })).filter((entry) => entry.url);
+
+  return entries.map((entry, index) => {
+    if (!entry || typeof entry.url !== 'string' || !/^https?:\/\//i.test(entry.url)) {
+      throw new Error(`Webhook endpoint #${index + 1} must have an http(s) url`);
+    }
+
+    const secret = entry.secret || defaultSecret;
+    if (!secret) {
+      throw new Error(`Webhook endpoint ${entry.url} is missing a signing secret`);
+    }
+
+    return {
+      id: String(entry.id || `endpoint-${index + 1}`),
+      url: entry.url,
+      secret,
+      events: Array.isArray(entry.events) && entry.events.length > 0
+        ? entry.events.map(String)
+        : Object.values(STATUS_EVENT_TYPES),
+    };
+  });
+};
+
+/**
+ * Outbound webhook dispatcher with signed payloads, retries with
+ * exponential backoff and a bounded per-endpoint delivery log.
+ * Events, their attempts and pending deliveries are kept in the store so
+ * retries can be resumed after a restart and past events redelivered.
+ * Delivered and failed deliveries are pruned after retentionDays.
+ */
+class WebhookService {
+  constructor({
+    endpoints = [],
+    maxAttempts = process.env.WEBHOOK_MAX_ATTEMPTS,
+    retryBaseDelayMs = process.env.WEBHOOK_RETRY_BASE_MS,
+    timeoutMs = process.env.WEBHOOK_TIMEOUT_MS,
+    historyLimit = 200,
+    retentionDays = process.env.WEBHOOK_RETENTION_DAYS,
+    pruneIntervalMs = 60 * 60 * 1000,
+    store = new MemoryWebhookStore(),
+    logger = defaultLogger,
+    fetchImpl = fetch,
+  } = {}) {
+    this.endpoints = endpoints;
+    this.maxAttempts = Math.max(1, parseIntOption(maxAttempts, 5));
+    this.retryBaseDelayMs = parseIntOption(retryBaseDelayMs, 2000);
+    this.timeoutMs = parseIntOption(timeoutMs, 5000);
+    this.historyLimit = historyLimit;
+    this.retentionDays = parseIntOption(retentionDays, 30);
+    this.pruneIntervalMs = pruneIntervalMs;
+    this.store = store;
+    this.logger = logger;
+    this.fetchImpl = fetchImpl;
+    // Delivery records are read, updated and saved one at a time
+    this.saveQueue = Promise.resolve();
+    this.pruneTimer = null;
+  }
+
+  isEnabled() {
+    return this.endpoints.length > 0;
+  }
+
+  getEventType(status) {
+    return STATUS_EVENT_TYPES[status] || null;
+  }
+
+  getEndpoint(endpointId) {
+    return this.endpoints.find((endpoint) => endpoint.id === endpointId) || null;
+  }
+
+  /**
+   * Endpoint configuration without secrets
+   */
+  listEndpoints() {
+    return this.endpoints.map(({ id, url, events }) => ({ id, url, events }));
+  }
+
+  async getEvent(eventId) {
+    return this.store.getEvent(eventId);
+  }
+
+  /**
+   * The last historyLimit attempts to an endpoint, oldest first,
+   * or null for an unknown endpoint
+   */
+  async getDeliveries(endpointId) {
+    if (!this.getEndpoint(endpointId)) {
+      return null;
+    }
+
+    const deliveries = await this.store.listByEndpoint(endpointId);
+    return deliveries
+      .flatMap((delivery) => delivery.attempts || [])
+      .sort((a, b) => (a.deliveredAt < b.deliveredAt ? -1 : a.deliveredAt > b.deliveredAt ? 1 : 0))
+      .slice(-this.historyLimit);
+  }
+
+  /**
+   * Save where delivery of an event to an endpoint stands, adding the
+   * attempt just made (if any) to its history. A failed write is logged;
+   * the attempt in memory goes ahead either way.
+   */
+  async trackDelivery(endpoint, event, { attempt, redelivery, status, nextAttemptAt = null, result = null }) {
+    const id = `${event.id}:${endpoint.id}`;
+    const save = this.saveQueue.then(async () => {
+      const existing = await this.store.get(id);
+      const attempts = [...(existing?.attempts || []), ...(result ? [result] : [])].slice(-this.historyLimit);
+      await this.store.save({
+        id,
+        endpointId: endpoint.id,
+        event,
+        attempt,
+        redelivery,
+        status,
+        nextAttemptAt,
+        attempts,
+        updatedAt: new Date().toISOString(),
+      });
+    });
+    this.saveQueue = save.catch(() => {});
+
+    try {
+      await save;
+    } catch (error) {
+      this.logger.error('Failed to save webhook delivery', { eventId: event.id, endpointId: endpoint.id, error });
+    }
+  }
+
+  /**
+   * Remove delivered and failed deliveries older than retentionDays
+   * (0 keeps them forever). Returns how many were removed.
+   */
+  async pruneDeliveries(now = Date.now()) {
+    if (this.retentionDays === 0) {
+      return 0;
+    }
+
+    return this.store.prune({ before: now - this.retentionDays * 24 * 60 * 60 * 1000 });
+  }
+
+  startPruning() {
+    if (this.pruneTimer || this.retentionDays === 0) {
+      return;
+    }
+
+    const prune = () => this.pruneDeliveries()
+      .then((removed) => {
+        if (removed > 0) {
+          this.logger.info('Pruned old webhook deliveries', { removed });
+        }
+      })
+      .catch((error) => this.logger.error('Failed to prune webhook deliveries', { error }));
+
+    void prune();
+    this.pruneTimer = setInterval(prune, this.pruneIntervalMs);
+    this.pruneTimer.unref?.();
+  }
+
+  stopPruning() {
+    if (this.pruneTimer) {
+      clearInterval(this.pruneTimer);
+      this.pruneTimer = null;
+    }
+  }
+
+  /**
+   * Schedule the pending deliveries left by a previous run.
+   * Returns how many were rescheduled.
+   */
+  async resumePendingDeliveries() {
+    let resumed = 0;
+    for (const delivery of await this.store.listPending()) {
+      const endpoint = this.getEndpoint(delivery.endpointId);
+      if (!endpoint) {
+        this.logger.warn('Skipping webhook delivery for an endpoint that is no longer configured', {
+          eventId: delivery.event.id,
+          endpointId: delivery.endpointId,
+        });
+        continue;
+      }
+
+      const delayMs = Math.max(0, new Date(delivery.nextAttemptAt).getTime() - Date.now()) || 0;
+      this.scheduleDelivery(endpoint, delivery.event, delivery.attempt, delayMs, delivery.redelivery);
+      resumed += 1;
+    }
+    return resumed;
+  }
+
+  buildPaymentData(payment) {
+    return {
+      md5: payment.md5,
+      billNumber: payment.billNumber ?? null,
+      invoiceId: payment.invoiceId ?? null,
+      amount: payment.amount ?? null,
+      currency: payment.currency ?? null,
+      pricing: payment.pricing ?? null,
+      status: payment.status,
+      description: payment.description ?? null,
+      createdAt: payment.createdAt ?? null,
+      completedAt: payment.completedAt ?? null,
+      transactionHash: payment.transactionHash ?? null,
+      fromAccount: payment.fromAccount ?? null,
+      paidAmount: payment.paidAmount ?? null,
+      paidCurrency: payment.paidCurrency ?? null,
+      mismatch: payment.mismatch ?? null,
+    };
+  }
+
+  /**
+   * Create an event for a payment status transition and deliver it.
+   * Deliveries are saved before they are scheduled.
+   */
+  async dispatchStatusChange(payment, previousStatus = null) {
+    const type = this.getEventType(payment.status);
+    if (!type || !this.isEnabled()) {
+      return null;
+    }
+
+    const event = {
+      id: `evt_${crypto.randomUUID()}`,
+      type,
+      createdAt: new Date().toISOString(),
+      data: {
+        previousStatus,
+        payment: this.buildPaymentData(payment),
+      },
+    };
+
+    for (const endpoint of this.endpoints) {
+      if (endpoint.events.includes(type)) {
+        await this.trackDelivery(endpoint, event, {
+          attempt: 1,
+          redelivery: false,
+          status: 'pending',
+          nextAttemptAt: event.createdAt,
+        });
+        this.scheduleDelivery(endpoint, event, 1, 0);
+      }
+    }
+
+    return event;
+  }
+
+  /**
+   * Send a past event again to one endpoint (or every subscribed endpoint)
+   */
+  async redeliver(eventId, endpointId = null) {
+    const event = await this.getEvent(eventId);
+    if (!event) {
+      return { success: false, error: 'Event not found' };
+    }
+
+    const targets = endpointId
+      ? [this.getEndpoint(endpointId)].filter(Boolean)
+      : this.endpoints.filter((endpoint) => endpoint.events.includes(event.type));
+
+    if (targets.length === 0) {
+      return { success: false, error: 'Webhook endpoint not found' };
+    }
+
+    for (const endpoint of targets) {
+      await this.trackDelivery(endpoint, event, {
+        attempt: 1,
+        redelivery: true,
+        status: 'pending',
+        nextAttemptAt: new Date().toISOString(),
+      });
+      this.scheduleDelivery(endpoint, event, 1, 0, true);
+    }
+
+    return { success: true, endpoints: targets.map((endpoint) => endpoint.id) };
+  }
+
+  getRetryDelayMs(attempt) {
+    return this.retryBaseDelayMs * (2 ** (attempt - 1));
+  }
+
+  scheduleDelivery(endpoint, event, attempt, delayMs, redelivery = false) {
+    const timer = setTimeout(() => {
+      void this.deliver(endpoint, event, attempt, redelivery);
+    }, delayMs);
+    timer.unref?.();
+  }
+
+  /**
+   * Deliver one attempt; failed attempts are rescheduled with backoff
+   */
+  async deliver(endpoint, event, attempt, redelivery = false) {
+    const body = JSON.stringify(event);
+    const timestamp = String(Math.floor(Date.now() / 1000));
+    const startedAt = Date.now();
+    const controller = new AbortController();
+    const timeoutHandle = setTimeout(() => controller.abort(), this.timeoutMs);
+
+    const delivery = {
+      eventId: event.id,
+      eventType: event.type,
+      attempt,
+      redelivery,
+      deliveredAt: new Date(startedAt).toISOString(),
+      success: false,
+      httpStatus: null,
+      error: null,
+      durationMs: null,
+      nextRetryAt: null,
+    };
+
+    try {
+      const response = await this.fetchImpl(endpoint.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          [EVENT_ID_HEADER]: event.id,
+          [TIMESTAMP_HEADER]: timestamp,
+          [SIGNATURE_HEADER]: signWebhookPayload(endpoint.secret, timestamp, body),
+        },
+        body,
+        signal: controller.signal,
+      });
+
+      delivery.httpStatus = response.status;
+      delivery.success = response.ok;
+      if (!response.ok) {
+        delivery.error = `Endpoint responded with HTTP ${response.status}`;
+      }
+    } catch (error) {
+      delivery.error = error.name === 'AbortError'
+        ? `Endpoint timed out after ${this.timeoutMs}ms`
+        : (error.message || 'Webhook delivery failed');
+    } finally {
+      clearTimeout(timeoutHandle);
+    }
+
+    delivery.durationMs = Date.now() - startedAt;
+
+    const willRetry = !delivery.success && attempt < this.maxAttempts;
+    const delayMs = willRetry ? this.getRetryDelayMs(attempt) : null;
+    if (willRetry) {
+      delivery.nextRetryAt = new Date(Date.now() + delayMs).toISOString();
+    }
+
+    await this.trackDelivery(endpoint, event, {
+      attempt: willRetry ? attempt + 1 : attempt,
+      redelivery,
+      status: willRetry ? 'pending' : (delivery.success ? 'delivered' : 'failed'),
+      nextAttemptAt: delivery.nextRetryAt,
+      result: delivery,
+    });
+    if (willRetry) {
+      this.scheduleDelivery(endpoint, event, attempt + 1, delayMs, redelivery);
+    }
+    return delivery;
+  }
+}
+
+export {
+  STATUS_EVENT_TYPES,
+  SIGNATURE_HEADER,
+  TIMESTAMP_HEADER,
+  EVENT_ID_HEADER,
+  signWebhookPayload,
+  verifyWebhookSignature,
+  parseWebhookEndpoints,
+};
+export default WebhookService;
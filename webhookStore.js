@@ -0,0 +1,145 @@
+import { withJsonLinesFile } from './jsonLinesStore.js';
+
+const cloneDelivery = (delivery) => (delivery ? structuredClone(delivery) : null);
+
+/**
+ * In-memory webhook delivery repository (data is lost on restart).
+ * One record per event and endpoint, keyed by "<eventId>:<endpointId>",
+ * holding the event, its past attempts, the next attempt and whether it
+ * is still pending.
+ */
+class MemoryWebhookStore {
+  constructor() {
+    this.deliveries = new Map();
+    // eventId -> ids of its deliveries (one per endpoint)
+    this.eventIndex = new Map();
+  }
+
+  applyRecord(delivery) {
+    this.deliveries.set(delivery.id, delivery);
+    const ids = this.eventIndex.get(delivery.event.id) || new Set();
+    ids.add(delivery.id);
+    this.eventIndex.set(delivery.event.id, ids);
+  }
+
+  removeRecord(id) {
+    const delivery = this.deliveries.get(id);
+    if (!delivery) {
+      return;
+    }
+
+    this.deliveries.delete(id);
+    const ids = this.eventIndex.get(delivery.event.id);
+    ids?.delete(id);
+    if (ids?.size === 0) {
+      this.eventIndex.delete(delivery.event.id);
+    }
+  }
+
+  async persist(_delivery) {
+    // Memory store has nothing to flush.
+  }
+
+  async get(id) {
+    return cloneDelivery(this.deliveries.get(id));
+  }
+
+  /**
+   * Get the event a delivery was created for
+   */
+  async getEvent(eventId) {
+    const [id] = this.eventIndex.get(eventId) || [];
+    return id ? cloneDelivery(this.deliveries.get(id).event) : null;
+  }
+
+  /**
+   * Insert or replace a delivery record (keyed by id)
+   */
+  async save(delivery) {
+    if (!delivery || !delivery.id || !delivery.event?.id) {
+      throw new Error('Webhook delivery id and event are required');
+    }
+
+    // Written before it is applied, so a failed write leaves memory matching disk
+    const record = cloneDelivery(delivery);
+    await this.persist(record);
+    this.applyRecord(record);
+    return cloneDelivery(record);
+  }
+
+  /**
+   * Deliveries that still have an attempt to make
+   */
+  async listPending() {
+    return Array.from(this.deliveries.values())
+      .filter((delivery) => delivery.status === 'pending')
+      .map(cloneDelivery);
+  }
+
+  /**
+   * Deliveries to one endpoint
+   */
+  async listByEndpoint(endpointId) {
+    return Array.from(this.deliveries.values())
+      .filter((delivery) => delivery.endpointId === endpointId)
+      .map(cloneDelivery);
+  }
+
+  /**
+   * Remove delivered and failed (dead) deliveries last updated before the
+   * given date. Pending deliveries are kept. Returns how many were removed.
+   */
+  async prune({ before }) {
+    const cutoff = new Date(before).toISOString();
+    let removed = 0;
+    for (const delivery of Array.from(this.deliveries.values())) {
+      if (delivery.status !== 'pending' && delivery.updatedAt < cutoff) {
+        this.removeRecord(delivery.id);
+        removed += 1;
+      }
+    }
+    return removed;
+  }
+}
+
+/**
+ * Append-only JSON lines webhook delivery repository (see jsonLinesStore.js).
+ * The last line for a delivery id wins on load; pruning rewrites the log
+ * so removed deliveries do not come back.
+ */
+class JsonFileWebhookStore extends withJsonLinesFile(MemoryWebhookStore, {
+  keyField: 'id',
+  recordsField: 'deliveries',
+}) {
+  async prune(options) {
+    const removed = await super.prune(options);
+    if (removed > 0) {
+      await this.compact();
+    }
+    return removed;
+  }
+}
+
+/**
+ * Create webhook delivery store from driver name ("memory" or "file"), following PAYMENT_STORE
+ */
+const createWebhookStore = ({
+  driver = process.env.PAYMENT_STORE || 'file',
+  filePath = process.env.WEBHOOK_STORE_PATH || 'data/webhooks.jsonl',
+  compactAfterStaleLines = process.env.WEBHOOK_STORE_COMPACT_STALE_LINES,
+} = {}) => {
+  const resolvedDriver = String(driver).toLowerCase();
+
+  if (resolvedDriver === 'memory') {
+    return new MemoryWebhookStore();
+  }
+
+  if (resolvedDriver === 'file') {
+    return new JsonFileWebhookStore(filePath, { compactAfterStaleLines });
+  }
+
+  throw new Error(`Unsupported PAYMENT_STORE driver: ${driver}`);
+};
+
+export { MemoryWebhookStore, JsonFileWebhookStore, createWebhookStore };
+export default createWebhookStore;